@@ -0,0 +1,49 @@
+// public/sw.js
+/**
+ * Service worker for timer alerts (see src/utils/notify.js).
+ *
+ * The page posts { type: 'schedule', id, at, title, body, silent } / { type: 'cancel', id }.
+ * Where the browser has Notification Triggers (TimestampTrigger, experimental) the notification is
+ * handed to the OS and the worker answers { type: 'scheduled', id }. Otherwise it does nothing: a
+ * timeout here would die with the worker, which the browser stops after ~30s idle, so the page's own
+ * timer shows the alert instead (utils/notify.js). Alerts share `tag: id`, so they can't double up.
+ */
+
+self.addEventListener('install', () => self.skipWaiting())
+self.addEventListener('activate', (event) => event.waitUntil(self.clients.claim()))
+
+self.addEventListener('message', (event) => {
+  const msg = event.data || {}
+  if (msg.type === 'cancel' || msg.type === 'schedule') {
+    event.waitUntil(
+      self.registration.getNotifications({ tag: msg.id, includeTriggered: true }).then((list) => list.forEach((n) => n.close())).catch(() => {})
+    )
+  }
+  if (msg.type !== 'schedule') return
+
+  // experimental, not shipped in any stable browser; without it the page shows the alert
+  if (typeof self.TimestampTrigger !== 'function') return
+  event.waitUntil(
+    self.registration
+      .showNotification(msg.title, {
+        body: msg.body,
+        tag: msg.id,
+        silent: !!msg.silent,
+        requireInteraction: true,
+        showTrigger: new self.TimestampTrigger(msg.at)
+      })
+      .then(() => event.source && event.source.postMessage({ type: 'scheduled', id: msg.id }))
+      .catch((err) => console.warn('trigger not accepted', err))
+  )
+})
+
+// tapping the notification focuses the app
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close()
+  event.waitUntil(
+    self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then((list) => {
+      if (list.length) return list[0].focus()
+      return self.clients.openWindow('/')
+    })
+  )
+})
@@ -0,0 +1,129 @@
+// src/api/archiveService.js
+import { supabase } from './supabaseClient'
+import { ARCHIVE_FORMAT, ARCHIVE_TABLES, ARCHIVE_VERSION, planImport, validateArchive } from '../utils/dataArchive'
+
+/**
+ * Archive service: full account export / import (format and remapping rules in utils/dataArchive).
+ *
+ * Exports:
+ * - exportArchive(user) -> archive with every table the account owns, plus its teams and memberships
+ * - importArchive(userId, archive, { dryRun }) -> { counts } per table; dryRun only plans
+ *
+ * Reads page through PostgREST's row limit. Inserts go table by table (parents first) in
+ * chunks; there is no transaction, so a failed import reports how far it got and can simply be
+ * re-run — rows already imported are detected as duplicates.
+ */
+
+const PAGE_SIZE = 1000
+const INSERT_CHUNK = 500
+
+// query() must build a fresh, ordered query each call
+async function fetchAll(query) {
+  const rows = []
+  for (let from = 0; ; from += PAGE_SIZE) {
+    const { data, error } = await query().range(from, from + PAGE_SIZE - 1)
+    if (error) return { data: rows, error }
+    rows.push(...(data || []))
+    if (!data || data.length < PAGE_SIZE) return { data: rows, error: null }
+  }
+}
+
+const owned = (table) => (userId) => () => supabase.from(table).select('*').eq('user_id', userId).order('id')
+
+const EXPORTERS = {
+  tags: owned('tags'),
+  task_series: owned('task_series'),
+  tasks: owned('tasks'),
+  pomodoro_breaks: owned('pomodoro_breaks'),
+  diaries: owned('diaries'),
+  day_templates: owned('day_templates'),
+  time_goals: owned('time_goals'),
+  habits: owned('habits'),
+  habit_logs: owned('habit_logs'),
+  team_members: owned('team_members')
+}
+
+async function loadTables(userId) {
+  const tables = {}
+  const names = Object.keys(EXPORTERS)
+  for (const name of names) {
+    const { data, error } = await fetchAll(EXPORTERS[name](userId))
+    if (error) return { data: null, error }
+    tables[name] = data
+  }
+
+  const [withTask, adhoc] = await Promise.all([
+    fetchAll(() => supabase.from('time_entries').select('*, tasks!inner(user_id)').eq('tasks.user_id', userId).order('id')),
+    fetchAll(() => supabase.from('time_entries').select('*').eq('user_id', userId).is('task_id', null).order('id'))
+  ])
+  if (withTask.error || adhoc.error) return { data: null, error: withTask.error || adhoc.error }
+  const withoutJoin = (e) => {
+    const copy = { ...e }
+    delete copy.tasks
+    return copy
+  }
+  tables.time_entries = [...withTask.data.map(withoutJoin), ...adhoc.data]
+
+  const teamIds = tables.team_members.map((m) => m.team_id)
+  tables.teams = []
+  if (teamIds.length) {
+    const { data, error } = await supabase.from('teams').select('*').in('id', teamIds)
+    if (error) return { data: null, error }
+    tables.teams = data || []
+  }
+  return { data: tables, error: null }
+}
+
+export async function exportArchive(user) {
+  if (!user?.id) return { data: null, error: new Error('Missing user') }
+  const { data: tables, error } = await loadTables(user.id)
+  if (error) return { data: null, error }
+  return {
+    data: {
+      format: ARCHIVE_FORMAT,
+      version: ARCHIVE_VERSION,
+      exported_at: new Date().toISOString(),
+      user: { id: user.id, username: user.username, display_name: user.display_name },
+      tables
+    },
+    error: null
+  }
+}
+
+function uuid() {
+  if (typeof crypto !== 'undefined' && crypto.randomUUID) return crypto.randomUUID()
+  return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, (c) => {
+    const r = (Math.random() * 16) | 0
+    return (c === 'x' ? r : (r & 0x3) | 0x8).toString(16)
+  })
+}
+
+export async function importArchive(userId, archive, { dryRun = false } = {}) {
+  if (!userId) return { data: null, error: new Error('Missing userId') }
+  const invalid = validateArchive(archive)
+  if (invalid) return { data: null, error: new Error(invalid) }
+
+  // existing rows for duplicate detection; teams: every team this account can see (matched by id)
+  const { data: existing, error: loadErr } = await loadTables(userId)
+  if (loadErr) return { data: null, error: loadErr }
+  const { data: teams, error: teamErr } = await supabase.from('teams').select('id, name')
+  if (teamErr) return { data: null, error: teamErr }
+  existing.teams = teams || []
+
+  const { inserts, counts } = planImport(archive, existing, userId, uuid)
+  if (dryRun) return { data: { counts }, error: null }
+
+  for (const { name } of ARCHIVE_TABLES) {
+    const rows = inserts[name]
+    for (let i = 0; i < rows.length; i += INSERT_CHUNK) {
+      const chunk = rows.slice(i, i + INSERT_CHUNK)
+      // occurrences may have been materialized since the plan was made; keep those
+      const { error } =
+        name === 'tasks'
+          ? await supabase.from(name).upsert(chunk, { onConflict: 'series_id,series_date', ignoreDuplicates: true })
+          : await supabase.from(name).insert(chunk)
+      if (error) return { data: { counts, failedAt: name }, error }
+    }
+  }
+  return { data: { counts }, error: null }
+}
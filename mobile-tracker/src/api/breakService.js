@@ -0,0 +1,54 @@
+// src/api/breakService.js
+import { supabase } from './supabaseClient'
+import { emitChange } from './realtimeService'
+
+/**
+ * Break service: Pomodoro breaks, kept in `pomodoro_breaks` so they never count
+ * toward a task's time_entries totals.
+ *
+ * Exports:
+ * - startBreak(userId, taskId, kind, startAtIso?) -> kind: 'short_break' | 'long_break'
+ * - endBreak(breakId, endAtIso?)
+ * - listBreaks(userId, fromIso, toIso)
+ */
+
+export async function startBreak(userId, taskId, kind, startAtIso = null) {
+  if (!userId || !kind) return { data: null, error: new Error('Missing args') }
+  const { data, error } = await supabase
+    .from('pomodoro_breaks')
+    .insert({ user_id: userId, task_id: taskId || null, kind, start_at: startAtIso || new Date().toISOString() })
+    .select('*')
+    .maybeSingle()
+  emitChange('pomodoro_breaks', 'INSERT', data)
+  return { data, error }
+}
+
+export async function endBreak(breakId, endAtIso = null) {
+  if (!breakId) return { data: null, error: new Error('Missing id') }
+  const end_at = endAtIso || new Date().toISOString()
+  const { data: existing, error: fetchErr } = await supabase.from('pomodoro_breaks').select('*').eq('id', breakId).maybeSingle()
+  if (fetchErr) return { data: null, error: fetchErr }
+  if (!existing) return { data: null, error: new Error('Break not found') }
+  if (existing.end_at) return { data: existing, error: null }
+  const duration_seconds = Math.max(0, Math.round((new Date(end_at).getTime() - new Date(existing.start_at).getTime()) / 1000))
+  const { data, error } = await supabase
+    .from('pomodoro_breaks')
+    .update({ end_at, duration_seconds })
+    .eq('id', breakId)
+    .select('*')
+    .maybeSingle()
+  emitChange('pomodoro_breaks', 'UPDATE', data)
+  return { data, error }
+}
+
+export async function listBreaks(userId, fromIso, toIso) {
+  if (!userId || !fromIso || !toIso) return { data: [], error: new Error('Missing args') }
+  const { data, error } = await supabase
+    .from('pomodoro_breaks')
+    .select('*')
+    .eq('user_id', userId)
+    .gte('start_at', fromIso)
+    .lt('start_at', toIso)
+    .order('start_at', { ascending: true })
+  return { data: data || [], error }
+}
@@ -1,6 +1,7 @@
 // src/api/diaryService.js
 import { supabase } from './supabaseClient'
 import dayjs from 'dayjs'
+import { emitChange } from './realtimeService'
 
 /**
  * Diary service: CRUD for per-user, per-day diary entries.
@@ -11,6 +12,7 @@ import dayjs from 'dayjs'
  * - upsertDiary(userId, dateString, content)
  * - deleteDiary(id)
  * - listDiariesForMonth(userId, year, month) -> entries for calendar month
+ * - listDiariesInRange(userId, fromDate, toDate) -> entries between two dates (inclusive)
  */
 
 export async function getDiary(userId, dateString) {
@@ -42,6 +44,7 @@ export async function upsertDiary(userId, dateString, content) {
       .eq('id', existing.id)
       .select('*')
       .maybeSingle()
+    emitChange('diaries', 'UPDATE', data)
     return { data, error }
   } else {
     const { data, error } = await supabase
@@ -49,13 +52,15 @@ export async function upsertDiary(userId, dateString, content) {
       .insert({ user_id: userId, diary_date: dateString, content })
       .select('*')
       .maybeSingle()
+    emitChange('diaries', 'INSERT', data)
     return { data, error }
   }
 }
 
 export async function deleteDiary(id) {
   if (!id) return { error: new Error('Missing id') }
-  const { error } = await supabase.from('diaries').delete().eq('id', id)
+  const { data, error } = await supabase.from('diaries').delete().eq('id', id).select('*')
+  emitChange('diaries', 'DELETE', data)
   return { error }
 }
 
@@ -77,3 +82,15 @@ export async function listDiariesForMonth(userId, year, month) {
     .order('diary_date', { ascending: true })
   return { data, error }
 }
+
+export async function listDiariesInRange(userId, fromDate, toDate) {
+  if (!userId || !fromDate || !toDate) return { data: [], error: new Error('Missing args') }
+  const { data, error } = await supabase
+    .from('diaries')
+    .select('id, diary_date, content')
+    .eq('user_id', userId)
+    .gte('diary_date', fromDate)
+    .lte('diary_date', toDate)
+    .order('diary_date', { ascending: true })
+  return { data: data || [], error }
+}
@@ -0,0 +1,28 @@
+// src/api/estimateService.js
+import { supabase } from './supabaseClient'
+import dayjs from 'dayjs'
+import { buildSamples } from '../utils/estimates'
+
+/**
+ * Estimate service: history of completed tasks with their tracked time (see utils/estimates).
+ *
+ * Exports:
+ * - loadEstimateSamples(userId, sinceDays = 180) -> samples [{ task, planned, actual, ratio }]
+ */
+
+export async function loadEstimateSamples(userId, sinceDays = 180) {
+  if (!userId) return { data: [], error: new Error('Missing userId') }
+  const from = dayjs().subtract(sinceDays, 'day').format('YYYY-MM-DD')
+  const { data, error } = await supabase
+    .from('tasks')
+    .select('id, title, date, time_from, time_to, estimated_duration_seconds, tag_ids, status, time_entries(duration_seconds)')
+    .eq('user_id', userId)
+    .eq('status', 'completed')
+    .gte('date', from)
+  if (error) return { data: [], error }
+  const tasks = (data || []).map(({ time_entries: entries, ...t }) => ({
+    ...t,
+    trackedSeconds: (entries || []).reduce((sum, e) => sum + (e.duration_seconds || 0), 0)
+  }))
+  return { data: buildSamples(tasks), error: null }
+}
@@ -0,0 +1,54 @@
+// src/api/goalService.js
+import { supabase } from './supabaseClient'
+import { emitChange } from './realtimeService'
+import { loadDailyTracking } from './statsService'
+import { listTags } from './tagService'
+import { goalHistoryRange } from '../utils/goals'
+
+/**
+ * Goal service: per-user time goals (`time_goals`: tag_id | null, period 'day' | 'week', target_seconds).
+ *
+ * Exports:
+ * - listGoals(userId)
+ * - createGoal(userId, { tag_id, period, target_seconds })
+ * - updateGoal(goalId, patch)
+ * - deleteGoal(goalId)
+ * - loadGoalsOverview(userId) -> { goals, tagsById, days }: everything the rings and history need,
+ *   days covering the goal history window (see utils/goals for progress / history)
+ */
+
+export async function listGoals(userId) {
+  if (!userId) return { data: [], error: new Error('Missing args') }
+  const { data, error } = await supabase.from('time_goals').select('*').eq('user_id', userId).order('created_at', { ascending: true })
+  return { data: data || [], error }
+}
+
+export async function createGoal(userId, { tag_id = null, period, target_seconds }) {
+  if (!userId || !period || !(target_seconds > 0)) return { data: null, error: new Error('Missing args') }
+  const { data, error } = await supabase.from('time_goals').insert({ user_id: userId, tag_id, period, target_seconds }).select('*').single()
+  emitChange('time_goals', 'INSERT', data)
+  return { data, error }
+}
+
+export async function updateGoal(goalId, patch) {
+  if (!goalId) return { data: null, error: new Error('Missing id') }
+  const { data, error } = await supabase.from('time_goals').update(patch).eq('id', goalId).select('*').single()
+  emitChange('time_goals', 'UPDATE', data)
+  return { data, error }
+}
+
+export async function deleteGoal(goalId) {
+  if (!goalId) return { error: new Error('Missing id') }
+  const { data, error } = await supabase.from('time_goals').delete().eq('id', goalId).select('*')
+  emitChange('time_goals', 'DELETE', data)
+  return { error }
+}
+
+export async function loadGoalsOverview(userId) {
+  const [goals, tags, days] = await Promise.all([listGoals(userId), listTags(userId), loadDailyTracking(userId, goalHistoryRange())])
+  const error = goals.error || tags.error || days.error
+  return {
+    data: { goals: goals.data, tagsById: Object.fromEntries(tags.data.map((t) => [t.id, t])), days: days.data || {} },
+    error
+  }
+}
@@ -0,0 +1,82 @@
+// src/api/habitService.js
+import { supabase } from './supabaseClient'
+import { emitChange } from './realtimeService'
+
+/**
+ * Habit service: habits and their per-day logs (see utils/habits for schedules and streaks).
+ *
+ * Exports:
+ * - HABIT_FIELDS: columns a habit form may write
+ * - listHabits(userId, { includeArchived }) -> habits, oldest first
+ * - createHabit(userId, fields)
+ * - updateHabit(habitId, patch)
+ * - deleteHabit(habitId) -> also deletes its logs (cascade)
+ * - listHabitLogs(userId, fromDate, toDate) -> [{ habit_id, log_date, count }]
+ * - setHabitCount(userId, habitId, dateString, count) -> upserts the day's log; count 0 removes it
+ */
+
+export const HABIT_FIELDS = ['name', 'icon', 'kind', 'target_count', 'schedule', 'weekdays', 'times_per_week', 'archived']
+
+function pickFields(fields) {
+  return Object.fromEntries(Object.entries(fields || {}).filter(([k]) => HABIT_FIELDS.includes(k)))
+}
+
+export async function listHabits(userId, { includeArchived = false } = {}) {
+  if (!userId) return { data: [], error: new Error('Missing args') }
+  let query = supabase.from('habits').select('*').eq('user_id', userId).order('created_at', { ascending: true })
+  if (!includeArchived) query = query.eq('archived', false)
+  const { data, error } = await query
+  return { data: data || [], error }
+}
+
+export async function createHabit(userId, fields) {
+  if (!userId || !fields || !(fields.name || '').trim()) return { data: null, error: new Error('Missing args') }
+  const { data, error } = await supabase
+    .from('habits')
+    .insert({ ...pickFields(fields), name: fields.name.trim(), user_id: userId })
+    .select('*')
+    .single()
+  emitChange('habits', 'INSERT', data)
+  return { data, error }
+}
+
+export async function updateHabit(habitId, patch) {
+  if (!habitId) return { data: null, error: new Error('Missing id') }
+  const { data, error } = await supabase.from('habits').update(pickFields(patch)).eq('id', habitId).select('*').single()
+  emitChange('habits', 'UPDATE', data)
+  return { data, error }
+}
+
+export async function deleteHabit(habitId) {
+  if (!habitId) return { error: new Error('Missing id') }
+  const { data, error } = await supabase.from('habits').delete().eq('id', habitId).select('*')
+  emitChange('habits', 'DELETE', data)
+  return { error }
+}
+
+export async function listHabitLogs(userId, fromDate, toDate) {
+  if (!userId || !fromDate || !toDate) return { data: [], error: new Error('Missing args') }
+  const { data, error } = await supabase
+    .from('habit_logs')
+    .select('habit_id, log_date, count')
+    .eq('user_id', userId)
+    .gte('log_date', fromDate)
+    .lte('log_date', toDate)
+  return { data: data || [], error }
+}
+
+export async function setHabitCount(userId, habitId, dateString, count) {
+  if (!userId || !habitId || !dateString) return { data: null, error: new Error('Missing args') }
+  if (!count || count <= 0) {
+    const { data: deleted, error } = await supabase.from('habit_logs').delete().eq('habit_id', habitId).eq('log_date', dateString).select('*')
+    emitChange('habit_logs', 'DELETE', deleted)
+    return { data: null, error }
+  }
+  const { data, error } = await supabase
+    .from('habit_logs')
+    .upsert({ habit_id: habitId, user_id: userId, log_date: dateString, count }, { onConflict: 'habit_id,log_date' })
+    .select('*')
+    .single()
+  emitChange('habit_logs', 'UPDATE', data)
+  return { data, error }
+}
@@ -0,0 +1,101 @@
+// src/api/realtimeService.js
+import { supabase } from './supabaseClient'
+
+/**
+ * Realtime service: row changes on tasks / time_entries / diaries pushed to open views.
+ *
+ * subscribeToTables(specs, handler, { debounceMs }) -> unsubscribe()
+ *  - specs: [{ table, filter? }] — filter in PostgREST form, e.g. `user_id=eq.${userId}`
+ *  - handler(changes) is called once per burst with [{ table, eventType, new, old }]
+ *
+ * Transports are pluggable so the same code runs without a realtime server:
+ *  - supabaseTransport (default): postgres_changes over a Supabase channel
+ *  - createLocalTransport(): in-browser stand-in; emit(change) delivers to subscribers here and,
+ *    via BroadcastChannel, in other tabs. Enabled with VITE_REALTIME=local or setRealtimeTransport().
+ *
+ * emitChange(table, eventType, rows) is called by the service write paths with the rows they wrote
+ * (which is why components go through taskService & co. instead of writing to supabase directly);
+ * it only does something when the active transport can emit, i.e. the local one (Supabase reports
+ * the real row changes itself).
+ */
+
+const supabaseTransport = {
+  subscribe({ table, filter }, onChange) {
+    const channel = supabase
+      .channel(`rt_${table}_${filter || 'all'}_${Math.random().toString(36).slice(2, 8)}`)
+      .on('postgres_changes', { event: '*', schema: 'public', table, ...(filter ? { filter } : {}) }, (payload) =>
+        onChange({ table, eventType: payload.eventType, new: payload.new, old: payload.old })
+      )
+      .subscribe()
+    return () => supabase.removeChannel(channel)
+  }
+}
+
+// "user_id=eq.abc" -> row => row.user_id === 'abc' (only eq is needed here)
+function matchesFilter(filter, change) {
+  if (!filter) return true
+  const m = /^(\w+)=eq\.(.+)$/.exec(filter)
+  if (!m) return true
+  const row = change.new && Object.keys(change.new).length ? change.new : change.old || {}
+  return String(row[m[1]]) === m[2]
+}
+
+export function createLocalTransport(channelName = 'dltr_realtime') {
+  const listeners = new Set()
+  const bc = typeof BroadcastChannel === 'function' ? new BroadcastChannel(channelName) : null
+  const deliver = (change) => listeners.forEach((l) => l(change))
+  if (bc) bc.onmessage = (e) => deliver(e.data)
+
+  return {
+    subscribe({ table, filter }, onChange) {
+      const listener = (change) => {
+        if (change.table === table && matchesFilter(filter, change)) onChange(change)
+      }
+      listeners.add(listener)
+      return () => listeners.delete(listener)
+    },
+    emit(change) {
+      deliver(change)
+      if (bc) bc.postMessage(change)
+    }
+  }
+}
+
+let transport = import.meta.env.VITE_REALTIME === 'local' ? createLocalTransport() : supabaseTransport
+
+export function setRealtimeTransport(next) {
+  transport = next || supabaseTransport
+}
+
+export function getRealtimeTransport() {
+  return transport
+}
+
+export function emitChange(table, eventType, rows) {
+  if (!transport.emit) return
+  const list = (Array.isArray(rows) ? rows : [rows]).filter(Boolean)
+  list.forEach((row) =>
+    transport.emit({ table, eventType, new: eventType === 'DELETE' ? {} : row, old: eventType === 'INSERT' ? {} : row })
+  )
+}
+
+export function subscribeToTables(specs, handler, { debounceMs = 250 } = {}) {
+  let queue = []
+  let timeout = null
+  const flush = () => {
+    timeout = null
+    const batch = queue
+    queue = []
+    handler(batch)
+  }
+  const unsubs = specs.map((spec) =>
+    transport.subscribe(spec, (change) => {
+      queue.push(change)
+      if (!timeout) timeout = setTimeout(flush, debounceMs)
+    })
+  )
+  return () => {
+    clearTimeout(timeout)
+    unsubs.forEach((u) => u())
+  }
+}
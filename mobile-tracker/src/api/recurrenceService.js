@@ -0,0 +1,208 @@
+// src/api/recurrenceService.js
+import { supabase } from './supabaseClient'
+import { listOccurrences, occursOn } from '../utils/recurrence'
+import { mergeChecklist } from '../utils/checklist'
+import { emitChange } from './realtimeService'
+
+/**
+ * Recurrence service: task_series rows and their materialized occurrences.
+ *
+ * A series stores the task template (title, times, tags, ...) plus its repeat rule.
+ * Occurrences are ordinary `tasks` rows carrying series_id + series_date, created lazily
+ * for the dates a view is looking at, so every existing per-date query keeps working.
+ * series_date is the date the rule produced; `date` may differ if that one occurrence was moved.
+ *
+ * Exports:
+ * - createSeries(fields) -> inserted series row
+ * - getSeries(seriesId)
+ * - ensureOccurrences(userId, fromDate, toDate) -> inserts missing occurrence rows
+ * - listVirtualOccurrences(userId, fromDate, toDate) -> occurrence rows (not inserted) the rules produce
+ *   in the range that are not materialized yet, wherever a materialized one was moved to; for
+ *   summaries that must not write, e.g. CalendarGrid
+ * - updateSeries(seriesId, fields, fromTaskId?) -> updates template + rule, rewrites pending occurrences
+ *   that still match the old template, plus fromTaskId, the occurrence the edit was made from (one
+ *   edited on its own keeps its changes; checklist: the item list is
+ *   rewritten, each occurrence keeps its own ticks); occurrences the new rule drops are deleted
+ *   unless they have tracked time
+ * - skipOccurrence(task) -> adds task.series_date to skip_dates and removes that occurrence; time tracked
+ *   on it is kept as ad-hoc entries labelled with the task title
+ */
+
+const TEMPLATE_FIELDS = [
+  'title',
+  'description',
+  'time_from',
+  'time_to',
+  'tag_ids',
+  'team_id',
+  'estimated_duration_seconds',
+  'priority',
+  'checklist',
+  'progress_from_checklist'
+]
+
+function occurrenceRow(series, dateStr) {
+  const row = { user_id: series.user_id, series_id: series.id, series_date: dateStr, date: dateStr, status: 'pending' }
+  TEMPLATE_FIELDS.forEach((f) => {
+    if (series[f] !== undefined) row[f] = series[f]
+  })
+  return row
+}
+
+export async function createSeries(fields) {
+  if (!fields || !fields.user_id || !fields.freq || !fields.start_date) return { data: null, error: new Error('Missing args') }
+  const { data, error } = await supabase.from('task_series').insert(fields).select('*').maybeSingle()
+  emitChange('task_series', 'INSERT', data)
+  return { data, error }
+}
+
+export async function getSeries(seriesId) {
+  if (!seriesId) return { data: null, error: new Error('Missing id') }
+  const { data, error } = await supabase.from('task_series').select('*').eq('id', seriesId).maybeSingle()
+  return { data, error }
+}
+
+async function occurrenceRowsInRange(userId, fromDate, toDate) {
+  const { data: series, error } = await supabase
+    .from('task_series')
+    .select('*')
+    .eq('user_id', userId)
+    .lte('start_date', toDate)
+  if (error) return { data: [], error }
+
+  const rows = []
+  ;(series || []).forEach((s) => {
+    if (s.end_date && s.end_date < fromDate) return
+    listOccurrences(s, fromDate, toDate).forEach((d) => rows.push(occurrenceRow(s, d)))
+  })
+  return { data: rows, error: null }
+}
+
+export async function listVirtualOccurrences(userId, fromDate, toDate) {
+  if (!userId || !fromDate || !toDate) return { data: [], error: new Error('Missing args') }
+  const { data: rows, error } = await occurrenceRowsInRange(userId, fromDate, toDate)
+  if (error) return { data: [], error }
+  if (!rows.length) return { data: [], error: null }
+  // by series_date, not date: an occurrence moved out of the range still counts as materialized
+  const { data: materialized, error: matErr } = await supabase
+    .from('tasks')
+    .select('series_id, series_date')
+    .eq('user_id', userId)
+    .not('series_id', 'is', null)
+    .gte('series_date', fromDate)
+    .lte('series_date', toDate)
+  if (matErr) return { data: [], error: matErr }
+  const existing = new Set((materialized || []).map((t) => `${t.series_id}|${t.series_date}`))
+  return { data: rows.filter((r) => !existing.has(`${r.series_id}|${r.series_date}`)), error: null }
+}
+
+export async function ensureOccurrences(userId, fromDate, toDate = fromDate) {
+  if (!userId || !fromDate) return { data: [], error: new Error('Missing args') }
+  const { data: rows, error } = await occurrenceRowsInRange(userId, fromDate, toDate)
+  if (error) return { data: [], error }
+  if (!rows.length) return { data: [], error: null }
+
+  // unique (series_id, series_date) makes this idempotent across tabs / double effects
+  const { data, error: upsertErr } = await supabase
+    .from('tasks')
+    .upsert(rows, { onConflict: 'series_id,series_date', ignoreDuplicates: true })
+    .select('*')
+  emitChange('tasks', 'INSERT', data)
+  return { data: data || [], error: upsertErr }
+}
+
+const same = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null)
+const checklistItems = (list) => (list || []).map((i) => [i.id, i.text])
+
+// an occurrence edited on its own no longer matches the template it was created from
+function editedOnItsOwn(task, oldSeries) {
+  return TEMPLATE_FIELDS.some((f) =>
+    f === 'checklist' ? !same(checklistItems(task.checklist), checklistItems(oldSeries.checklist)) : !same(task[f], oldSeries[f])
+  )
+}
+
+export async function updateSeries(seriesId, fields = {}, fromTaskId = null) {
+  if (!seriesId) return { data: null, error: new Error('Missing id') }
+  const { data: oldSeries, error: oldErr } = await getSeries(seriesId)
+  if (oldErr) return { data: null, error: oldErr }
+  if (!oldSeries) return { data: null, error: new Error('Series not found') }
+  const { data: series, error } = await supabase.from('task_series').update(fields).eq('id', seriesId).select('*').maybeSingle()
+  if (error) return { data: null, error }
+  if (!series) return { data: null, error: new Error('Series not found') }
+  emitChange('task_series', 'UPDATE', series)
+
+  // completed occurrences are history and keep whatever they had
+  const { data: pending, error: pendErr } = await supabase
+    .from('tasks')
+    .select(['id', 'series_date', ...TEMPLATE_FIELDS].join(', '))
+    .eq('series_id', seriesId)
+    .neq('status', 'completed')
+  if (pendErr) return { data: series, error: pendErr }
+
+  // occurrences the new rule no longer produces go away, unless time was tracked on them
+  let stale = (pending || []).filter((t) => !occursOn(series, t.series_date)).map((t) => t.id)
+  if (stale.length) {
+    const { data: tracked, error: trackedErr } = await supabase.from('time_entries').select('task_id').in('task_id', stale)
+    if (trackedErr) return { data: series, error: trackedErr }
+    const keep = new Set((tracked || []).map((e) => e.task_id))
+    stale = stale.filter((id) => !keep.has(id))
+  }
+  if (stale.length) {
+    const { data: deleted, error: delErr } = await supabase.from('tasks').delete().in('id', stale).select('*')
+    if (delErr) return { data: series, error: delErr }
+    emitChange('tasks', 'DELETE', deleted)
+  }
+
+  const kept = (pending || []).filter((t) => !stale.includes(t.id) && (t.id === fromTaskId || !editedOnItsOwn(t, oldSeries)))
+  if (!kept.length) return { data: series, error: null }
+
+  const template = {}
+  TEMPLATE_FIELDS.forEach((f) => {
+    if (f !== 'checklist' && series[f] !== undefined) template[f] = series[f]
+  })
+  const { data: updated, error: updErr } = await supabase
+    .from('tasks')
+    .update(template)
+    .in('id', kept.map((t) => t.id))
+    .select('*')
+  if (updErr) return { data: series, error: updErr }
+  emitChange('tasks', 'UPDATE', updated)
+
+  if (fields.checklist !== undefined) {
+    for (const t of kept) {
+      const { data: row, error: listErr } = await supabase
+        .from('tasks')
+        .update({ checklist: mergeChecklist(series.checklist, t.checklist) })
+        .eq('id', t.id)
+        .select('*')
+      if (listErr) return { data: series, error: listErr }
+      emitChange('tasks', 'UPDATE', row)
+    }
+  }
+  return { data: series, error: null }
+}
+
+export async function skipOccurrence(task) {
+  if (!task || !task.series_id || !task.series_date) return { error: new Error('Not a series occurrence') }
+  const { data: series, error } = await getSeries(task.series_id)
+  if (error) return { error }
+  if (series) {
+    const skip_dates = Array.from(new Set([...(series.skip_dates || []), task.series_date]))
+    const { data: updated, error: updErr } = await supabase.from('task_series').update({ skip_dates }).eq('id', series.id).select('*')
+    if (updErr) return { error: updErr }
+    emitChange('task_series', 'UPDATE', updated)
+  }
+  // time_entries.task_id is `on delete set null`: the entries survive as ad-hoc time, so give them
+  // the task's title and tags first
+  const { data: entries, error: entErr } = await supabase
+    .from('time_entries')
+    .update({ label: task.title || null, tag_ids: task.tag_ids || [] })
+    .eq('task_id', task.id)
+    .select('*')
+  if (entErr) return { error: entErr }
+  const { data: deleted, error: delErr } = await supabase.from('tasks').delete().eq('id', task.id).select('*')
+  if (delErr) return { error: delErr }
+  emitChange('tasks', 'DELETE', deleted)
+  emitChange('time_entries', 'UPDATE', (entries || []).map((e) => ({ ...e, task_id: null })))
+  return { error: null }
+}
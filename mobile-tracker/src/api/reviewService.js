@@ -0,0 +1,54 @@
+// src/api/reviewService.js
+import { supabase } from './supabaseClient'
+import dayjs from 'dayjs'
+import { listUserEntries } from './trackingService'
+import { listDiariesInRange } from './diaryService'
+import { listOverdue } from './taskService'
+import { listTags } from './tagService'
+import { loadTrackedByTag } from './statsService'
+import { buildReview } from '../utils/reviewReport'
+
+/**
+ * Review service: gathers everything the weekly review needs for a date range (see utils/reviewReport).
+ *
+ * Exports:
+ * - loadReview(userId, { from, to }) -> review model (buildReview)
+ *   Overdue = unfinished tasks scheduled before the day after `to`, or whose deadline passed by the end
+ *   of `to` — both capped at now, so a range that is still running doesn't flag today's tasks.
+ */
+
+export async function loadReview(userId, { from, to }) {
+  if (!userId || !from || !to) return { data: null, error: new Error('Missing args') }
+  const endIso = dayjs(to).add(1, 'day').startOf('day').toISOString()
+  const today = dayjs().format('YYYY-MM-DD')
+  const dayAfter = dayjs(to).add(1, 'day').format('YYYY-MM-DD')
+  const overdueBefore = dayAfter < today ? dayAfter : today
+  const deadlineBefore = dayjs(endIso).isBefore(dayjs()) ? endIso : new Date().toISOString()
+  const [tasks, entries, tagSeconds, tags, overdue, pastDeadline, diaries] = await Promise.all([
+    supabase.from('tasks').select('id, title, date, status').eq('user_id', userId).gte('date', from).lte('date', to).order('date', { ascending: true }),
+    listUserEntries(userId, from, to),
+    loadTrackedByTag(userId, { from, to }),
+    listTags(userId),
+    listOverdue(userId, overdueBefore),
+    supabase.from('tasks').select('*').eq('user_id', userId).neq('status', 'completed').lt('deadline_at', deadlineBefore).order('deadline_at', { ascending: true }),
+    listDiariesInRange(userId, from, to)
+  ])
+  const error = [tasks, entries, tagSeconds, tags, overdue, pastDeadline, diaries].map((r) => r.error).find(Boolean)
+  if (error) return { data: null, error }
+
+  const seen = new Set()
+  const overdueTasks = [...(pastDeadline.data || []), ...overdue.data].filter((t) => !seen.has(t.id) && seen.add(t.id))
+  return {
+    data: buildReview({
+      from,
+      to,
+      tasks: tasks.data || [],
+      entries: entries.data,
+      tagSeconds: tagSeconds.data,
+      tagsById: Object.fromEntries((tags.data || []).map((t) => [t.id, t])),
+      overdue: overdueTasks,
+      diaries: diaries.data
+    }),
+    error: null
+  }
+}
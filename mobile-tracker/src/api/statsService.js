@@ -0,0 +1,107 @@
+// src/api/statsService.js
+import { supabase } from './supabaseClient'
+import dayjs from 'dayjs'
+
+/**
+ * Stats service: aggregates for the ProfilePage statistics. The summing happens in the database
+ * (stats_* functions in supabase-schema.sql); only one row per bucket / tag / team comes back.
+ *
+ * Exports:
+ * - countTasks(userId) -> { total, completed } via count-only queries
+ * - loadStatistics(userId, { from, to, bucket }) -> {
+ *     series: [{ bucket, seconds, sessions, total, completed }],
+ *     byTag: [{ tagId, seconds }], byTeam: [{ teamId, teamName, seconds }],
+ *     streaks: { current, best }, totals: { seconds, sessions, averageSession, total, completed }
+ *   }
+ *   from / to are inclusive 'YYYY-MM-DD' dates, bucket 'day' | 'week' | 'month'.
+ * - loadTrackedByTag(userId, { from, to }) -> [{ tagId, seconds }] (tagId null = untagged)
+ * - loadDailyTracking(userId, { from, to }) -> { [date]: { total, byTag: { [tagId]: seconds } } }
+ *   (only days with tracked time; an entry with several tags counts for each, but once in total)
+ */
+
+function timeZone() {
+  try {
+    return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC'
+  } catch {
+    return 'UTC'
+  }
+}
+
+export async function countTasks(userId) {
+  if (!userId) return { data: { total: 0, completed: 0 }, error: new Error('Missing userId') }
+  const [all, done] = await Promise.all([
+    supabase.from('tasks').select('id', { count: 'exact', head: true }).eq('user_id', userId),
+    supabase.from('tasks').select('id', { count: 'exact', head: true }).eq('user_id', userId).eq('status', 'completed')
+  ])
+  const error = all.error || done.error
+  return { data: { total: all.count || 0, completed: done.count || 0 }, error }
+}
+
+export async function loadTrackedByTag(userId, { from, to }) {
+  if (!userId) return { data: [], error: new Error('Missing userId') }
+  const { data, error } = await supabase.rpc('stats_tracked_by_tag', { p_user: userId, p_from: from, p_to: to, p_tz: timeZone() })
+  return { data: (data || []).map((r) => ({ tagId: r.tag_id, seconds: Number(r.seconds) || 0 })), error }
+}
+
+export async function loadDailyTracking(userId, { from, to }) {
+  if (!userId) return { data: {}, error: new Error('Missing userId') }
+  const args = { p_user: userId, p_from: from, p_to: to, p_tz: timeZone(), p_bucket: 'day' }
+  const [totals, byTag] = await Promise.all([supabase.rpc('stats_tracked_series', args), supabase.rpc('stats_tracked_by_tag_series', args)])
+  const error = totals.error || byTag.error
+  if (error) return { data: {}, error }
+  const days = {}
+  ;(totals.data || []).forEach((r) => {
+    if (Number(r.seconds)) days[r.bucket] = { total: Number(r.seconds), byTag: {} }
+  })
+  ;(byTag.data || []).forEach((r) => {
+    if (r.tag_id && days[r.bucket]) days[r.bucket].byTag[r.tag_id] = Number(r.seconds) || 0
+  })
+  return { data: days, error: null }
+}
+
+export async function loadStatistics(userId, { from, to, bucket = 'day' }) {
+  if (!userId) return { data: null, error: new Error('Missing userId') }
+  const tz = timeZone()
+  const range = { p_user: userId, p_from: from, p_to: to }
+  const [tracked, completion, byTag, byTeam, streaks] = await Promise.all([
+    supabase.rpc('stats_tracked_series', { ...range, p_tz: tz, p_bucket: bucket }),
+    supabase.rpc('stats_completion_series', { ...range, p_bucket: bucket }),
+    loadTrackedByTag(userId, { from, to }),
+    supabase.rpc('stats_tracked_by_team', { ...range, p_tz: tz }),
+    supabase.rpc('stats_streaks', { p_user: userId, p_today: dayjs().format('YYYY-MM-DD') })
+  ])
+  const error = [tracked, completion, byTag, byTeam, streaks].map((r) => r.error).find(Boolean)
+  if (error) return { data: null, error }
+
+  // both series come from the same generate_series, so buckets line up
+  const completionByBucket = Object.fromEntries((completion.data || []).map((r) => [r.bucket, r]))
+  const series = (tracked.data || []).map((r) => ({
+    bucket: r.bucket,
+    seconds: Number(r.seconds) || 0,
+    sessions: Number(r.sessions) || 0,
+    total: Number((completionByBucket[r.bucket] || {}).total) || 0,
+    completed: Number((completionByBucket[r.bucket] || {}).completed) || 0
+  }))
+  const totals = series.reduce(
+    (acc, r) => ({
+      seconds: acc.seconds + r.seconds,
+      sessions: acc.sessions + r.sessions,
+      total: acc.total + r.total,
+      completed: acc.completed + r.completed
+    }),
+    { seconds: 0, sessions: 0, total: 0, completed: 0 }
+  )
+  totals.averageSession = totals.sessions ? Math.round(totals.seconds / totals.sessions) : 0
+  const streakRow = (streaks.data || [])[0] || {}
+
+  return {
+    data: {
+      series,
+      byTag: byTag.data,
+      byTeam: (byTeam.data || []).map((r) => ({ teamId: r.team_id, teamName: r.team_name, seconds: Number(r.seconds) || 0 })),
+      streaks: { current: streakRow.current_streak || 0, best: streakRow.best_streak || 0 },
+      totals
+    },
+    error: null
+  }
+}
@@ -0,0 +1,171 @@
+// src/api/tagService.js
+import { supabase } from './supabaseClient'
+import { emitChange } from './realtimeService'
+
+/**
+ * Tag service: per-user tags that replace the old free-text tasks.category.
+ *
+ * Tags live in `tags` (id, user_id, name, color). Tasks (and task_series) reference them
+ * through a `tag_ids uuid[]` column, so filters map straight onto PostgREST array operators:
+ * AND -> contains (cs), OR -> overlaps (ov).
+ *
+ * Names are normalized (trimmed, lower-case, spaces -> '-') so "Music " and "music" are one tag.
+ *
+ * Exports:
+ * - normalizeTagName(name)
+ * - listTags(userId)
+ * - createTag(userId, name, color?) -> existing tag with that name, or a new one
+ * - resolveTagIds(userId, names) -> ids for names, creating missing tags (used for team copies / quick-add)
+ * - updateTag(tagId, { name?, color? })
+ * - mergeTags(userId, fromTagId, intoTagId) -> retags tasks/series/time entries/templates, moves fromTag's
+ *   time goals to intoTag (unless intoTag already has one for that period), then deletes fromTag
+ * - deleteTag(userId, tagId) -> removes the tag from tasks/series/time entries/templates, then deletes it;
+ *   its time goals go with it (time_goals.tag_id cascades)
+ */
+
+export const TAG_COLORS = ['#6366f1', '#10b981', '#f43f5e', '#f59e0b', '#0ea5e9', '#8b5cf6', '#d946ef', '#64748b']
+
+export function normalizeTagName(name) {
+  return (name || '').trim().toLowerCase().replace(/\s+/g, '-')
+}
+
+function defaultColor(name) {
+  let h = 0
+  for (let i = 0; i < name.length; i++) h = (h * 31 + name.charCodeAt(i)) | 0
+  return TAG_COLORS[Math.abs(h) % TAG_COLORS.length]
+}
+
+export async function listTags(userId) {
+  if (!userId) return { data: [], error: new Error('Missing args') }
+  const { data, error } = await supabase.from('tags').select('*').eq('user_id', userId).order('name', { ascending: true })
+  return { data: data || [], error }
+}
+
+export async function createTag(userId, name, color = null) {
+  const clean = normalizeTagName(name)
+  if (!userId || !clean) return { data: null, error: new Error('Missing args') }
+  const { data: existing, error: findErr } = await supabase.from('tags').select('*').eq('user_id', userId).eq('name', clean).maybeSingle()
+  if (findErr) return { data: null, error: findErr }
+  if (existing) return { data: existing, error: null }
+  const { data, error } = await supabase
+    .from('tags')
+    .insert({ user_id: userId, name: clean, color: color || defaultColor(clean) })
+    .select('*')
+    .maybeSingle()
+  emitChange('tags', 'INSERT', data)
+  return { data, error }
+}
+
+export async function resolveTagIds(userId, names) {
+  const wanted = Array.from(new Set((names || []).map(normalizeTagName).filter(Boolean)))
+  if (!userId || !wanted.length) return { data: [], error: null }
+  const { data: existing, error } = await supabase.from('tags').select('id, name').eq('user_id', userId).in('name', wanted)
+  if (error) return { data: [], error }
+  const byName = Object.fromEntries((existing || []).map((t) => [t.name, t.id]))
+  const missing = wanted.filter((n) => !byName[n])
+  if (missing.length) {
+    const { data: created, error: insErr } = await supabase
+      .from('tags')
+      .upsert(
+        missing.map((n) => ({ user_id: userId, name: n, color: defaultColor(n) })),
+        { onConflict: 'user_id,name' }
+      )
+      .select('*')
+    if (insErr) return { data: [], error: insErr }
+    emitChange('tags', 'INSERT', created)
+    ;(created || []).forEach((t) => {
+      byName[t.name] = t.id
+    })
+  }
+  return { data: wanted.map((n) => byName[n]).filter(Boolean), error: null }
+}
+
+export async function updateTag(tagId, updates = {}) {
+  if (!tagId) return { data: null, error: new Error('Missing id') }
+  const payload = { ...updates }
+  if ('name' in payload) {
+    payload.name = normalizeTagName(payload.name)
+    if (!payload.name) return { data: null, error: new Error('Tag name required') }
+  }
+  const { data, error } = await supabase.from('tags').update(payload).eq('id', tagId).select('*').maybeSingle()
+  emitChange('tags', 'UPDATE', data)
+  return { data, error }
+}
+
+// tables with a tag_ids column (time_entries: ad-hoc entries carry their own tags)
+const TAGGED_TABLES = ['tasks', 'task_series', 'time_entries']
+
+function replaceTagId(tagIds, fromId, intoId) {
+  return Array.from(new Set((tagIds || []).map((id) => (id === fromId ? intoId : id)).filter(Boolean)))
+}
+
+// rewrite tag_ids on every row of `table` that carries fromId
+async function retag(table, userId, fromId, intoId) {
+  const { data: rows, error } = await supabase.from(table).select('id, tag_ids').eq('user_id', userId).contains('tag_ids', [fromId])
+  if (error) return error
+  for (const row of rows || []) {
+    const { data: updated, error: updErr } = await supabase
+      .from(table)
+      .update({ tag_ids: replaceTagId(row.tag_ids, fromId, intoId) })
+      .eq('id', row.id)
+      .select('*')
+    if (updErr) return updErr
+    emitChange(table, 'UPDATE', updated)
+  }
+  return null
+}
+
+// day_templates keep their tasks as jsonb, each with its own tag_ids
+async function retagTemplates(userId, fromId, intoId) {
+  const { data: templates, error } = await supabase.from('day_templates').select('id, tasks').eq('user_id', userId)
+  if (error) return error
+  for (const tpl of templates || []) {
+    const tasks = tpl.tasks || []
+    if (!tasks.some((t) => (t.tag_ids || []).includes(fromId))) continue
+    const next = tasks.map((t) => (t.tag_ids ? { ...t, tag_ids: replaceTagId(t.tag_ids, fromId, intoId) } : t))
+    const { data: updated, error: updErr } = await supabase.from('day_templates').update({ tasks: next }).eq('id', tpl.id).select('*')
+    if (updErr) return updErr
+    emitChange('day_templates', 'UPDATE', updated)
+  }
+  return null
+}
+
+// time_goals.tag_id cascades on delete: move the goals over first, one per period at most
+async function moveGoals(userId, fromId, intoId) {
+  const { data: goals, error } = await supabase.from('time_goals').select('id, tag_id, period').eq('user_id', userId).in('tag_id', [fromId, intoId])
+  if (error) return error
+  const covered = new Set((goals || []).filter((g) => g.tag_id === intoId).map((g) => g.period))
+  for (const goal of (goals || []).filter((g) => g.tag_id === fromId && !covered.has(g.period))) {
+    const { data: updated, error: updErr } = await supabase.from('time_goals').update({ tag_id: intoId }).eq('id', goal.id).select('*')
+    if (updErr) return updErr
+    emitChange('time_goals', 'UPDATE', updated)
+    covered.add(goal.period)
+  }
+  return null
+}
+
+async function retagEverywhere(userId, fromId, intoId) {
+  for (const table of TAGGED_TABLES) {
+    const err = await retag(table, userId, fromId, intoId)
+    if (err) return err
+  }
+  return retagTemplates(userId, fromId, intoId)
+}
+
+export async function mergeTags(userId, fromTagId, intoTagId) {
+  if (!userId || !fromTagId || !intoTagId || fromTagId === intoTagId) return { error: new Error('Missing args') }
+  const err = (await retagEverywhere(userId, fromTagId, intoTagId)) || (await moveGoals(userId, fromTagId, intoTagId))
+  if (err) return { error: err }
+  const { data, error } = await supabase.from('tags').delete().eq('id', fromTagId).select('*')
+  emitChange('tags', 'DELETE', data)
+  return { error }
+}
+
+export async function deleteTag(userId, tagId) {
+  if (!userId || !tagId) return { error: new Error('Missing args') }
+  const err = await retagEverywhere(userId, tagId, null)
+  if (err) return { error: err }
+  const { data, error } = await supabase.from('tags').delete().eq('id', tagId).select('*')
+  emitChange('tags', 'DELETE', data)
+  return { error }
+}
@@ -0,0 +1,107 @@
+// src/api/taskService.js
+import { supabase } from './supabaseClient'
+import { skipOccurrence } from './recurrenceService'
+import { emitChange } from './realtimeService'
+
+/**
+ * Task service: shared task mutations used by more than one screen.
+ *
+ * Exports:
+ * - insertTasks(rows) -> inserts new task rows (TaskForm, quick-add); fills status 'pending' and 'Untitled'
+ * - deleteTask(task) -> removes the task and its time_entries; recurring occurrences are skipped
+ *   instead so the series does not recreate them
+ * - deleteTasks(tasks) -> bulk deleteTask: one time_entries + one tasks delete for plain tasks,
+ *   recurring occurrences skipped one by one
+ * - moveTasks(taskIds, dateStr) -> reschedules tasks to another date
+ * - updateTasks(taskIds, updates) -> same column values on several tasks (complete, team, tags)
+ * - addTagToTasks(tasks, tagId) -> appends a tag to each task's tag_ids
+ * - listOverdue(userId, beforeDate) -> unfinished one-off tasks dated before beforeDate; recurring
+ *   occurrences are left out (the series already puts today's occurrence on the list)
+ * - listDueSoon(userId, untilIso) -> unfinished tasks whose deadline_at is before untilIso (includes past deadlines)
+ */
+
+export async function insertTasks(rows) {
+  const list = (Array.isArray(rows) ? rows : [rows]).filter(Boolean)
+  if (!list.length) return { data: [], error: new Error('Missing rows') }
+  const payload = list.map((r) => ({ status: 'pending', ...r, title: r.title || 'Untitled' }))
+  const { data, error } = await supabase.from('tasks').insert(payload).select('*')
+  emitChange('tasks', 'INSERT', data)
+  return { data: data || [], error }
+}
+
+export async function deleteTask(task) {
+  if (!task || !task.id) return { error: new Error('Missing task') }
+  if (task.series_id) return skipOccurrence(task)
+  const { data: entries } = await supabase.from('time_entries').delete().eq('task_id', task.id).select('*')
+  emitChange('time_entries', 'DELETE', entries)
+  const { data, error } = await supabase.from('tasks').delete().eq('id', task.id).select('*')
+  emitChange('tasks', 'DELETE', data)
+  return { error }
+}
+
+export async function deleteTasks(tasks) {
+  const list = (tasks || []).filter((t) => t && t.id)
+  if (!list.length) return { error: new Error('Missing tasks') }
+  for (const t of list.filter((x) => x.series_id)) {
+    const { error } = await skipOccurrence(t)
+    if (error) return { error }
+  }
+  const plainIds = list.filter((t) => !t.series_id).map((t) => t.id)
+  if (!plainIds.length) return { error: null }
+  const { data: entries } = await supabase.from('time_entries').delete().in('task_id', plainIds).select('*')
+  emitChange('time_entries', 'DELETE', entries)
+  const { data, error } = await supabase.from('tasks').delete().in('id', plainIds).select('*')
+  emitChange('tasks', 'DELETE', data)
+  return { error }
+}
+
+export async function updateTasks(taskIds, updates = {}) {
+  if (!taskIds || !taskIds.length) return { error: new Error('Missing args') }
+  const { data, error } = await supabase.from('tasks').update(updates).in('id', taskIds).select('*')
+  emitChange('tasks', 'UPDATE', data)
+  return { error }
+}
+
+export async function addTagToTasks(tasks, tagId) {
+  if (!tagId) return { error: new Error('Missing tag') }
+  for (const t of (tasks || []).filter((x) => !(x.tag_ids || []).includes(tagId))) {
+    const { data, error } = await supabase.from('tasks').update({ tag_ids: [...(t.tag_ids || []), tagId] }).eq('id', t.id).select('*')
+    if (error) return { error }
+    emitChange('tasks', 'UPDATE', data)
+  }
+  return { error: null }
+}
+
+export async function moveTasks(taskIds, dateStr) {
+  if (!taskIds || !taskIds.length || !dateStr) return { error: new Error('Missing args') }
+  const { data, error } = await supabase.from('tasks').update({ date: dateStr }).in('id', taskIds).select('*')
+  emitChange('tasks', 'UPDATE', data)
+  return { error }
+}
+
+export async function listOverdue(userId, beforeDate) {
+  if (!userId || !beforeDate) return { data: [], error: new Error('Missing args') }
+  const { data, error } = await supabase
+    .from('tasks')
+    .select('*')
+    .eq('user_id', userId)
+    .neq('status', 'completed')
+    .is('series_id', null)
+    .lt('date', beforeDate)
+    .order('date', { ascending: true })
+    .order('time_from', { ascending: true })
+  return { data: data || [], error }
+}
+
+export async function listDueSoon(userId, untilIso) {
+  if (!userId || !untilIso) return { data: [], error: new Error('Missing args') }
+  const { data, error } = await supabase
+    .from('tasks')
+    .select('*')
+    .eq('user_id', userId)
+    .neq('status', 'completed')
+    .not('deadline_at', 'is', null)
+    .lte('deadline_at', untilIso)
+    .order('deadline_at', { ascending: true })
+  return { data: data || [], error }
+}
@@ -0,0 +1,88 @@
+// src/api/templateService.js
+import { supabase } from './supabaseClient'
+import { insertTasks } from './taskService'
+import { emitChange } from './realtimeService'
+
+/**
+ * Template service: named day templates ("Weekday", "Exam week").
+ *
+ * A row in `day_templates` keeps a snapshot of a day's tasks in `tasks` (jsonb array);
+ * only the fields in TEMPLATE_TASK_FIELDS are kept, so applying a template creates fresh
+ * pending tasks with the same times, tags, estimates and team.
+ *
+ * Exports:
+ * - listTemplates(userId)
+ * - createTemplateFromDay(userId, name, dateString) -> snapshot of that day's tasks
+ * - updateTemplate(id, { name?, tasks? })
+ * - deleteTemplate(id)
+ * - applyTemplate(userId, templateTasks, dateString) -> inserts tasks on that date
+ */
+
+export const TEMPLATE_TASK_FIELDS = [
+  'title',
+  'description',
+  'time_from',
+  'time_to',
+  'tag_ids',
+  'team_id',
+  'estimated_duration_seconds',
+  'priority',
+  'checklist',
+  'progress_from_checklist'
+]
+
+function toTemplateTask(task) {
+  const out = {}
+  TEMPLATE_TASK_FIELDS.forEach((f) => {
+    if (task[f] !== undefined) out[f] = task[f]
+  })
+  if (Array.isArray(out.checklist)) out.checklist = out.checklist.map((i) => ({ ...i, done: false }))
+  return out
+}
+
+export async function listTemplates(userId) {
+  if (!userId) return { data: [], error: new Error('Missing args') }
+  const { data, error } = await supabase.from('day_templates').select('*').eq('user_id', userId).order('name', { ascending: true })
+  return { data: data || [], error }
+}
+
+export async function createTemplateFromDay(userId, name, dateString) {
+  if (!userId || !name || !dateString) return { data: null, error: new Error('Missing args') }
+  const { data: tasks, error: fetchErr } = await supabase
+    .from('tasks')
+    .select('*')
+    .eq('user_id', userId)
+    .eq('date', dateString)
+    .order('time_from', { ascending: true })
+  if (fetchErr) return { data: null, error: fetchErr }
+  if (!tasks || !tasks.length) return { data: null, error: new Error('No tasks on that date') }
+
+  const { data, error } = await supabase
+    .from('day_templates')
+    .insert({ user_id: userId, name: name.trim(), tasks: tasks.map(toTemplateTask) })
+    .select('*')
+    .maybeSingle()
+  emitChange('day_templates', 'INSERT', data)
+  return { data, error }
+}
+
+export async function updateTemplate(id, updates = {}) {
+  if (!id) return { data: null, error: new Error('Missing id') }
+  const { data, error } = await supabase.from('day_templates').update(updates).eq('id', id).select('*').maybeSingle()
+  emitChange('day_templates', 'UPDATE', data)
+  return { data, error }
+}
+
+export async function deleteTemplate(id) {
+  if (!id) return { error: new Error('Missing id') }
+  const { data, error } = await supabase.from('day_templates').delete().eq('id', id).select('*')
+  emitChange('day_templates', 'DELETE', data)
+  return { error }
+}
+
+export async function applyTemplate(userId, templateTasks, dateString) {
+  if (!userId || !dateString) return { data: [], error: new Error('Missing args') }
+  const rows = (templateTasks || []).map((t) => ({ ...toTemplateTask(t), user_id: userId, date: dateString, status: 'pending' }))
+  if (!rows.length) return { data: [], error: new Error('Nothing to apply') }
+  return insertTasks(rows)
+}
@@ -1,5 +1,9 @@
 // src/api/timerService.js
 import { supabase } from './supabaseClient'
+import { adhocTitle, listRunningEntries } from './trackingService'
+import { emitChange } from './realtimeService'
+import { updateTasks } from './taskService'
+import { cancelAlert } from '../utils/notify'
 
 /**
  * Timer service: robust, authoritative aggregates and CRUD for time_entries.
@@ -11,6 +15,26 @@ import { supabase } from './supabaseClient'
  * runningEntry: the single latest running entry (end_at IS NULL) or null
  * entries: full list ordered ascending by start_at
  * warnings: array of warning strings for the caller (e.g., multiple running entries)
+ *
+ * Account-wide single running timer:
+ *  - createEntryExclusive(userId, taskId, { confirmSwitch, fresh }) stops the user's running entries on
+ *    other tasks before starting this one. confirmSwitch(message, others) may return false to cancel.
+ *    fresh: also stop one running on this task, so a new entry starts (a Pomodoro focus interval
+ *    must not take over a manual session).
+ *  - startAdhocEntry(userId, { confirmSwitch }) does the same for a "track now" entry without a task
+ *    (task_id null, user_id set); it is labelled / tagged / attached to a task when stopped.
+ *  - repairRunningEntries(userId) resolves existing overlaps: every running entry except the latest is
+ *    stopped at the start of the next one.
+ *
+ * Every entry carries user_id (also task-linked ones) so realtime can filter on ownership.
+ *
+ * Stop buttons (TimerOverlay, MiniTimerBar, RunningTimers, ForgottenTimerPrompt) all go through
+ * stopTimer(entry, taskId, { endAtIso, extra, finish }): stops the entry (extra: note / focus_rating
+ * from StopTimerSheet), completes the task when finishing, and cancels the task's target / Pomodoro
+ * alerts so nothing fires for a timer that is no longer running.
+ *
+ * Session log edits (callers validate with utils/timeEntries.validateSegment first):
+ *  - addManualEntry(taskId, startIso, endIso, extra), splitEntry(entry, atIso), mergeEntries(first, second)
  */
 
 export async function listEntries(taskId) {
@@ -22,7 +46,7 @@ export async function listEntries(taskId) {
   return { data, error }
 }
 
-export async function createEntry(taskId) {
+export async function createEntry(taskId, userId = null) {
   // Re-check running entries. If one exists return it; if many exist, return latest and warn.
   const { data: runningRows, error: fetchErr } = await supabase
     .from('time_entries')
@@ -42,11 +66,94 @@ export async function createEntry(taskId) {
 
   // create new entry
   const start_at = new Date().toISOString()
-  const { data, error } = await supabase.from('time_entries').insert({ task_id: taskId, start_at }).select('*').maybeSingle()
+  const { data, error } = await supabase.from('time_entries').insert({ task_id: taskId, user_id: userId, start_at }).select('*').maybeSingle()
+  emitChange('time_entries', 'INSERT', data)
   return { data, created: !error && !!data, error, warnings: [] }
 }
 
-export async function stopEntry(entryId, endAtIso = null) {
+// stop the running entries `isOther` selects (after confirmSwitch, when given)
+async function stopOtherRunning(userId, isOther, confirmSwitch, what) {
+  const { data: running, error: runErr } = await listRunningEntries(userId)
+  if (runErr) return { error: runErr, running: [], stopped: [] }
+
+  const others = running.filter(isOther)
+  if (others.length && confirmSwitch) {
+    const titles = others.map((r) => `"${r.tasks ? r.tasks.title : adhocTitle(r)}"`).join(', ')
+    const ok = await confirmSwitch(`A timer is already running on ${titles}. Stop it and start ${what}?`, others)
+    if (!ok) return { cancelled: true, running, stopped: [] }
+  }
+
+  const now = new Date().toISOString()
+  for (const r of others) {
+    const { error } = await stopEntry(r.id, now)
+    if (error) return { error, running, stopped: [] }
+  }
+  return { running, stopped: others }
+}
+
+export async function createEntryExclusive(userId, taskId, { confirmSwitch = null, fresh = false } = {}) {
+  const isOther = fresh ? () => true : (r) => r.task_id !== taskId
+  const { error, cancelled, stopped } = await stopOtherRunning(userId, isOther, confirmSwitch, fresh ? 'a new session' : 'this task')
+  if (error) return { data: null, created: false, error, warnings: ['stop-other-failed'] }
+  if (cancelled) return { data: null, created: false, cancelled: true, error: null, warnings: [] }
+
+  const result = await createEntry(taskId, userId)
+  return { ...result, stopped }
+}
+
+export async function startAdhocEntry(userId, { confirmSwitch = null } = {}) {
+  const { error, cancelled, running, stopped } = await stopOtherRunning(userId, (r) => r.task_id != null, confirmSwitch, 'a new untitled timer')
+  if (error) return { data: null, created: false, error }
+  if (cancelled) return { data: null, created: false, cancelled: true, error: null }
+
+  // an ad-hoc timer is already running: keep it instead of starting a second one
+  const existing = running.filter((r) => r.task_id == null).pop()
+  if (existing) return { data: existing, created: false, error: null, stopped }
+
+  const { data, error: insErr } = await supabase
+    .from('time_entries')
+    .insert({ task_id: null, user_id: userId, start_at: new Date().toISOString() })
+    .select('*')
+    .maybeSingle()
+  emitChange('time_entries', 'INSERT', data)
+  return { data, created: !insErr && !!data, error: insErr, stopped }
+}
+
+export async function repairRunningEntries(userId) {
+  const { data: running, error } = await listRunningEntries(userId)
+  if (error) return { data: null, error }
+  // oldest first: each one ends where the next one starts, the latest keeps running
+  for (let i = 0; i < running.length - 1; i++) {
+    const { error: stopErr } = await stopEntry(running[i].id, running[i + 1].start_at)
+    if (stopErr) return { data: null, error: stopErr }
+  }
+  return { data: { stopped: Math.max(0, running.length - 1), kept: running[running.length - 1] || null }, error: null }
+}
+
+export async function getEntry(entryId) {
+  const { data, error } = await supabase.from('time_entries').select('*').eq('id', entryId).maybeSingle()
+  return { data, error }
+}
+
+export async function stopTimer(entry, taskId = null, { endAtIso = null, extra = {}, finish = false } = {}) {
+  const id = taskId || (entry && entry.task_id)
+  if (entry && !entry.end_at) {
+    const { error } = await stopEntry(entry.id, endAtIso, extra)
+    if (error) return { error }
+  }
+  if (id) {
+    cancelAlert(`target-${id}`)
+    cancelAlert(`pomodoro-${id}`)
+  }
+  if (finish && id) {
+    const { error } = await updateTasks([id], { status: 'completed' })
+    if (error) return { error }
+  }
+  return { error: null }
+}
+
+// extra: additional columns to persist with the stop, e.g. { pomodoro: true } or { note, focus_rating }
+export async function stopEntry(entryId, endAtIso = null, extra = {}) {
   const end_at = endAtIso || new Date().toISOString()
 
   // fetch existing entry first
@@ -62,10 +169,11 @@ export async function stopEntry(entryId, endAtIso = null) {
 
   const { data, error } = await supabase
     .from('time_entries')
-    .update({ end_at, duration_seconds })
+    .update({ ...extra, end_at, duration_seconds })
     .eq('id', entryId)
     .select('*')
     .maybeSingle()
+  emitChange('time_entries', 'UPDATE', data)
 
   return { data, error }
 }
@@ -79,11 +187,46 @@ export async function updateEntry(entryId, updates = {}) {
     )
   }
   const { data, error } = await supabase.from('time_entries').update(payload).eq('id', entryId).select('*').maybeSingle()
+  emitChange('time_entries', 'UPDATE', data)
   return { data, error }
 }
 
+// time tracked offline; extra: e.g. { note, focus_rating, user_id }
+export async function addManualEntry(taskId, startIso, endIso, extra = {}) {
+  const duration_seconds = Math.max(0, Math.round((new Date(endIso).getTime() - new Date(startIso).getTime()) / 1000))
+  const { data, error } = await supabase
+    .from('time_entries')
+    .insert({ ...extra, task_id: taskId, start_at: startIso, end_at: endIso, duration_seconds })
+    .select('*')
+    .maybeSingle()
+  emitChange('time_entries', 'INSERT', data)
+  return { data, error }
+}
+
+// one segment -> [start, at) + [at, end); a running entry keeps running in the second half
+export async function splitEntry(entry, atIso) {
+  const { error: updErr } = await updateEntry(entry.id, { start_at: entry.start_at, end_at: atIso })
+  if (updErr) return { data: null, error: updErr }
+  const second = { task_id: entry.task_id, user_id: entry.user_id || null, start_at: atIso, end_at: entry.end_at || null }
+  if (entry.end_at) second.duration_seconds = Math.max(0, Math.round((new Date(entry.end_at).getTime() - new Date(atIso).getTime()) / 1000))
+  const { data, error } = await supabase.from('time_entries').insert(second).select('*').maybeSingle()
+  emitChange('time_entries', 'INSERT', data)
+  return { data, error }
+}
+
+// two completed, chronologically adjacent segments -> one spanning both (a gap between them is included);
+// notes are joined, the first segment's focus rating wins
+export async function mergeEntries(first, second) {
+  const note = [first.note, second.note].filter(Boolean).join(' / ') || null
+  const { data, error } = await updateEntry(first.id, { start_at: first.start_at, end_at: second.end_at, note, focus_rating: first.focus_rating || second.focus_rating || null })
+  if (error) return { data: null, error }
+  const { error: delErr } = await deleteEntry(second.id)
+  return { data, error: delErr }
+}
+
 export async function deleteEntry(entryId) {
-  const { error } = await supabase.from('time_entries').delete().eq('id', entryId)
+  const { data, error } = await supabase.from('time_entries').delete().eq('id', entryId).select('*')
+  emitChange('time_entries', 'DELETE', data)
   return { error }
 }
 
@@ -0,0 +1,100 @@
+// src/api/trackingService.js
+import { supabase } from './supabaseClient'
+import dayjs from 'dayjs'
+
+/**
+ * Tracking service: time_entries across all of a user's tasks (not just one task).
+ *
+ * Exports:
+ * - listUserEntries(userId, fromDate, toDate) -> entries whose start_at falls in [fromDate, toDate] (local days)
+ * - listRunningEntries(userId) -> open entries (end_at IS NULL) on any of the user's tasks, oldest first,
+ *   each with its task row embedded as `tasks`
+ * Both include the user's ad-hoc entries ("track now": task_id null, owned via user_id; `tasks` is null).
+ * - adhocTitle(entry) -> display name of an entry without a task
+ * - searchEntryNotes(userId, query, minRating) -> entries whose note matches (newest first, max 50),
+ *   optionally only those rated at least minRating; ad-hoc entries come back with tasks: null
+ * - entrySeconds(entry) -> stored duration, or live elapsed for a running entry
+ * - secondsByDay(entries) -> { 'YYYY-MM-DD': seconds } keyed by local start day
+ */
+
+export async function listUserEntries(userId, fromDate, toDate) {
+  if (!userId || !fromDate || !toDate) return { data: [], error: new Error('Missing args') }
+  const fromIso = dayjs(fromDate).startOf('day').toISOString()
+  const toIso = dayjs(toDate).add(1, 'day').startOf('day').toISOString()
+  const [withTask, adhoc] = await Promise.all([
+    supabase
+      .from('time_entries')
+      .select('id, task_id, start_at, end_at, duration_seconds, focus_rating, tasks!inner(user_id)')
+      .eq('tasks.user_id', userId)
+      .gte('start_at', fromIso)
+      .lt('start_at', toIso),
+    supabase
+      .from('time_entries')
+      .select('id, task_id, start_at, end_at, duration_seconds, focus_rating, label, tag_ids')
+      .eq('user_id', userId)
+      .is('task_id', null)
+      .gte('start_at', fromIso)
+      .lt('start_at', toIso)
+  ])
+  return { data: mergeByStart(withTask.data, adhoc.data), error: withTask.error || adhoc.error }
+}
+
+function mergeByStart(a, b) {
+  return [...(a || []), ...(b || []).map((e) => ({ ...e, tasks: null }))].sort((x, y) => new Date(x.start_at) - new Date(y.start_at))
+}
+
+export function adhocTitle(entry) {
+  return (entry && entry.label) || 'Untitled timer'
+}
+
+export async function listRunningEntries(userId) {
+  if (!userId) return { data: [], error: new Error('Missing userId') }
+  const [withTask, adhoc] = await Promise.all([
+    supabase.from('time_entries').select('*, tasks!inner(*)').eq('tasks.user_id', userId).is('end_at', null),
+    supabase.from('time_entries').select('*').eq('user_id', userId).is('task_id', null).is('end_at', null)
+  ])
+  return { data: mergeByStart(withTask.data, adhoc.data), error: withTask.error || adhoc.error }
+}
+
+export async function searchEntryNotes(userId, query, minRating = null) {
+  if (!userId) return { data: [], error: new Error('Missing userId') }
+  const filtered = (builder) => {
+    builder = builder.not('note', 'is', null)
+    if (query && query.trim()) builder = builder.ilike('note', `%${query.trim()}%`)
+    if (minRating) builder = builder.gte('focus_rating', minRating)
+    return builder.order('start_at', { ascending: false }).limit(50)
+  }
+  const [withTask, adhoc] = await Promise.all([
+    filtered(
+      supabase
+        .from('time_entries')
+        .select('id, task_id, start_at, end_at, duration_seconds, note, focus_rating, tasks!inner(user_id, title, date)')
+        .eq('tasks.user_id', userId)
+    ),
+    filtered(
+      supabase
+        .from('time_entries')
+        .select('id, task_id, start_at, end_at, duration_seconds, note, focus_rating, label')
+        .eq('user_id', userId)
+        .is('task_id', null)
+    )
+  ])
+  const data = mergeByStart(withTask.data, adhoc.data).reverse().slice(0, 50)
+  return { data, error: withTask.error || adhoc.error }
+}
+
+export function entrySeconds(entry) {
+  if (!entry) return 0
+  if (entry.duration_seconds) return entry.duration_seconds
+  if (entry.start_at && !entry.end_at) return Math.max(0, Math.round((Date.now() - new Date(entry.start_at)) / 1000))
+  return 0
+}
+
+export function secondsByDay(entries) {
+  const out = {}
+  ;(entries || []).forEach((e) => {
+    const d = dayjs(e.start_at).format('YYYY-MM-DD')
+    out[d] = (out[d] || 0) + entrySeconds(e)
+  })
+  return out
+}
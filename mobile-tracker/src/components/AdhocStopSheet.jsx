@@ -0,0 +1,100 @@
+// src/components/AdhocStopSheet.jsx
+import React, { useEffect, useState } from 'react'
+import dayjs from 'dayjs'
+import { supabase } from '../api/supabaseClient'
+import { listTags } from '../api/tagService'
+import * as timerService from '../api/timerService'
+import { durationHuman } from '../utils/time'
+import TagPicker from './TagPicker'
+
+/**
+ * AdhocStopSheet — stop a "track now" timer and say what it was.
+ *
+ * Label and tags stay on the entry; "Attach to task" moves it onto one of the last week's tasks
+ * (it then counts toward that task like any other segment). Discard deletes the entry.
+ *
+ * Props: user, entry, onDone() after stop / discard, onCancel()
+ */
+export default function AdhocStopSheet({ user, entry, onDone, onCancel }) {
+  const [label, setLabel] = useState(entry.label || '')
+  const [tagIds, setTagIds] = useState(entry.tag_ids || [])
+  const [tags, setTags] = useState([])
+  const [recentTasks, setRecentTasks] = useState([])
+  const [taskId, setTaskId] = useState('')
+  const [busy, setBusy] = useState(false)
+
+  useEffect(() => {
+    listTags(user.id).then(({ data }) => setTags(data || []))
+    ;(async () => {
+      const { data, error } = await supabase
+        .from('tasks')
+        .select('id, title, date')
+        .eq('user_id', user.id)
+        .gte('date', dayjs().subtract(7, 'day').format('YYYY-MM-DD'))
+        .lte('date', dayjs().add(1, 'day').format('YYYY-MM-DD'))
+        .order('date', { ascending: false })
+      if (error) console.error('load recent tasks', error)
+      setRecentTasks(data || [])
+    })()
+  }, [user.id])
+
+  const elapsed = Math.round((Date.now() - new Date(entry.start_at)) / 1000)
+
+  async function handleStop() {
+    setBusy(true)
+    const extra = taskId ? { task_id: taskId, label: label.trim() || null, tag_ids: tagIds } : { label: label.trim() || null, tag_ids: tagIds }
+    const { error } = await timerService.stopEntry(entry.id, null, extra)
+    setBusy(false)
+    if (error) {
+      console.error('stop ad-hoc timer failed', error)
+      return alert('Could not stop the timer')
+    }
+    onDone && onDone()
+  }
+
+  async function handleDiscard() {
+    if (!confirm('Discard this timer? The tracked time is deleted.')) return
+    setBusy(true)
+    const { error } = await timerService.deleteEntry(entry.id)
+    setBusy(false)
+    if (error) return alert('Could not discard the timer')
+    onDone && onDone()
+  }
+
+  return (
+    <div className="fixed inset-0 z-50 bg-black/40 flex items-end sm:items-center justify-center p-4" role="dialog" aria-modal="true">
+      <div className="bg-white rounded-2xl p-4 w-full max-w-md">
+        <div className="font-semibold mb-1">What was this?</div>
+        <div className="text-xs text-slate-500 mb-3">
+          Since {dayjs(entry.start_at).format('HH:mm')} • {durationHuman(elapsed)}
+        </div>
+
+        <input className="w-full p-2 mb-2 border rounded" value={label} onChange={(e) => setLabel(e.target.value)} placeholder="Label, e.g. Call with Sam" autoFocus />
+
+        <TagPicker userId={user.id} tags={tags} value={tagIds} onChange={setTagIds} onTagCreated={(t) => setTags((prev) => [...prev, t])} />
+
+        <label className="text-sm mt-2 block">Attach to task (optional)</label>
+        <select className="w-full p-2 mb-3 border rounded" value={taskId} onChange={(e) => setTaskId(e.target.value)}>
+          <option value="">Keep as unplanned time</option>
+          {recentTasks.map((t) => (
+            <option key={t.id} value={t.id}>
+              {t.date} — {t.title}
+            </option>
+          ))}
+        </select>
+
+        <div className="flex gap-2">
+          <button className="btn flex-1" onClick={handleStop} disabled={busy}>
+            {busy ? '...' : 'Stop & save'}
+          </button>
+          <button className="py-2 px-3 rounded border text-red-600" onClick={handleDiscard} disabled={busy}>
+            Discard
+          </button>
+          <button className="py-2 px-3 rounded border" onClick={onCancel} disabled={busy}>
+            Keep running
+          </button>
+        </div>
+      </div>
+    </div>
+  )
+}
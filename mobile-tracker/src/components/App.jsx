@@ -1,5 +1,5 @@
 // src/components/App.jsx
-import React, { useEffect, useState } from 'react'
+import React, { useEffect, useRef, useState } from 'react'
 import Auth from './Auth'
 import BottomNav from './BottomNav'
 import Dashboard from './Dashboard'
@@ -8,12 +8,31 @@ import UsersPage from './UsersPage'
 import ProfilePage from './ProfilePage'
 import TeamsPage from './TeamsPage'
 import DiaryPage from './DiaryPage'
+import HabitsPage from './HabitsPage'
+import TemplatesPage from './TemplatesPage'
+import ReviewPage from './ReviewPage'
+import TimerOverlay from './TimerOverlay'
+import MiniTimerBar from './MiniTimerBar'
+import ForgottenTimerPrompt from './ForgottenTimerPrompt'
 import { loadUserFromLocalToken, supabase } from '../api/supabaseClient'
+import { listRunningEntries } from '../api/trackingService'
+import { subscribeToTables } from '../api/realtimeService'
+import * as timerService from '../api/timerService'
+import { getSettings } from '../utils/settings'
+import { isForgotten, keptEntryIds, lastActive, markActive } from '../utils/forgottenTimer'
 
 export default function App() {
   const [user, setUser] = useState(null)
-  const [active, setActive] = useState('dashboard') // 'dashboard' | 'calendar' | 'users' | 'profile' | 'teams' | 'diary'
+  const [active, setActive] = useState('dashboard') // 'dashboard' | 'calendar' | 'users' | 'profile' | 'teams' | 'diary' | 'habits' | 'templates' | 'review'
+  const [templatesDate, setTemplatesDate] = useState(null) // date the templates screen was opened from
+  const [reviewDate, setReviewDate] = useState(null) // day whose week the review screen opens on
   const [loading, setLoading] = useState(true)
+  // app-level timer: survives page switches and is rehydrated from the open time_entries row
+  const [timer, setTimer] = useState(null) // { entry, task, baseSeconds } | null
+  const [timerTask, setTimerTask] = useState(null) // task shown in TimerOverlay
+  const [syncVersion, setSyncVersion] = useState(0) // bumped when a timer started / stopped or tasks changed on another device
+  const [forgotten, setForgotten] = useState(null) // { entry, task } running suspiciously long
+  const lastSeenRef = useRef(null) // heartbeat from before the app was (re)opened
 
   useEffect(() => {
     async function init() {
@@ -26,9 +45,96 @@ export default function App() {
     // Optional: listener for auth changes if you use Edge Function/Server-side later
   }, [])
 
+  useEffect(() => {
+    if (!user) return
+    // read the previous heartbeat before writing a fresh one: it is the forgotten-timer hint
+    lastSeenRef.current = lastActive(user.id)
+    markActive(user.id)
+    loadRunningTimer()
+    const heartbeat = setInterval(() => {
+      if (document.visibilityState === 'visible') markActive(user.id)
+    }, 60 * 1000)
+    // pick up timers started / stopped on another device when the app comes back into view
+    function onVisible() {
+      if (document.visibilityState === 'visible') {
+        lastSeenRef.current = lastActive(user.id)
+        markActive(user.id)
+        loadRunningTimer()
+      } else {
+        markActive(user.id)
+      }
+    }
+    document.addEventListener('visibilitychange', onVisible)
+    // realtime: a timer started / task completed on another device shows up here right away
+    const unsubscribe = subscribeToTables(
+      [
+        { table: 'tasks', filter: `user_id=eq.${user.id}` },
+        { table: 'time_entries', filter: `user_id=eq.${user.id}` }
+      ],
+      handleTimerChanged
+    )
+    return () => {
+      clearInterval(heartbeat)
+      document.removeEventListener('visibilitychange', onVisible)
+      unsubscribe()
+    }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [user])
+
+  // latest running entry across the user's tasks, plus the task's completed seconds
+  async function loadRunningTimer() {
+    const { data, error } = await listRunningEntries(user.id)
+    if (error) {
+      console.error('load running timer', error)
+      return
+    }
+    const settings = getSettings(user.id)
+    const kept = keptEntryIds()
+    const stale = data.find((r) => !kept.includes(r.id) && isForgotten(r, settings))
+    if (stale) {
+      const { tasks: staleTask, ...staleEntry } = stale
+      setForgotten({ entry: staleEntry, task: staleTask })
+    } else {
+      setForgotten(null)
+    }
+
+    const latest = data[data.length - 1]
+    if (!latest) {
+      setTimer(null)
+      return
+    }
+    const { tasks: task, ...entry } = latest
+    // "track now" entries have no task (and nothing tracked before them)
+    const agg = task ? await timerService.getAggregate(task.id) : { baseSeconds: 0 }
+    setTimer({ entry, task, baseSeconds: agg.baseSeconds || 0 })
+  }
+
+  // "Track now": start an ad-hoc timer without a task, labelled when it is stopped
+  async function handleTrackNow() {
+    const { timerSwitch } = getSettings(user.id)
+    const { cancelled, error } = await timerService.startAdhocEntry(user.id, {
+      confirmSwitch: timerSwitch === 'ask' ? (message) => confirm(message) : null
+    })
+    if (cancelled) return
+    if (error) {
+      console.error('track now failed', error)
+      alert('Could not start the timer')
+      return
+    }
+    handleTimerChanged()
+  }
+
+  function handleTimerChanged() {
+    loadRunningTimer()
+    setSyncVersion((v) => v + 1)
+  }
+
   async function handleLogout() {
     localStorage.removeItem('dlt_session_token')
     setUser(null)
+    setTimer(null)
+    setTimerTask(null)
+    setForgotten(null)
     setActive('dashboard')
   }
 
@@ -49,16 +155,64 @@ export default function App() {
 
   return (
     <div className="app min-h-screen bg-slate-50">
-      <main className="px-4 pt-4 pb-28">
-        {active === 'dashboard' && <Dashboard user={user} />}
-        {active === 'calendar' && <CalendarPage user={user} />}
+      <main className={`px-4 pt-4 ${timer ? 'pb-44' : 'pb-28'}`}>
+        {active === 'dashboard' && (
+          <Dashboard
+            user={user}
+            syncVersion={syncVersion}
+            onStartTask={setTimerTask}
+            onTrackNow={handleTrackNow}
+            onOpenTemplates={(d) => {
+              setTemplatesDate(d)
+              setActive('templates')
+            }}
+          />
+        )}
+        {active === 'calendar' && (
+          <CalendarPage
+            user={user}
+            onOpenReview={(d) => {
+              setReviewDate(d)
+              setActive('review')
+            }}
+          />
+        )}
         {active === 'users' && <UsersPage user={user} />}
         {active === 'profile' && <ProfilePage user={user} onLogout={handleLogout} />}
         {active === 'teams' && <TeamsPage user={user} />}
         {active === 'diary' && <DiaryPage user={user} />}
+        {active === 'habits' && <HabitsPage user={user} />}
+        {active === 'templates' && <TemplatesPage user={user} initialDate={templatesDate} onBack={() => setActive('dashboard')} />}
+        {active === 'review' && <ReviewPage user={user} initialDate={reviewDate} onBack={() => setActive('calendar')} />}
       </main>
 
+      {timer && !timerTask && <MiniTimerBar user={user} timer={timer} onOpen={setTimerTask} onChanged={handleTimerChanged} />}
+
       <BottomNav active={active} setActive={setActive} />
+
+      {forgotten && !timerTask && (
+        <ForgottenTimerPrompt
+          user={user}
+          entry={forgotten.entry}
+          task={forgotten.task}
+          lastActiveMs={lastSeenRef.current}
+          onDone={(changed) => {
+            setForgotten(null)
+            if (changed) handleTimerChanged()
+          }}
+        />
+      )}
+
+      {timerTask && (
+        <TimerOverlay
+          user={user}
+          task={timerTask}
+          onClose={() => {
+            setTimerTask(null)
+            handleTimerChanged()
+          }}
+        />
+      )}
     </div>
   )
 }
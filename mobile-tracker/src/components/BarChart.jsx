@@ -0,0 +1,32 @@
+// src/components/BarChart.jsx
+import React from 'react'
+
+/**
+ * BarChart — dependency-free vertical bar chart (flex + divs), sized to its container width.
+ *
+ * Props:
+ * - bars: [{ key, value, title?, className? }] (title is the hover text, className overrides the colour)
+ * - max: optional scale maximum (defaults to the largest value)
+ * - height: Tailwind height class, default 'h-24'
+ * - startLabel / endLabel: captions under the first and last bar
+ */
+export default function BarChart({ bars, max, height = 'h-24', startLabel, endLabel }) {
+  const scale = max || Math.max(1, ...bars.map((b) => b.value || 0))
+  return (
+    <div>
+      <div className={`flex items-end gap-px ${height} border-b`}>
+        {bars.map((b) => (
+          <div key={b.key} className="flex-1 flex flex-col justify-end h-full" title={b.title}>
+            <div className={`w-full rounded-t ${b.className || 'bg-primary'}`} style={{ height: `${Math.min(100, ((b.value || 0) / scale) * 100)}%` }} />
+          </div>
+        ))}
+      </div>
+      {(startLabel || endLabel) && (
+        <div className="flex justify-between text-[10px] text-slate-400 mt-1">
+          <span>{startLabel}</span>
+          <span>{endLabel}</span>
+        </div>
+      )}
+    </div>
+  )
+}
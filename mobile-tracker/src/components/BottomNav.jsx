@@ -4,6 +4,7 @@ import React from 'react'
 const items = [
   { id: 'dashboard', label: 'Dashboard', icon: '🏠' },
   { id: 'calendar', label: 'Calendar', icon: '📅' },
+  { id: 'habits', label: 'Habits', icon: '✅' },
   { id: 'users', label: 'Users', icon: '🔎' },
   { id: 'profile', label: 'Profile', icon: '👤' },
   { id: 'teams', label: 'Teams', icon: '👥' },
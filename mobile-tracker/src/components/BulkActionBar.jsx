@@ -0,0 +1,135 @@
+// src/components/BulkActionBar.jsx
+import React, { useEffect, useState } from 'react'
+import dayjs from 'dayjs'
+import { supabase } from '../api/supabaseClient'
+import { addTagToTasks, deleteTasks, moveTasks, updateTasks } from '../api/taskService'
+
+/**
+ * BulkActionBar — one action over every selected task, behind a single confirmation.
+ *
+ * Actions: complete, move to date, add / replace tag, assign team, delete.
+ * Delete goes through taskService.deleteTasks, which also removes time_entries
+ * (and skips recurring occurrences) exactly like TaskCard's delete.
+ *
+ * Props:
+ * - tasks: the selected task rows
+ * - tags: the user's tags
+ * - onDone(): called after the action succeeded (parent clears selection + reloads)
+ * - onCancel(): leave selection mode
+ */
+export default function BulkActionBar({ tasks, tags, onDone, onCancel }) {
+  const [action, setAction] = useState('complete')
+  const [date, setDate] = useState(dayjs().add(1, 'day').format('YYYY-MM-DD'))
+  const [tagId, setTagId] = useState('')
+  const [tagMode, setTagMode] = useState('add') // 'add' | 'replace'
+  const [teams, setTeams] = useState([])
+  const [teamId, setTeamId] = useState('')
+  const [busy, setBusy] = useState(false)
+
+  useEffect(() => {
+    ;(async () => {
+      const { data, error } = await supabase.from('teams').select('id, name').order('created_at', { ascending: false })
+      if (error) console.error('load teams', error)
+      setTeams(data || [])
+    })()
+  }, [])
+
+  const ids = tasks.map((t) => t.id)
+  const count = tasks.length
+  const tagName = (tags.find((t) => t.id === tagId) || {}).name
+
+  function describe() {
+    switch (action) {
+      case 'complete':
+        return `Mark ${count} task(s) complete?`
+      case 'move':
+        return `Move ${count} task(s) to ${date}?`
+      case 'tag':
+        return tagMode === 'add' ? `Add #${tagName} to ${count} task(s)?` : `Replace tags of ${count} task(s) with ${tagName ? `#${tagName}` : 'nothing'}?`
+      case 'team':
+        return teamId ? `Assign ${count} task(s) to ${(teams.find((t) => t.id === teamId) || {}).name}?` : `Remove team from ${count} task(s)?`
+      case 'delete':
+        return tasks.some((t) => t.series_id)
+          ? `Delete ${count} task(s)? One-off tasks lose their time entries; recurring occurrences are skipped and keep theirs.`
+          : `Delete ${count} task(s)? This will delete their time entries too.`
+      default:
+        return ''
+    }
+  }
+
+  async function handleApply() {
+    if (!count) return
+    if (action === 'tag' && tagMode === 'add' && !tagId) return alert('Pick a tag')
+    if (!confirm(describe())) return
+    setBusy(true)
+    try {
+      let result
+      if (action === 'complete') result = await updateTasks(ids, { status: 'completed' })
+      else if (action === 'move') result = await moveTasks(ids, date)
+      else if (action === 'tag') result = tagMode === 'add' ? await addTagToTasks(tasks, tagId) : await updateTasks(ids, { tag_ids: tagId ? [tagId] : [] })
+      else if (action === 'team') result = await updateTasks(ids, { team_id: teamId || null })
+      else if (action === 'delete') result = await deleteTasks(tasks)
+      if (result && result.error) throw result.error
+      onDone && onDone()
+    } catch (err) {
+      console.error('bulk action failed', err)
+      alert(err.message || 'Bulk action failed')
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  return (
+    <div className="card mb-3 sticky top-2 z-30">
+      <div className="flex items-center justify-between mb-2">
+        <div className="font-semibold">{count} selected</div>
+        <button className="py-1 px-2 rounded border text-sm" onClick={onCancel}>
+          Done
+        </button>
+      </div>
+      <div className="flex flex-wrap gap-2 items-center">
+        <select className="p-2 border rounded" value={action} onChange={(e) => setAction(e.target.value)}>
+          <option value="complete">Mark complete</option>
+          <option value="move">Move to date</option>
+          <option value="tag">Change tags</option>
+          <option value="team">Assign team</option>
+          <option value="delete">Delete</option>
+        </select>
+
+        {action === 'move' && <input type="date" className="p-2 border rounded" value={date} onChange={(e) => setDate(e.target.value)} />}
+
+        {action === 'tag' && (
+          <>
+            <select className="p-2 border rounded" value={tagMode} onChange={(e) => setTagMode(e.target.value)}>
+              <option value="add">Add</option>
+              <option value="replace">Replace with</option>
+            </select>
+            <select className="p-2 border rounded" value={tagId} onChange={(e) => setTagId(e.target.value)}>
+              <option value="">{tagMode === 'replace' ? 'No tags' : 'Tag…'}</option>
+              {tags.map((t) => (
+                <option key={t.id} value={t.id}>
+                  #{t.name}
+                </option>
+              ))}
+            </select>
+          </>
+        )}
+
+        {action === 'team' && (
+          <select className="p-2 border rounded" value={teamId} onChange={(e) => setTeamId(e.target.value)}>
+            <option value="">None</option>
+            {teams.map((t) => (
+              <option key={t.id} value={t.id}>
+                {t.name}
+              </option>
+            ))}
+          </select>
+        )}
+
+        <button className={`py-2 px-3 rounded ${action === 'delete' ? 'border text-red-600' : 'btn'}`} disabled={busy || !count} onClick={handleApply}>
+          {busy ? '…' : 'Apply'}
+        </button>
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,190 @@
+// src/components/CalendarGrid.jsx
+import React, { useEffect, useState } from 'react'
+import dayjs from 'dayjs'
+import { supabase } from '../api/supabaseClient'
+import { listVirtualOccurrences } from '../api/recurrenceService'
+import { listUserEntries, secondsByDay } from '../api/trackingService'
+import { listHabitLogs, listHabits } from '../api/habitService'
+import { isDone } from '../utils/habits'
+
+/**
+ * CalendarGrid — month grid or 7-day week view with per-day summaries.
+ *
+ * Browsing never writes: recurring occurrences that are not materialized yet are counted from the
+ * series rules (as pending); the day view creates them when a day is opened.
+ *
+ * Each cell shows the task count, completed vs pending, hours tracked
+ * (time_entries by the local day they started) and the icons of habits done that day.
+ * Tapping a cell calls onPickDate.
+ *
+ * Props:
+ * - user
+ * - mode: 'month' | 'week'
+ * - anchorDate: 'YYYY-MM-DD' inside the month/week to show
+ * - onAnchorChange(dateStr): prev/next navigation
+ * - onPickDate(dateStr): drill into the day view
+ */
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat']
+
+function visibleRange(mode, anchorDate) {
+  const a = dayjs(anchorDate)
+  if (mode === 'week') return { from: a.startOf('week'), to: a.endOf('week') }
+  // full weeks covering the month
+  return { from: a.startOf('month').startOf('week'), to: a.endOf('month').endOf('week') }
+}
+
+function hoursLabel(seconds) {
+  if (!seconds) return ''
+  const h = seconds / 3600
+  return h >= 10 ? `${Math.round(h)}h` : `${Math.round(h * 10) / 10}h`
+}
+
+export default function CalendarGrid({ user, mode, anchorDate, onAnchorChange, onPickDate }) {
+  const [summary, setSummary] = useState({}) // { date: { total, completed, pending, seconds, habits } }
+  const [loading, setLoading] = useState(false)
+
+  const { from, to } = visibleRange(mode, anchorDate)
+  const fromStr = from.format('YYYY-MM-DD')
+  const toStr = to.format('YYYY-MM-DD')
+
+  useEffect(() => {
+    loadSummary()
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [fromStr, toStr, user?.id])
+
+  async function loadSummary() {
+    if (!user?.id) return
+    setLoading(true)
+    try {
+      const { data: tasks, error } = await supabase
+        .from('tasks')
+        .select('id, date, status')
+        .eq('user_id', user.id)
+        .gte('date', fromStr)
+        .lte('date', toStr)
+      if (error) throw error
+      const { data: virtual, error: occErr } = await listVirtualOccurrences(user.id, fromStr, toStr)
+      if (occErr) console.warn('listVirtualOccurrences', occErr)
+
+      const { data: entries, error: entErr } = await listUserEntries(user.id, fromStr, toStr)
+      if (entErr) throw entErr
+      const seconds = secondsByDay(entries)
+
+      const [{ data: habits, error: habitErr }, { data: habitLogs, error: logErr }] = await Promise.all([
+        listHabits(user.id, { includeArchived: true }),
+        listHabitLogs(user.id, fromStr, toStr)
+      ])
+      if (habitErr || logErr) throw habitErr || logErr
+      const habitsById = Object.fromEntries(habits.map((h) => [h.id, h]))
+
+      const next = {}
+      const cellFor = (d) => next[d] || (next[d] = { total: 0, completed: 0, pending: 0, seconds: 0, habits: [] })
+      ;[...(tasks || []), ...virtual].forEach((t) => {
+        const cell = cellFor(t.date)
+        cell.total += 1
+        if (t.status === 'completed') cell.completed += 1
+        else cell.pending += 1
+      })
+      Object.entries(seconds).forEach(([d, s]) => {
+        cellFor(d).seconds = s
+      })
+      habitLogs.forEach((l) => {
+        const habit = habitsById[l.habit_id]
+        if (habit && isDone(habit, l.count)) cellFor(l.log_date).habits.push(habit)
+      })
+      setSummary(next)
+    } catch (err) {
+      console.error('load calendar summary', err)
+      setSummary({})
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const days = []
+  for (let d = from; !d.isAfter(to, 'day'); d = d.add(1, 'day')) days.push(d)
+  const today = dayjs().format('YYYY-MM-DD')
+  const anchor = dayjs(anchorDate)
+  const unit = mode === 'week' ? 'week' : 'month'
+  const title = mode === 'week' ? `${from.format('MMM D')} – ${to.format('MMM D, YYYY')}` : anchor.format('MMMM YYYY')
+
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-2">
+        <button className="px-2 py-1 rounded border" onClick={() => onAnchorChange(anchor.subtract(1, unit).format('YYYY-MM-DD'))} aria-label={`Previous ${unit}`}>
+          ‹
+        </button>
+        <div className="font-semibold">
+          {title} {loading && <span className="text-xs text-slate-400">loading…</span>}
+        </div>
+        <button className="px-2 py-1 rounded border" onClick={() => onAnchorChange(anchor.add(1, unit).format('YYYY-MM-DD'))} aria-label={`Next ${unit}`}>
+          ›
+        </button>
+      </div>
+
+      {mode === 'month' ? (
+        <div className="grid grid-cols-7 gap-1">
+          {WEEKDAYS.map((w) => (
+            <div key={w} className="text-center text-xs text-slate-500">
+              {w}
+            </div>
+          ))}
+          {days.map((d) => {
+            const ds = d.format('YYYY-MM-DD')
+            const cell = summary[ds]
+            const outside = d.month() !== anchor.month()
+            return (
+              <button
+                key={ds}
+                onClick={() => onPickDate(ds)}
+                className={`card p-1 text-left min-h-[64px] ${outside ? 'opacity-40' : ''} ${ds === today ? 'ring-2 ring-primary' : ''}`}
+              >
+                <div className="text-xs font-semibold">{d.date()}</div>
+                {cell && cell.total > 0 && (
+                  <div className="text-[10px] leading-tight">
+                    <span className="text-green-600">{cell.completed}✓</span> <span className="text-slate-500">{cell.pending}•</span>
+                  </div>
+                )}
+                {cell && cell.seconds > 0 && <div className="text-[10px] text-indigo-600">{hoursLabel(cell.seconds)}</div>}
+                {cell && cell.habits.length > 0 && (
+                  <div className="text-[9px] leading-tight truncate" title={cell.habits.map((h) => h.name).join(', ')}>
+                    {cell.habits.slice(0, 3).map((h) => h.icon || '✔️').join('')}
+                    {cell.habits.length > 3 && `+${cell.habits.length - 3}`}
+                  </div>
+                )}
+              </button>
+            )
+          })}
+        </div>
+      ) : (
+        <div className="space-y-2">
+          {days.map((d) => {
+            const ds = d.format('YYYY-MM-DD')
+            const cell = summary[ds] || { total: 0, completed: 0, pending: 0, seconds: 0, habits: [] }
+            const pct = cell.total ? Math.round((cell.completed / cell.total) * 100) : 0
+            return (
+              <button key={ds} onClick={() => onPickDate(ds)} className={`w-full card text-left ${ds === today ? 'ring-2 ring-primary' : ''}`}>
+                <div className="flex justify-between">
+                  <div className="font-medium">{d.format('ddd, MMM D')}</div>
+                  <div className="text-sm text-indigo-600">{hoursLabel(cell.seconds) || '0h'}</div>
+                </div>
+                <div className="text-xs text-slate-500">
+                  {cell.total} tasks • {cell.completed} completed • {cell.pending} pending
+                </div>
+                {cell.habits.length > 0 && (
+                  <div className="text-xs text-emerald-700 truncate">
+                    {cell.habits.map((h) => `${h.icon || '✔️'} ${h.name}`).join('  ')}
+                  </div>
+                )}
+                <div className="w-full bg-slate-100 rounded-full h-1.5 overflow-hidden mt-1">
+                  <div style={{ width: `${pct}%` }} className="h-1.5 rounded-full bg-primary" />
+                </div>
+              </button>
+            )
+          })}
+        </div>
+      )}
+    </div>
+  )
+}
@@ -2,22 +2,36 @@
 import React, { useEffect, useState } from 'react'
 import dayjs from 'dayjs'
 import { supabase } from '../api/supabaseClient'
+import { ensureOccurrences } from '../api/recurrenceService'
+import CalendarGrid from './CalendarGrid'
+import TagChips from './TagChips'
+import { listTags } from '../api/tagService'
 
-export default function CalendarPage({ user }) {
+export default function CalendarPage({ user, onOpenReview }) {
   const [date, setDate] = useState(dayjs().format('YYYY-MM-DD'))
   const [tasks, setTasks] = useState([])
   const [totalSeconds, setTotalSeconds] = useState(0)
   const [loading, setLoading] = useState(false)
+  const [view, setView] = useState('month') // 'month' | 'week' | 'day'
+  const [tagsById, setTagsById] = useState({})
 
   useEffect(() => {
-    loadTasksForUserDate()
+    if (!user?.id) return
+    listTags(user.id).then(({ data }) => setTagsById(Object.fromEntries(data.map((t) => [t.id, t]))))
+  }, [user?.id])
+
+  useEffect(() => {
+    if (view === 'day') loadTasksForUserDate()
     // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [date, user?.id])
+  }, [date, user?.id, view])
 
   async function loadTasksForUserDate() {
     if (!user?.id) return
     setLoading(true)
     try {
+      const { error: occErr } = await ensureOccurrences(user.id, date)
+      if (occErr) console.warn('ensureOccurrences', occErr)
+
       const { data: tasksData, error } = await supabase
         .from('tasks')
         .select('*')
@@ -61,29 +75,66 @@ export default function CalendarPage({ user }) {
     <div>
       <div className="flex items-center justify-between mb-4">
         <h2 className="text-xl font-semibold">Calendar</h2>
-        <input type="date" value={date} onChange={(e) => setDate(e.target.value)} className="p-2 border rounded" />
+        <div className="flex items-center gap-2">
+          {onOpenReview && (
+            <button className="py-2 px-3 rounded border" onClick={() => onOpenReview(date)}>
+              Review
+            </button>
+          )}
+          <input type="date" value={date} onChange={(e) => setDate(e.target.value)} className="p-2 border rounded" />
+        </div>
       </div>
 
-      <div className="mb-4 text-sm text-slate-500">
-        Your total time on {date}: {Math.floor(totalSeconds / 3600)}h {Math.floor((totalSeconds % 3600) / 60)}m
+      <div className="flex gap-2 mb-4">
+        {['month', 'week', 'day'].map((v) => (
+          <button
+            key={v}
+            className={`flex-1 py-2 rounded ${view === v ? 'bg-primary text-white' : 'bg-slate-100'}`}
+            onClick={() => setView(v)}
+            aria-pressed={view === v}
+          >
+            {v[0].toUpperCase() + v.slice(1)}
+          </button>
+        ))}
       </div>
 
-      <div className="space-y-3">
-        {loading && <div>Loading tasks...</div>}
-        {!loading && tasks.length === 0 && <div className="text-slate-500">No tasks for this date.</div>}
-        {tasks.map((t) => (
-          <div key={t.id} className="card">
-            <div className="flex justify-between">
-              <div>
-                <div className="font-medium">{t.title}</div>
-                <div className="text-xs text-slate-500">{t.time_from} → {t.time_to} {t.category ? `• ${t.category}` : ''}</div>
+      {view !== 'day' && (
+        <CalendarGrid
+          user={user}
+          mode={view}
+          anchorDate={date}
+          onAnchorChange={setDate}
+          onPickDate={(d) => {
+            setDate(d)
+            setView('day')
+          }}
+        />
+      )}
+
+      {view === 'day' && (
+        <>
+          <div className="mb-4 text-sm text-slate-500">
+            Your total time on {date}: {Math.floor(totalSeconds / 3600)}h {Math.floor((totalSeconds % 3600) / 60)}m
+          </div>
+
+          <div className="space-y-3">
+            {loading && <div>Loading tasks...</div>}
+            {!loading && tasks.length === 0 && <div className="text-slate-500">No tasks for this date.</div>}
+            {tasks.map((t) => (
+              <div key={t.id} className="card">
+                <div className="flex justify-between">
+                  <div>
+                    <div className="font-medium">{t.title} {t.series_id ? <span className="text-xs text-slate-400" title="Recurring">🔁</span> : null}</div>
+                    <div className="text-xs text-slate-500">{t.time_from} → {t.time_to} <TagChips tagIds={t.tag_ids} tagsById={tagsById} /></div>
+                  </div>
+                  <div className="text-sm text-slate-400">{t.status}</div>
+                </div>
+                <div className="mt-2 text-sm text-slate-600">{t.description}</div>
               </div>
-              <div className="text-sm text-slate-400">{t.status}</div>
-            </div>
-            <div className="mt-2 text-sm text-slate-600">{t.description}</div>
+            ))}
           </div>
-        ))}
-      </div>
+        </>
+      )}
     </div>
   )
 }
@@ -0,0 +1,69 @@
+// src/components/ChecklistEditor.jsx
+import React, { useState } from 'react'
+import { moveItem, newChecklistItem } from '../utils/checklist'
+
+/**
+ * ChecklistEditor — add / rename / reorder / remove subtasks (used inside TaskForm).
+ *
+ * Props:
+ * - value: [{ id, text, done }]
+ * - onChange(nextList)
+ */
+export default function ChecklistEditor({ value, onChange }) {
+  const items = value || []
+  const [draft, setDraft] = useState('')
+
+  function addItem() {
+    if (!draft.trim()) return
+    onChange([...items, newChecklistItem(draft)])
+    setDraft('')
+  }
+
+  return (
+    <div className="mb-2">
+      <label className="text-sm">Checklist</label>
+      <div className="space-y-1 mb-1">
+        {items.map((it, idx) => (
+          <div key={it.id} className="flex items-center gap-1">
+            <input
+              type="checkbox"
+              checked={!!it.done}
+              onChange={(e) => onChange(items.map((x) => (x.id === it.id ? { ...x, done: e.target.checked } : x)))}
+            />
+            <input
+              className="flex-1 p-1 border rounded text-sm"
+              value={it.text}
+              onChange={(e) => onChange(items.map((x) => (x.id === it.id ? { ...x, text: e.target.value } : x)))}
+            />
+            <button type="button" className="px-2 rounded border text-xs" onClick={() => onChange(moveItem(items, idx, -1))} aria-label="Move up">
+              ↑
+            </button>
+            <button type="button" className="px-2 rounded border text-xs" onClick={() => onChange(moveItem(items, idx, 1))} aria-label="Move down">
+              ↓
+            </button>
+            <button type="button" className="px-2 rounded border text-xs text-red-600" onClick={() => onChange(items.filter((x) => x.id !== it.id))} aria-label="Remove">
+              ✕
+            </button>
+          </div>
+        ))}
+      </div>
+      <div className="flex gap-2">
+        <input
+          className="flex-1 p-2 border rounded"
+          value={draft}
+          onChange={(e) => setDraft(e.target.value)}
+          onKeyDown={(e) => {
+            if (e.key === 'Enter') {
+              e.preventDefault()
+              addItem()
+            }
+          }}
+          placeholder="Add subtask"
+        />
+        <button type="button" className="py-2 px-3 rounded border" onClick={addItem}>
+          Add
+        </button>
+      </div>
+    </div>
+  )
+}
@@ -2,31 +2,69 @@
 import React, { useEffect, useState } from 'react'
 import dayjs from 'dayjs'
 import { supabase } from '../api/supabaseClient'
+import { ensureOccurrences } from '../api/recurrenceService'
 import TaskCard from './TaskCard'
 import TaskForm from './TaskForm'
-import TimerOverlay from './TimerOverlay'
+import DayTimeline from './DayTimeline'
+import OverdueSection from './OverdueSection'
+import DeadlineSection from './DeadlineSection'
+import GoalsSection from './GoalsSection'
+import { compareByDeadline, compareByPriority } from '../utils/priority'
+import TagFilter from './TagFilter'
+import QuickAddBar from './QuickAddBar'
+import BulkActionBar from './BulkActionBar'
+import { listTags } from '../api/tagService'
 
-export default function Dashboard({ user }) {
+export default function Dashboard({ user, onOpenTemplates, syncVersion, onStartTask, onTrackNow }) {
   const [date, setDate] = useState(dayjs().format('YYYY-MM-DD'))
   const [tasks, setTasks] = useState([])
   const [loading, setLoading] = useState(false)
   const [showForm, setShowForm] = useState(false)
-  const [activeTask, setActiveTask] = useState(null)
   const [taskToEdit, setTaskToEdit] = useState(null)
-  const [categoryFilter, setCategoryFilter] = useState('')
+  const [tags, setTags] = useState([])
+  const [tagFilter, setTagFilter] = useState({ ids: [], mode: 'or' })
   const [query, setQuery] = useState('')
+  const [view, setView] = useState('list') // 'list' | 'timeline'
+  const [sortBy, setSortBy] = useState('time') // 'time' | 'priority' | 'deadline'
+  const [reloadKey, setReloadKey] = useState(0)
+  const [selectMode, setSelectMode] = useState(false)
+  const [selectedIds, setSelectedIds] = useState([])
 
   useEffect(() => {
     loadTasks()
     // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [date, categoryFilter, query])
+  }, [date, tagFilter, query])
+
+  // a timer was started / stopped / finished, or tasks changed on another device (App's realtime sync)
+  useEffect(() => {
+    if (syncVersion) refresh()
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [syncVersion])
+
+  useEffect(() => {
+    loadTags()
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [user.id])
+
+  async function loadTags() {
+    const { data, error } = await listTags(user.id)
+    if (error) console.error('loadTags', error)
+    setTags(data || [])
+  }
 
   async function loadTasks() {
     setLoading(true)
     try {
+      // materialize recurring occurrences for this date before reading it
+      const { error: occErr } = await ensureOccurrences(user.id, date)
+      if (occErr) console.warn('ensureOccurrences', occErr)
+
       // Query tasks for this user and date, with optional filters
       let builder = supabase.from('tasks').select('*').eq('user_id', user.id).eq('date', date).order('time_from', { ascending: true })
-      if (categoryFilter) builder = builder.ilike('category', `%${categoryFilter}%`)
+      // exact tag ids: ALL selected (contains) or ANY selected (overlaps)
+      if (tagFilter.ids.length) {
+        builder = tagFilter.mode === 'and' ? builder.contains('tag_ids', tagFilter.ids) : builder.overlaps('tag_ids', tagFilter.ids)
+      }
       if (query) builder = builder.ilike('title', `%${query}%`)
       const { data, error } = await builder
       if (error) throw error
@@ -41,10 +79,22 @@ export default function Dashboard({ user }) {
 
   function refresh() {
     loadTasks()
+    loadTags() // the form may have created tags
+    setReloadKey((k) => k + 1)
   }
 
+  // TimerOverlay lives in App so the running timer survives page switches
   function handleStart(task) {
-    setActiveTask(task)
+    onStartTask && onStartTask(task)
+  }
+
+  function toggleSelect(task) {
+    setSelectedIds((prev) => (prev.includes(task.id) ? prev.filter((id) => id !== task.id) : [...prev, task.id]))
+  }
+
+  function exitSelectMode() {
+    setSelectMode(false)
+    setSelectedIds([])
   }
 
   function handleEdit(task) {
@@ -53,10 +103,16 @@ export default function Dashboard({ user }) {
     window.scrollTo({ top: 0, behavior: 'smooth' })
   }
 
+  const today = dayjs().format('YYYY-MM-DD')
+  const tagsById = Object.fromEntries(tags.map((t) => [t.id, t]))
+
+  // tasks arrive ordered by time_from; other orders are applied client-side
+  const sorted = sortBy === 'priority' ? [...tasks].sort(compareByPriority) : sortBy === 'deadline' ? [...tasks].sort(compareByDeadline) : tasks
+
   // split tasks
-  const created = tasks // every task is "created" by or assigned to this user
-  const pending = tasks.filter((t) => t.status !== 'completed')
-  const completed = tasks.filter((t) => t.status === 'completed')
+  const created = sorted // every task is "created" by or assigned to this user
+  const pending = sorted.filter((t) => t.status !== 'completed')
+  const completed = sorted.filter((t) => t.status === 'completed')
 
   return (
     <div>
@@ -68,17 +124,44 @@ export default function Dashboard({ user }) {
 
         <div className="flex items-center gap-2">
           <input type="date" value={date} onChange={(e) => setDate(e.target.value)} className="p-2 border rounded" />
+          {onTrackNow && (
+            <button className="py-2 px-3 rounded border" onClick={onTrackNow} title="Start a timer now, say what it was when you stop">
+              ⏱ Track now
+            </button>
+          )}
+          {onOpenTemplates && (
+            <button className="py-2 px-3 rounded border" onClick={() => onOpenTemplates(date)}>
+              Templates
+            </button>
+          )}
           <button className="py-2 px-3 rounded border" onClick={() => { setShowForm((s) => !s); setTaskToEdit(null) }}>
             {showForm ? 'Close' : 'New Task'}
           </button>
         </div>
       </div>
 
+      <GoalsSection user={user} reloadKey={reloadKey} />
+
+      <QuickAddBar user={user} date={date} onCreate={refresh} />
+
       {/* Filters */}
       <div className="mb-3 flex gap-2">
         <input className="flex-1 p-2 border rounded" placeholder="Search title..." value={query} onChange={(e) => setQuery(e.target.value)} />
-        <input className="w-40 p-2 border rounded" placeholder="Category" value={categoryFilter} onChange={(e) => setCategoryFilter(e.target.value)} />
+        <select className="p-2 border rounded" value={sortBy} onChange={(e) => setSortBy(e.target.value)} aria-label="Sort tasks">
+          <option value="time">By time</option>
+          <option value="priority">By priority</option>
+          <option value="deadline">By deadline</option>
+        </select>
+        <button className="py-2 px-3 rounded border" onClick={() => setView((v) => (v === 'list' ? 'timeline' : 'list'))} aria-pressed={view === 'timeline'}>
+          {view === 'list' ? 'Timeline' : 'List'}
+        </button>
+        {view === 'list' && (
+          <button className="py-2 px-3 rounded border" onClick={() => (selectMode ? exitSelectMode() : setSelectMode(true))} aria-pressed={selectMode}>
+            Select
+          </button>
+        )}
       </div>
+      <TagFilter tags={tags} value={tagFilter} onChange={setTagFilter} />
 
       {/* Create/Edit */}
       {showForm && (
@@ -94,56 +177,119 @@ export default function Dashboard({ user }) {
         </section>
       )}
 
-      {/* Created (all tasks for the date) */}
-      <section className="mb-4">
-        <div className="flex items-center justify-between mb-2">
-          <div className="font-semibold">All tasks <span className="text-xs text-slate-500">({created.length})</span></div>
-        </div>
-        <div className="space-y-3">
-          {loading && <div>Loading...</div>}
-          {!loading && created.length === 0 && <div className="text-slate-500">No tasks for this date</div>}
-          {created.map((t) => (
-            <TaskCard key={t.id} task={t} onStart={handleStart} onUpdate={refresh} onEdit={handleEdit} />
-          ))}
-        </div>
-      </section>
+      {date === today && <OverdueSection user={user} today={today} onChange={refresh} tagsById={tagsById} reloadKey={reloadKey} />}
+      {date === today && (
+        <DeadlineSection user={user} reloadKey={reloadKey} tagsById={tagsById} onStart={handleStart} onUpdate={refresh} onEdit={handleEdit} />
+      )}
 
-      {/* Pending */}
-      <section className="mb-4">
-        <div className="flex items-center justify-between mb-2">
-          <div className="font-semibold">Pending <span className="text-xs text-slate-500">({pending.length})</span></div>
-        </div>
-        <div className="space-y-3">
-          {pending.length === 0 && <div className="text-slate-500">No pending tasks</div>}
-          {pending.map((t) => (
-            <TaskCard key={t.id} task={t} onStart={handleStart} onUpdate={refresh} onEdit={handleEdit} />
-          ))}
-        </div>
-      </section>
+      {view === 'timeline' && (
+        <section className="mb-4">
+          {loading ? <div>Loading...</div> : <DayTimeline tasks={tasks} date={date} onUpdate={refresh} onEdit={handleEdit} />}
+        </section>
+      )}
 
-      {/* Completed */}
-      <section className="mb-4">
-        <div className="flex items-center justify-between mb-2">
-          <div className="font-semibold">Completed <span className="text-xs text-slate-500">({completed.length})</span></div>
-        </div>
-        <div className="space-y-3">
-          {completed.length === 0 && <div className="text-slate-500">No completed tasks</div>}
-          {completed.map((t) => (
-            <TaskCard key={t.id} task={t} onStart={handleStart} onUpdate={refresh} onEdit={handleEdit} />
-          ))}
-        </div>
-      </section>
-
-      {activeTask && (
-        <TimerOverlay
-          user={user}
-          task={activeTask}
-          onClose={() => {
-            setActiveTask(null)
-            refresh()
-          }}
-        />
+      {view === 'list' && (
+        <>
+          {selectMode && (
+            <BulkActionBar
+              tasks={tasks.filter((t) => selectedIds.includes(t.id))}
+              tags={tags}
+              onCancel={exitSelectMode}
+              onDone={() => {
+                exitSelectMode()
+                refresh()
+              }}
+            />
+          )}
+          {selectMode && (
+            <div className="flex gap-2 mb-3 text-sm">
+              <button className="py-1 px-2 rounded border" onClick={() => setSelectedIds(tasks.map((t) => t.id))}>
+                Select all
+              </button>
+              <button className="py-1 px-2 rounded border" onClick={() => setSelectedIds(tasks.filter((t) => t.status !== 'completed').map((t) => t.id))}>
+                Select pending
+              </button>
+              <button className="py-1 px-2 rounded border" onClick={() => setSelectedIds([])}>
+                Clear
+              </button>
+            </div>
+          )}
+
+          {/* Created (all tasks for the date) */}
+          <section className="mb-4">
+            <div className="flex items-center justify-between mb-2">
+              <div className="font-semibold">All tasks <span className="text-xs text-slate-500">({created.length})</span></div>
+            </div>
+            <div className="space-y-3">
+              {loading && <div>Loading...</div>}
+              {!loading && created.length === 0 && <div className="text-slate-500">No tasks for this date</div>}
+              {created.map((t) => (
+                <TaskCard
+                  key={t.id}
+                  task={t}
+                  tagsById={tagsById}
+                  reloadKey={reloadKey}
+                  onStart={handleStart}
+                  onUpdate={refresh}
+                  onEdit={handleEdit}
+                  selectable={selectMode}
+                  selected={selectedIds.includes(t.id)}
+                  onToggleSelect={toggleSelect}
+                />
+              ))}
+            </div>
+          </section>
+
+          {/* Pending */}
+          <section className="mb-4">
+            <div className="flex items-center justify-between mb-2">
+              <div className="font-semibold">Pending <span className="text-xs text-slate-500">({pending.length})</span></div>
+            </div>
+            <div className="space-y-3">
+              {pending.length === 0 && <div className="text-slate-500">No pending tasks</div>}
+              {pending.map((t) => (
+                <TaskCard
+                  key={t.id}
+                  task={t}
+                  tagsById={tagsById}
+                  reloadKey={reloadKey}
+                  onStart={handleStart}
+                  onUpdate={refresh}
+                  onEdit={handleEdit}
+                  selectable={selectMode}
+                  selected={selectedIds.includes(t.id)}
+                  onToggleSelect={toggleSelect}
+                />
+              ))}
+            </div>
+          </section>
+
+          {/* Completed */}
+          <section className="mb-4">
+            <div className="flex items-center justify-between mb-2">
+              <div className="font-semibold">Completed <span className="text-xs text-slate-500">({completed.length})</span></div>
+            </div>
+            <div className="space-y-3">
+              {completed.length === 0 && <div className="text-slate-500">No completed tasks</div>}
+              {completed.map((t) => (
+                <TaskCard
+                  key={t.id}
+                  task={t}
+                  tagsById={tagsById}
+                  reloadKey={reloadKey}
+                  onStart={handleStart}
+                  onUpdate={refresh}
+                  onEdit={handleEdit}
+                  selectable={selectMode}
+                  selected={selectedIds.includes(t.id)}
+                  onToggleSelect={toggleSelect}
+                />
+              ))}
+            </div>
+          </section>
+        </>
       )}
+
     </div>
   )
 }
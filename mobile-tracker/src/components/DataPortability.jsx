@@ -0,0 +1,147 @@
+// src/components/DataPortability.jsx
+import React, { useState } from 'react'
+import dayjs from 'dayjs'
+import { exportArchive, importArchive } from '../api/archiveService'
+import { toCsv, validateArchive } from '../utils/dataArchive'
+import { downloadFile } from '../utils/download'
+import { createZip } from '../utils/zip'
+
+/**
+ * DataPortability — export the whole account (JSON archive, or a zip of one CSV per table) and
+ * import such an archive (ProfilePage). Import shows a preview of what is new vs already present
+ * before writing anything. Teams are matched by id: one this account can't see is created anew.
+ */
+export default function DataPortability({ user }) {
+  const [busy, setBusy] = useState(null) // 'json' | 'csv' | 'import' | null
+  const [pending, setPending] = useState(null) // { archive, fileName, counts }
+  const [result, setResult] = useState(null)
+
+  async function handleExport(kind) {
+    setBusy(kind)
+    const { data: archive, error } = await exportArchive(user)
+    setBusy(null)
+    if (error) {
+      console.error('export failed', error)
+      return alert('Could not export your data')
+    }
+    const base = `daily-life-tracker-${user.username || 'export'}-${dayjs().format('YYYY-MM-DD')}`
+    if (kind === 'json') {
+      downloadFile(`${base}.json`, JSON.stringify(archive, null, 2), 'application/json')
+    } else {
+      const files = Object.entries(archive.tables).map(([name, rows]) => ({ name: `${name}.csv`, content: toCsv(rows) }))
+      downloadFile(`${base}-csv.zip`, createZip(files), 'application/zip')
+    }
+  }
+
+  async function handleFile(e) {
+    const file = e.target.files && e.target.files[0]
+    e.target.value = ''
+    if (!file) return
+    setResult(null)
+    let archive
+    try {
+      archive = JSON.parse(await file.text())
+    } catch {
+      return alert('That file is not valid JSON')
+    }
+    const invalid = validateArchive(archive)
+    if (invalid) return alert(invalid)
+    setBusy('import')
+    const { data, error } = await importArchive(user.id, archive, { dryRun: true })
+    setBusy(null)
+    if (error) {
+      console.error('import preview failed', error)
+      return alert('Could not read the archive — check console')
+    }
+    setPending({ archive, fileName: file.name, counts: data.counts })
+  }
+
+  async function confirmImport() {
+    setBusy('import')
+    const { data, error } = await importArchive(user.id, pending.archive)
+    setBusy(null)
+    setPending(null)
+    if (error) {
+      console.error('import failed', error)
+      alert(`Import stopped at ${(data && data.failedAt) || 'the start'} — importing the same file again continues where it left off.`)
+      return
+    }
+    setResult(data.counts)
+  }
+
+  const rowsOf = (counts) => Object.entries(counts).filter(([, c]) => c.total > 0)
+  const totalNew = pending ? rowsOf(pending.counts).reduce((sum, [, c]) => sum + c.added, 0) : 0
+
+  return (
+    <div className="mt-4 card">
+      <div className="font-semibold mb-1">Your data</div>
+      <div className="text-xs text-slate-500 mb-2">
+        Everything in your account: tasks, series, time entries, diaries, templates, goals, habits, tags and team memberships.
+      </div>
+      <div className="flex gap-2">
+        <button className="py-2 px-3 rounded border flex-1" onClick={() => handleExport('json')} disabled={!!busy}>
+          {busy === 'json' ? 'Exporting…' : 'Export JSON'}
+        </button>
+        <button className="py-2 px-3 rounded border flex-1" onClick={() => handleExport('csv')} disabled={!!busy}>
+          {busy === 'csv' ? 'Exporting…' : 'Export CSV (zip)'}
+        </button>
+      </div>
+
+      <label className={`mt-2 block text-center py-2 px-3 rounded border cursor-pointer ${busy ? 'opacity-50 pointer-events-none' : ''}`}>
+        {busy === 'import' ? 'Importing…' : 'Import JSON archive…'}
+        <input type="file" accept="application/json,.json" className="hidden" onChange={handleFile} />
+      </label>
+
+      {pending && (
+        <div className="mt-3 text-sm">
+          <div className="mb-1">
+            <strong>{pending.fileName}</strong>
+            {pending.archive.user && pending.archive.user.username && <span className="text-slate-500"> from @{pending.archive.user.username}</span>}
+          </div>
+          <ImportCounts rows={rowsOf(pending.counts)} />
+          <div className="flex gap-2 mt-2">
+            <button className="btn flex-1" onClick={confirmImport} disabled={!!busy || totalNew === 0}>
+              {totalNew ? `Import ${totalNew} new rows` : 'Nothing new to import'}
+            </button>
+            <button className="py-2 px-3 rounded border" onClick={() => setPending(null)} disabled={!!busy}>
+              Cancel
+            </button>
+          </div>
+        </div>
+      )}
+
+      {result && (
+        <div className="mt-3 text-sm">
+          <div className="text-emerald-700 mb-1">Import finished.</div>
+          <ImportCounts rows={rowsOf(result)} />
+        </div>
+      )}
+    </div>
+  )
+}
+
+function ImportCounts({ rows }) {
+  if (!rows.length) return <div className="text-slate-500">The archive is empty.</div>
+  return (
+    <table className="w-full text-xs">
+      <thead>
+        <tr className="text-slate-500">
+          <th className="text-left font-normal">Table</th>
+          <th className="text-right font-normal">New</th>
+          <th className="text-right font-normal">Duplicate</th>
+          <th className="text-right font-normal">Skipped</th>
+        </tr>
+      </thead>
+      <tbody>
+        {rows.map(([name, c]) => (
+          <tr key={name}>
+            <td>{name.replace(/_/g, ' ')}</td>
+            <td className="text-right">{c.added}</td>
+            <td className="text-right">{c.duplicate}</td>
+            <td className="text-right">{c.skipped}</td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  )
+}
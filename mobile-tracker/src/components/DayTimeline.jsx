@@ -0,0 +1,221 @@
+// src/components/DayTimeline.jsx
+import React, { useEffect, useRef, useState } from 'react'
+import dayjs from 'dayjs'
+import { updateTasks } from '../api/taskService'
+import { parseTimeToSeconds, formatSecondsOfDay } from '../utils/time'
+
+/**
+ * DayTimeline — the day's tasks as blocks between time_from and time_to.
+ *
+ * - drag a block to move it, drag its top/bottom edge to resize (snaps to 5 minutes)
+ * - overlapping tasks are laid out side by side and outlined in red
+ * - a tap without movement opens the task for editing
+ * - a task running past midnight (time_to < time_from) is drawn up to 24:00; its real time_to is only
+ *   rewritten by moving it (shifted with it) or by pulling its bottom edge back into the day
+ *
+ * Props:
+ * - tasks: tasks rows for the day
+ * - date: 'YYYY-MM-DD' (used for the "now" line)
+ * - onUpdate(): called after a block was saved
+ * - onEdit(task)
+ */
+
+const PX_PER_MIN = 0.8
+const SNAP_MIN = 5
+const MIN_BLOCK_MIN = 15
+const DAY_MIN = 24 * 60
+
+function taskRange(task) {
+  const from = Math.round(parseTimeToSeconds(task.time_from) / 60)
+  const to = Math.round(parseTimeToSeconds(task.time_to) / 60)
+  if (task.time_to && to < from) return { from, to: DAY_MIN, overnight: true }
+  if (to <= from) return { from, to: Math.min(DAY_MIN, from + 30) }
+  return { from, to }
+}
+
+// time_to to save after a drag; an overnight task keeps its real end unless the drag changed it
+function savedEnd(drag, next) {
+  if (!drag.orig.overnight) return formatSecondsOfDay(next.to * 60)
+  if (drag.mode === 'move') {
+    const realTo = Math.round(parseTimeToSeconds(drag.task.time_to) / 60) + (next.from - drag.orig.from)
+    const wrapped = ((realTo % DAY_MIN) + DAY_MIN) % DAY_MIN
+    return formatSecondsOfDay((wrapped || DAY_MIN) * 60)
+  }
+  if (drag.mode === 'end' && next.to < DAY_MIN) return formatSecondsOfDay(next.to * 60)
+  return drag.task.time_to
+}
+
+// assign each block a lane within its overlap cluster; returns { [id]: { lane, lanes, overlaps } }
+function layoutBlocks(items) {
+  const sorted = [...items].sort((a, b) => a.from - b.from || a.to - b.to)
+  const result = {}
+  let cluster = []
+  let clusterEnd = -1
+
+  function flush() {
+    const laneEnds = []
+    cluster.forEach((it) => {
+      let lane = laneEnds.findIndex((end) => end <= it.from)
+      if (lane === -1) {
+        lane = laneEnds.length
+        laneEnds.push(it.to)
+      } else {
+        laneEnds[lane] = it.to
+      }
+      result[it.id] = { lane, overlaps: cluster.some((o) => o.id !== it.id && o.from < it.to && it.from < o.to) }
+    })
+    cluster.forEach((it) => {
+      result[it.id].lanes = laneEnds.length
+    })
+    cluster = []
+  }
+
+  sorted.forEach((it) => {
+    if (cluster.length && it.from >= clusterEnd) flush()
+    cluster.push(it)
+    clusterEnd = Math.max(clusterEnd, it.to)
+  })
+  if (cluster.length) flush()
+  return result
+}
+
+export default function DayTimeline({ tasks, date, onUpdate, onEdit }) {
+  const containerRef = useRef(null)
+  const dragRef = useRef(null) // { task, mode, startY, orig: { from, to }, moved }
+  const [preview, setPreview] = useState(null) // { id, from, to } while dragging
+  const [saving, setSaving] = useState(false)
+
+  const items = tasks.map((t) => ({ id: t.id, task: t, ...(preview && preview.id === t.id ? preview : taskRange(t)) }))
+  const layout = layoutBlocks(items)
+  const clashCount = Object.values(layout).filter((l) => l.overlaps).length
+
+  // scroll to the first block (or 07:00) when the day changes
+  useEffect(() => {
+    if (!containerRef.current) return
+    const first = tasks.length ? Math.min(...tasks.map((t) => taskRange(t).from)) : 7 * 60
+    containerRef.current.scrollTop = Math.max(0, (first - 30) * PX_PER_MIN)
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [date])
+
+  function handlePointerDown(e, task, mode) {
+    e.stopPropagation()
+    if (saving) return
+    const orig = taskRange(task)
+    dragRef.current = { task, mode, startY: e.clientY, orig, moved: false }
+    containerRef.current.setPointerCapture(e.pointerId)
+    setPreview({ id: task.id, ...orig })
+  }
+
+  function handlePointerMove(e) {
+    const drag = dragRef.current
+    if (!drag) return
+    const dy = e.clientY - drag.startY
+    if (Math.abs(dy) > 4) drag.moved = true
+    const delta = Math.round(dy / PX_PER_MIN / SNAP_MIN) * SNAP_MIN
+    const { from, to } = drag.orig
+    let next
+    if (drag.mode === 'move') {
+      const len = to - from
+      const start = Math.max(0, Math.min(DAY_MIN - len, from + delta))
+      next = { from: start, to: start + len }
+    } else if (drag.mode === 'start') {
+      next = { from: Math.max(0, Math.min(to - MIN_BLOCK_MIN, from + delta)), to }
+    } else {
+      next = { from, to: Math.min(DAY_MIN, Math.max(from + MIN_BLOCK_MIN, to + delta)) }
+    }
+    setPreview({ id: drag.task.id, ...next, overnight: drag.orig.overnight && next.to === DAY_MIN })
+  }
+
+  async function handlePointerUp() {
+    const drag = dragRef.current
+    dragRef.current = null
+    if (!drag) return
+    const next = preview
+    if (!drag.moved || !next || (next.from === drag.orig.from && next.to === drag.orig.to)) {
+      setPreview(null)
+      if (!drag.moved && onEdit) onEdit(drag.task)
+      return
+    }
+    setSaving(true)
+    try {
+      const updates = { time_from: formatSecondsOfDay(next.from * 60), time_to: savedEnd(drag, next) }
+      const { error } = await updateTasks([drag.task.id], updates)
+      if (error) throw error
+      onUpdate && onUpdate()
+    } catch (err) {
+      console.error('timeline save failed', err)
+      alert('Could not reschedule task')
+    } finally {
+      setPreview(null)
+      setSaving(false)
+    }
+  }
+
+  const isToday = date === dayjs().format('YYYY-MM-DD')
+  const nowMin = dayjs().hour() * 60 + dayjs().minute()
+
+  return (
+    <div className="card p-0 overflow-hidden">
+      <div className="px-3 py-2 text-xs text-slate-500 flex justify-between">
+        <span>Drag to move · drag edges to resize</span>
+        <span className={clashCount ? 'text-red-600' : ''}>{clashCount ? `${clashCount} overlapping` : saving ? 'Saving…' : 'No clashes'}</span>
+      </div>
+      <div
+        ref={containerRef}
+        className="relative overflow-y-auto"
+        style={{ maxHeight: '65vh' }}
+        onPointerMove={handlePointerMove}
+        onPointerUp={handlePointerUp}
+        onPointerCancel={handlePointerUp}
+      >
+        <div className="relative" style={{ height: DAY_MIN * PX_PER_MIN }}>
+          {Array.from({ length: 24 }).map((_, h) => (
+            <div key={h} className="absolute left-0 right-0 border-t border-slate-100" style={{ top: h * 60 * PX_PER_MIN }}>
+              <span className="absolute left-1 -top-2 text-[10px] text-slate-400 bg-white px-1">{String(h).padStart(2, '0')}:00</span>
+            </div>
+          ))}
+
+          {isToday && <div className="absolute left-10 right-0 border-t-2 border-rose-400 z-10" style={{ top: nowMin * PX_PER_MIN }} />}
+
+          {items.map((it) => {
+            const l = layout[it.id] || { lane: 0, lanes: 1, overlaps: false }
+            const widthPct = 100 / l.lanes
+            const dragging = preview && preview.id === it.id
+            return (
+              <div
+                key={it.id}
+                className={`absolute rounded-lg px-2 py-1 text-xs overflow-hidden select-none ${
+                  it.task.status === 'completed' ? 'bg-emerald-100' : 'bg-indigo-100'
+                } ${l.overlaps ? 'ring-2 ring-red-500' : ''} ${dragging ? 'opacity-80 shadow-lg z-20' : ''}`}
+                style={{
+                  top: it.from * PX_PER_MIN,
+                  height: Math.max(MIN_BLOCK_MIN, it.to - it.from) * PX_PER_MIN,
+                  left: `calc(2.75rem + (100% - 3rem) * ${(l.lane * widthPct) / 100})`,
+                  width: `calc((100% - 3rem) * ${widthPct / 100} - 2px)`,
+                  touchAction: 'none',
+                  cursor: 'grab'
+                }}
+                onPointerDown={(e) => handlePointerDown(e, it.task, 'move')}
+              >
+                <div
+                  className="absolute left-0 right-0 top-0 h-2 cursor-ns-resize"
+                  onPointerDown={(e) => handlePointerDown(e, it.task, 'start')}
+                  aria-label="Resize start"
+                />
+                <div className="font-medium truncate">{it.task.title}</div>
+                <div className="text-slate-500">
+                  {formatSecondsOfDay(it.from * 60)} → {it.overnight ? `${it.task.time_to} (+1d)` : formatSecondsOfDay(it.to * 60)}
+                </div>
+                <div
+                  className="absolute left-0 right-0 bottom-0 h-2 cursor-ns-resize"
+                  onPointerDown={(e) => handlePointerDown(e, it.task, 'end')}
+                  aria-label="Resize end"
+                />
+              </div>
+            )
+          })}
+        </div>
+      </div>
+    </div>
+  )
+}
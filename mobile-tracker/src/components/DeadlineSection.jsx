@@ -0,0 +1,50 @@
+// src/components/DeadlineSection.jsx
+import React, { useEffect, useState } from 'react'
+import dayjs from 'dayjs'
+import { listDueSoon } from '../api/taskService'
+import { DUE_SOON_HOURS, deadlineState } from '../utils/priority'
+import TaskCard from './TaskCard'
+
+/**
+ * DeadlineSection — unfinished tasks past their deadline or due within DUE_SOON_HOURS,
+ * whatever date they are scheduled on.
+ *
+ * Props: user, reloadKey (bump to refetch), tagsById, onStart, onUpdate, onEdit (passed to TaskCard)
+ */
+export default function DeadlineSection({ user, reloadKey, tagsById, onStart, onUpdate, onEdit }) {
+  const [tasks, setTasks] = useState([])
+
+  useEffect(() => {
+    loadDueSoon()
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [user?.id, reloadKey])
+
+  async function loadDueSoon() {
+    if (!user?.id) return
+    const { data, error } = await listDueSoon(user.id, dayjs().add(DUE_SOON_HOURS, 'hour').toISOString())
+    if (error) {
+      console.error('loadDueSoon', error)
+      setTasks([])
+      return
+    }
+    setTasks(data)
+  }
+
+  if (tasks.length === 0) return null
+  const overdueCount = tasks.filter((t) => deadlineState(t) === 'overdue').length
+
+  return (
+    <section className="mb-4">
+      <div className="flex items-center justify-between mb-2">
+        <div className="font-semibold">
+          Deadlines <span className="text-xs text-slate-500">({overdueCount} overdue, {tasks.length - overdueCount} due soon)</span>
+        </div>
+      </div>
+      <div className="space-y-3">
+        {tasks.map((t) => (
+          <TaskCard key={t.id} task={t} tagsById={tagsById} reloadKey={reloadKey} onStart={onStart} onUpdate={onUpdate} onEdit={onEdit} />
+        ))}
+      </div>
+    </section>
+  )
+}
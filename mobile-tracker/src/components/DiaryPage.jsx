@@ -3,6 +3,7 @@ import React, { useEffect, useRef, useState } from 'react'
 import dayjs from 'dayjs'
 import relativeTime from 'dayjs/plugin/relativeTime'
 import { getDiary, upsertDiary, deleteDiary, listDiariesForMonth } from '../api/diaryService'
+import { subscribeToTables } from '../api/realtimeService'
 import { durationHuman } from '../utils/time' // optional helper if you want human durations
 dayjs.extend(relativeTime)
 
@@ -83,6 +84,24 @@ export default function DiaryPage({ user }) {
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [date, user?.id, yearMonth.year, yearMonth.month])
 
+  // realtime: diaries saved on another device. The open day is replaced only when it has no
+  // unsaved edits (content still equals the last loaded row).
+  const liveRef = useRef({})
+  liveRef.current = { date, content, diaryRow, yearMonth }
+  useEffect(() => {
+    if (!user?.id) return undefined
+    return subscribeToTables([{ table: 'diaries', filter: `user_id=eq.${user.id}` }], (changes) => {
+      const cur = liveRef.current
+      loadMonthEntries(cur.yearMonth.year, cur.yearMonth.month)
+      const touchesOpenDay = changes.some((c) => (c.new && c.new.diary_date) === cur.date || (c.old && c.old.id && cur.diaryRow && c.old.id === cur.diaryRow.id))
+      if (touchesOpenDay && cur.content === ((cur.diaryRow && cur.diaryRow.content) || '')) {
+        localStorage.removeItem(`dltr_diary_draft_${user.id}_${cur.date}`)
+        loadDiaryFor(cur.date)
+      }
+    })
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [user?.id])
+
   // date navigation helpers
   function gotoPrev() {
     const prev = dayjs(date).subtract(1, 'day').format('YYYY-MM-DD')
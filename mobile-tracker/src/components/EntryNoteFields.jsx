@@ -0,0 +1,37 @@
+// src/components/EntryNoteFields.jsx
+import React from 'react'
+
+/**
+ * EntryNoteFields — note + 1–5 focus rating for a time entry (controlled).
+ * Used when stopping a timer (TimerOverlay) and when editing a segment (TimeEntryEditor).
+ *
+ * Props: note, rating (1..5 | null), onChange({ note, rating })
+ */
+export default function EntryNoteFields({ note, rating, onChange }) {
+  return (
+    <div className="space-y-2">
+      <input
+        className="w-full p-2 border rounded"
+        value={note || ''}
+        maxLength={280}
+        onChange={(e) => onChange({ note: e.target.value, rating })}
+        placeholder="Note, e.g. finished chapter 3"
+        aria-label="Note"
+      />
+      <div className="flex items-center gap-1 text-xs">
+        <span className="text-slate-500 mr-1">Focus</span>
+        {[1, 2, 3, 4, 5].map((n) => (
+          <button
+            key={n}
+            type="button"
+            className={`w-8 h-8 rounded-full border ${rating === n ? 'bg-primary text-white' : ''}`}
+            onClick={() => onChange({ note, rating: rating === n ? null : n })}
+            aria-pressed={rating === n}
+          >
+            {n}
+          </button>
+        ))}
+      </div>
+    </div>
+  )
+}
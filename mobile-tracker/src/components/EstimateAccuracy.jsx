@@ -0,0 +1,80 @@
+// src/components/EstimateAccuracy.jsx
+import React, { useEffect, useState } from 'react'
+import dayjs from 'dayjs'
+import { loadEstimateSamples } from '../api/estimateService'
+import { listTags } from '../api/tagService'
+import { describeRatio, summarizeBias } from '../utils/estimates'
+
+/**
+ * EstimateAccuracy — planned vs tracked time of completed tasks (ProfilePage).
+ *
+ * Overall bias, bias per tag and per week (last 12 weeks). A ratio above 1 means tasks took longer
+ * than planned; TaskForm / TimerOverlay use the same history to suggest estimates.
+ */
+export default function EstimateAccuracy({ user }) {
+  const [summary, setSummary] = useState(null)
+  const [tagsById, setTagsById] = useState({})
+  const [sinceDays, setSinceDays] = useState(90)
+
+  useEffect(() => {
+    ;(async () => {
+      const [{ data: samples, error }, { data: tags }] = await Promise.all([loadEstimateSamples(user.id, sinceDays), listTags(user.id)])
+      if (error) console.error('load estimate history', error)
+      setTagsById(Object.fromEntries((tags || []).map((t) => [t.id, t])))
+      setSummary(summarizeBias(samples || []))
+    })()
+  }, [user?.id, sinceDays])
+
+  if (!summary) return null
+  const weeks = summary.byWeek.slice(-12)
+  const maxRatio = Math.max(2, ...weeks.map((w) => w.ratio || 0))
+
+  return (
+    <div className="mt-4 card">
+      <div className="flex items-center justify-between mb-2">
+        <div className="font-semibold">Estimate accuracy</div>
+        <select className="p-1 border rounded text-sm" value={sinceDays} onChange={(e) => setSinceDays(Number(e.target.value))}>
+          <option value={30}>30 days</option>
+          <option value={90}>90 days</option>
+          <option value={365}>1 year</option>
+        </select>
+      </div>
+
+      {summary.overall.count === 0 ? (
+        <div className="text-sm text-slate-500">Complete some tracked tasks to see how your estimates compare.</div>
+      ) : (
+        <>
+          <div className="text-sm mb-3">
+            Actual vs planned: <strong>{describeRatio(summary.overall.ratio)}</strong> (median of {summary.overall.count} tasks)
+          </div>
+
+          <div className="text-xs text-slate-500 mb-1">By tag</div>
+          <div className="space-y-1 mb-3">
+            {summary.byTag.map((row) => (
+              <div key={row.tagId || 'none'} className="flex justify-between text-sm">
+                <span>{row.tagId ? `#${(tagsById[row.tagId] || {}).name || 'deleted'}` : 'untagged'}</span>
+                <span className={row.ratio > 1.05 ? 'text-rose-600' : row.ratio < 0.95 ? 'text-emerald-600' : ''}>
+                  {describeRatio(row.ratio)} <span className="text-xs text-slate-400">({row.count})</span>
+                </span>
+              </div>
+            ))}
+          </div>
+
+          <div className="text-xs text-slate-500 mb-1">Actual ÷ planned per week (line = on target)</div>
+          <div className="relative flex items-end gap-1 h-20 border-b">
+            <div className="absolute left-0 right-0 border-t border-dashed border-slate-400" style={{ bottom: `${(1 / maxRatio) * 100}%` }} />
+            {weeks.map((w) => (
+              <div key={w.week} className="flex-1 flex flex-col items-center justify-end h-full" title={`${w.week}: ${describeRatio(w.ratio)} (${w.count})`}>
+                <div className={`w-full rounded-t ${w.ratio > 1 ? 'bg-rose-400' : 'bg-emerald-400'}`} style={{ height: `${Math.min(100, (w.ratio / maxRatio) * 100)}%` }} />
+              </div>
+            ))}
+          </div>
+          <div className="flex justify-between text-[10px] text-slate-400 mt-1">
+            <span>{weeks.length ? dayjs(weeks[0].week).format('MMM D') : ''}</span>
+            <span>{weeks.length ? dayjs(weeks[weeks.length - 1].week).format('MMM D') : ''}</span>
+          </div>
+        </>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,28 @@
+// src/components/EstimateSuggestion.jsx
+import React from 'react'
+import { durationHuman } from '../utils/time'
+import { describeRatio } from '../utils/estimates'
+
+/**
+ * EstimateSuggestion — one-line hint with a suggested duration (see utils/estimates.suggestEstimate).
+ * Used by TaskForm (estimate) and TimerOverlay (target).
+ *
+ * Props: suggestion ({ seconds, basis, ratio, source } | null), onApply(seconds), label
+ */
+export default function EstimateSuggestion({ suggestion, onApply, label = 'Use' }) {
+  if (!suggestion) return null
+  const why =
+    suggestion.source === 'similar'
+      ? `based on ${suggestion.basis} similar task(s)`
+      : `your plans usually run ${describeRatio(suggestion.ratio)} (${suggestion.basis} tasks)`
+  return (
+    <div className="flex items-center justify-between gap-2 mb-2 p-2 rounded bg-indigo-50 text-xs">
+      <span>
+        Suggested: <strong>{durationHuman(suggestion.seconds)}</strong> — {why}
+      </span>
+      <button type="button" className="py-1 px-2 rounded border bg-white" onClick={() => onApply(suggestion.seconds)}>
+        {label}
+      </button>
+    </div>
+  )
+}
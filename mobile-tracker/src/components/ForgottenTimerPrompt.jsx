@@ -0,0 +1,75 @@
+// src/components/ForgottenTimerPrompt.jsx
+import React, { useState } from 'react'
+import dayjs from 'dayjs'
+import { durationHuman } from '../utils/time'
+import { fromInputValue, toInputValue } from '../utils/timeEntries'
+import { keepEntry, plausibleEnd } from '../utils/forgottenTimer'
+import { getSettings } from '../utils/settings'
+import * as timerService from '../api/timerService'
+import { adhocTitle } from '../api/trackingService'
+
+/**
+ * ForgottenTimerPrompt — shown on app open for a timer that has run suspiciously long
+ * (see utils/forgottenTimer). Stop it at its last plausible time, at a picked time, or keep it.
+ *
+ * Props:
+ * - user, entry, task (null for a "track now" timer)
+ * - lastActiveMs: app heartbeat from before this open
+ * - onDone(changed): changed = the entry was stopped
+ */
+export default function ForgottenTimerPrompt({ user, entry, task, lastActiveMs, onDone }) {
+  const suggested = plausibleEnd(entry, task, lastActiveMs, getSettings(user.id))
+  const [picked, setPicked] = useState(toInputValue(suggested))
+  const [error, setError] = useState(null)
+  const [busy, setBusy] = useState(false)
+
+  const runningFor = Math.round((Date.now() - new Date(entry.start_at)) / 1000)
+
+  async function stopAt(iso) {
+    const ms = iso ? new Date(iso).getTime() : NaN
+    if (!(ms > new Date(entry.start_at).getTime() && ms <= Date.now())) return setError('Pick a time after the start and not in the future')
+    setBusy(true)
+    const { error: err } = await timerService.stopTimer(entry, entry.task_id, { endAtIso: iso })
+    setBusy(false)
+    if (err) {
+      console.error('stop forgotten timer failed', err)
+      return setError('Could not stop the timer')
+    }
+    onDone && onDone(true)
+  }
+
+  function handleKeep() {
+    keepEntry(entry.id)
+    onDone && onDone(false)
+  }
+
+  return (
+    <div className="fixed inset-0 z-50 bg-black/40 flex items-center justify-center p-4" role="dialog" aria-modal="true">
+      <div className="bg-white rounded-2xl p-4 w-full max-w-md">
+        <div className="font-semibold mb-1">Still working on “{task ? task.title : adhocTitle(entry)}”?</div>
+        <div className="text-sm text-slate-600 mb-4">
+          This timer started {dayjs(entry.start_at).format('ddd MMM D, HH:mm')} and has been running for {durationHuman(runningFor)}.
+        </div>
+
+        <div className="space-y-2">
+          <button className="btn w-full" onClick={() => stopAt(suggested)} disabled={busy}>
+            Stop at {dayjs(suggested).format('MMM D HH:mm')} ({durationHuman(Math.round((new Date(suggested) - new Date(entry.start_at)) / 1000))})
+          </button>
+
+          <div className="flex gap-2">
+            <input type="datetime-local" step="1" className="flex-1 p-2 border rounded" value={picked} onChange={(e) => setPicked(e.target.value)} />
+            <button className="py-2 px-3 rounded border" onClick={() => stopAt(fromInputValue(picked))} disabled={busy}>
+              Stop then
+            </button>
+          </div>
+
+          {error && <div className="text-xs text-red-600">{error}</div>}
+
+          <button className="py-2 px-3 rounded border w-full" onClick={handleKeep} disabled={busy}>
+            Keep it running
+          </button>
+        </div>
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,37 @@
+// src/components/GoalRings.jsx
+import React from 'react'
+import { compactHours } from '../utils/stats'
+import { goalProgress } from '../utils/goals'
+import ProgressRing from './ProgressRing'
+
+/**
+ * GoalRings — one progress ring per time goal for the current day / week.
+ * Presentational: the caller loads goals, tags and tracking (see TimeGoals, Dashboard).
+ *
+ * Props: goals, tagsById, days (statsService.loadDailyTracking), size
+ */
+export default function GoalRings({ goals, tagsById, days, size = 64 }) {
+  return (
+    <div className="flex gap-3 overflow-x-auto pb-1">
+      {goals.map((goal) => {
+        const tag = goal.tag_id ? tagsById[goal.tag_id] : null
+        const p = goalProgress(goal, days)
+        return (
+          <div
+            key={goal.id}
+            className="flex flex-col items-center shrink-0"
+            title={`${compactHours(p.tracked)} of ${compactHours(p.target)}${p.done ? ' — done' : ''}`}
+          >
+            <ProgressRing value={p.ratio} size={size} color={(tag && tag.color) || 'var(--primary)'}>
+              {p.done ? '✓' : `${Math.floor(p.ratio * 100)}%`}
+            </ProgressRing>
+            <div className="text-[10px] mt-1 max-w-[72px] truncate">{tag ? `#${tag.name}` : 'All'}</div>
+            <div className="text-[10px] text-slate-500">
+              {compactHours(p.tracked)}/{compactHours(p.target)} {goal.period === 'day' ? 'today' : 'wk'}
+            </div>
+          </div>
+        )
+      })}
+    </div>
+  )
+}
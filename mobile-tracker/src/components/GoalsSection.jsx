@@ -0,0 +1,32 @@
+// src/components/GoalsSection.jsx
+import React, { useEffect, useState } from 'react'
+import { loadGoalsOverview } from '../api/goalService'
+import GoalRings from './GoalRings'
+
+/**
+ * GoalsSection — today's / this week's time-goal rings on the Dashboard (hidden without goals).
+ * Goals are managed in ProfilePage (TimeGoals).
+ *
+ * Props:
+ * - user
+ * - reloadKey: bump to refetch (timer stopped, change synced from another device)
+ */
+export default function GoalsSection({ user, reloadKey }) {
+  const [overview, setOverview] = useState(null)
+
+  useEffect(() => {
+    if (!user?.id) return
+    loadGoalsOverview(user.id).then(({ data, error }) => {
+      if (error) console.error('load goals', error)
+      setOverview(data)
+    })
+  }, [user?.id, reloadKey])
+
+  if (!overview || !overview.goals.length) return null
+  return (
+    <div className="card mb-3">
+      <div className="text-xs text-slate-500 mb-2">Goals</div>
+      <GoalRings goals={overview.goals} tagsById={overview.tagsById} days={overview.days} size={52} />
+    </div>
+  )
+}
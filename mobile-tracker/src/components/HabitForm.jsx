@@ -0,0 +1,134 @@
+// src/components/HabitForm.jsx
+import React, { useState } from 'react'
+import { createHabit, deleteHabit, updateHabit } from '../api/habitService'
+import { WEEKDAY_LABELS } from '../utils/habits'
+
+/**
+ * HabitForm — create or edit a habit: yes/no or count (e.g. 8 glasses), and its schedule
+ * (daily, picked weekdays, or N times per week). Editing also offers archive and delete.
+ *
+ * Props: user, habit (null = new), onSaved(), onCancel()
+ */
+const WEEK_ORDER = [1, 2, 3, 4, 5, 6, 0]
+
+export default function HabitForm({ user, habit, onSaved, onCancel }) {
+  const [name, setName] = useState(habit ? habit.name : '')
+  const [icon, setIcon] = useState(habit ? habit.icon || '' : '')
+  const [kind, setKind] = useState(habit ? habit.kind : 'check')
+  const [targetCount, setTargetCount] = useState(habit ? habit.target_count : 8)
+  const [schedule, setSchedule] = useState(habit ? habit.schedule : 'daily')
+  const [weekdays, setWeekdays] = useState(habit ? habit.weekdays || [] : [1, 2, 3, 4, 5])
+  const [timesPerWeek, setTimesPerWeek] = useState(habit ? habit.times_per_week || 3 : 3)
+  const [busy, setBusy] = useState(false)
+
+  function toggleWeekday(d) {
+    setWeekdays((prev) => (prev.includes(d) ? prev.filter((x) => x !== d) : [...prev, d]))
+  }
+
+  async function handleSubmit(e) {
+    e.preventDefault()
+    if (!name.trim()) return alert('Give the habit a name')
+    if (schedule === 'weekdays' && !weekdays.length) return alert('Pick at least one weekday')
+    const fields = {
+      name: name.trim(),
+      icon: icon.trim() || null,
+      kind,
+      target_count: kind === 'count' ? Math.max(1, Number(targetCount) || 1) : 1,
+      schedule,
+      weekdays: schedule === 'weekdays' ? weekdays : [],
+      times_per_week: schedule === 'times_per_week' ? Math.min(7, Math.max(1, Number(timesPerWeek) || 1)) : null
+    }
+    setBusy(true)
+    const { error } = habit ? await updateHabit(habit.id, fields) : await createHabit(user.id, fields)
+    setBusy(false)
+    if (error) {
+      console.error('save habit', error)
+      return alert('Could not save the habit')
+    }
+    onSaved && onSaved()
+  }
+
+  async function handleArchive() {
+    setBusy(true)
+    const { error } = await updateHabit(habit.id, { archived: !habit.archived })
+    setBusy(false)
+    if (error) return alert('Could not archive the habit')
+    onSaved && onSaved()
+  }
+
+  async function handleDelete() {
+    if (!confirm(`Delete "${habit.name}" and all its check-offs?`)) return
+    setBusy(true)
+    const { error } = await deleteHabit(habit.id)
+    setBusy(false)
+    if (error) return alert('Could not delete the habit')
+    onSaved && onSaved()
+  }
+
+  return (
+    <form className="card mb-4 space-y-2" onSubmit={handleSubmit}>
+      <div className="flex gap-2">
+        <input className="w-12 p-2 border rounded text-center" value={icon} maxLength={4} onChange={(e) => setIcon(e.target.value)} placeholder="🧘" aria-label="Icon" />
+        <input className="flex-1 p-2 border rounded" value={name} onChange={(e) => setName(e.target.value)} placeholder="Habit, e.g. Meditate" autoFocus />
+      </div>
+
+      <div className="flex items-center gap-2 text-sm">
+        <select className="p-1 border rounded" value={kind} onChange={(e) => setKind(e.target.value)} aria-label="Kind">
+          <option value="check">Yes / no</option>
+          <option value="count">Count</option>
+        </select>
+        {kind === 'count' && (
+          <>
+            <input type="number" min="1" className="w-16 p-1 border rounded" value={targetCount} onChange={(e) => setTargetCount(e.target.value)} aria-label="Target per day" />
+            <span>per day</span>
+          </>
+        )}
+      </div>
+
+      <div className="flex items-center gap-2 text-sm">
+        <select className="p-1 border rounded" value={schedule} onChange={(e) => setSchedule(e.target.value)} aria-label="Schedule">
+          <option value="daily">Every day</option>
+          <option value="weekdays">On weekdays…</option>
+          <option value="times_per_week">Times per week</option>
+        </select>
+        {schedule === 'times_per_week' && (
+          <input type="number" min="1" max="7" className="w-16 p-1 border rounded" value={timesPerWeek} onChange={(e) => setTimesPerWeek(e.target.value)} aria-label="Times per week" />
+        )}
+      </div>
+      {schedule === 'weekdays' && (
+        <div className="flex gap-1">
+          {WEEK_ORDER.map((d) => (
+            <button
+              key={d}
+              type="button"
+              className={`flex-1 py-1 rounded border text-xs ${weekdays.includes(d) ? 'bg-primary text-white' : ''}`}
+              onClick={() => toggleWeekday(d)}
+              aria-pressed={weekdays.includes(d)}
+            >
+              {WEEKDAY_LABELS[d]}
+            </button>
+          ))}
+        </div>
+      )}
+
+      <div className="flex gap-2">
+        <button className="btn flex-1" disabled={busy}>
+          {habit ? 'Save' : 'Add habit'}
+        </button>
+        <button type="button" className="py-2 px-3 rounded border" onClick={onCancel} disabled={busy}>
+          Cancel
+        </button>
+      </div>
+      {habit && (
+        <div className="flex gap-2 text-sm">
+          <button type="button" className="py-1 px-2 rounded border flex-1" onClick={handleArchive} disabled={busy}>
+            {habit.archived ? 'Unarchive' : 'Archive'}
+          </button>
+          <button type="button" className="py-1 px-2 rounded border text-red-600 flex-1" onClick={handleDelete} disabled={busy}>
+            Delete
+          </button>
+        </div>
+      )}
+    </form>
+  )
+}
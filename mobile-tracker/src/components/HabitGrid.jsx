@@ -0,0 +1,37 @@
+// src/components/HabitGrid.jsx
+import React from 'react'
+
+/**
+ * HabitGrid — completion grid for one habit: a column per week (Monday on top), a cell per day.
+ *
+ * Props: columns (utils/habits.habitGrid), onPick(date)? — tap a past day to select it
+ */
+const STATE_CLASS = {
+  done: 'bg-emerald-500',
+  partial: 'bg-emerald-200',
+  missed: 'bg-rose-200',
+  off: 'bg-slate-100',
+  future: 'bg-transparent'
+}
+
+export default function HabitGrid({ columns, onPick }) {
+  return (
+    <div className="flex gap-[3px]" role="grid" aria-label="Completion grid">
+      {columns.map((column) => (
+        <div key={column[0].date} className="flex flex-col gap-[3px]" role="row">
+          {column.map((cell) => (
+            <button
+              key={cell.date}
+              type="button"
+              role="gridcell"
+              className={`w-3 h-3 rounded-sm ${STATE_CLASS[cell.state]}`}
+              title={`${cell.date}${cell.count ? ` • ${cell.count}` : ''}`}
+              disabled={cell.state === 'future' || !onPick}
+              onClick={() => onPick && onPick(cell.date)}
+            />
+          ))}
+        </div>
+      ))}
+    </div>
+  )
+}
@@ -0,0 +1,160 @@
+// src/components/HabitsPage.jsx
+import React, { useEffect, useState } from 'react'
+import dayjs from 'dayjs'
+import { listHabitLogs, listHabits, setHabitCount } from '../api/habitService'
+import { byHabit, describeSchedule, doneInWeek, habitGrid, habitHistoryRange, habitStreaks, isDone, isScheduled, targetCount } from '../utils/habits'
+import HabitForm from './HabitForm'
+import HabitGrid from './HabitGrid'
+
+/**
+ * HabitsPage — daily habits, separate from tasks: check-offs for a picked day, streaks and a
+ * 15-week completion grid per habit. Archived habits are listed at the bottom.
+ *
+ * Props: user
+ */
+export default function HabitsPage({ user }) {
+  const today = dayjs().format('YYYY-MM-DD')
+  const [date, setDate] = useState(today)
+  const [habits, setHabits] = useState([])
+  const [counts, setCounts] = useState({}) // { [habitId]: { [date]: count } }
+  const [editing, setEditing] = useState(null) // habit | 'new' | null
+  const [showArchived, setShowArchived] = useState(false)
+  const [loading, setLoading] = useState(false)
+
+  useEffect(() => {
+    load()
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [user?.id])
+
+  async function load() {
+    setLoading(true)
+    const { from, to } = habitHistoryRange()
+    const [{ data: habitRows, error }, { data: logs, error: logErr }] = await Promise.all([
+      listHabits(user.id, { includeArchived: true }),
+      listHabitLogs(user.id, from, to)
+    ])
+    setLoading(false)
+    if (error || logErr) {
+      console.error('load habits', error || logErr)
+      return
+    }
+    setHabits(habitRows)
+    setCounts(byHabit(logs))
+  }
+
+  async function changeCount(habit, next) {
+    const value = Math.max(0, next)
+    const prev = counts
+    setCounts((c) => ({ ...c, [habit.id]: { ...(c[habit.id] || {}), [date]: value } }))
+    const { error } = await setHabitCount(user.id, habit.id, date, value)
+    if (error) {
+      console.error('check off habit', error)
+      setCounts(prev)
+      alert('Could not save the check-off')
+    }
+  }
+
+  const active = habits.filter((h) => !h.archived)
+  const archived = habits.filter((h) => h.archived)
+
+  function renderHabit(habit) {
+    const habitCounts = counts[habit.id] || {}
+    const count = habitCounts[date] || 0
+    const done = isDone(habit, count)
+    const streak = habitStreaks(habit, habitCounts)
+    const unit = streak.unit === 'week' ? 'w' : 'd'
+    return (
+      <div key={habit.id} className={`card mb-3 ${habit.archived ? 'opacity-60' : ''}`}>
+        <div className="flex items-center gap-2">
+          <div className="text-2xl w-8 text-center" aria-hidden>
+            {habit.icon || '✔️'}
+          </div>
+          <div className="flex-1 min-w-0">
+            <div className="font-medium truncate">{habit.name}</div>
+            <div className="text-xs text-slate-500">
+              {describeSchedule(habit)}
+              {habit.schedule === 'times_per_week' && ` • ${doneInWeek(habit, habitCounts, date)}/${habit.times_per_week} this week`}
+              {!isScheduled(habit, date) && ' • not scheduled'}
+            </div>
+            <div className="text-xs">
+              🔥 {streak.current}
+              {unit} <span className="text-slate-400">best {streak.best}{unit}</span>
+            </div>
+          </div>
+          {habit.kind === 'count' ? (
+            <div className="flex items-center gap-1">
+              <button className="w-8 h-8 rounded-full border" onClick={() => changeCount(habit, count - 1)} disabled={!count} aria-label="One less">
+                −
+              </button>
+              <div className={`text-sm w-12 text-center ${done ? 'text-emerald-600 font-semibold' : ''}`}>
+                {count}/{targetCount(habit)}
+              </div>
+              <button className="w-8 h-8 rounded-full border" onClick={() => changeCount(habit, count + 1)} aria-label="One more">
+                +
+              </button>
+            </div>
+          ) : (
+            <button
+              className={`w-10 h-10 rounded-full border text-lg ${done ? 'bg-emerald-500 text-white border-emerald-500' : ''}`}
+              onClick={() => changeCount(habit, done ? 0 : 1)}
+              aria-pressed={done}
+              aria-label={done ? 'Undo check-off' : 'Check off'}
+            >
+              ✓
+            </button>
+          )}
+        </div>
+        <div className="flex items-end justify-between mt-3">
+          <HabitGrid columns={habitGrid(habit, habitCounts)} onPick={setDate} />
+          <button className="text-xs text-slate-500 underline" onClick={() => setEditing(habit)}>
+            Edit
+          </button>
+        </div>
+      </div>
+    )
+  }
+
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-4">
+        <div>
+          <h2 className="text-xl font-semibold">Habits</h2>
+          <div className="text-xs text-slate-500">
+            {date === today ? 'Today' : dayjs(date).format('ddd, MMM D')} {loading && <span className="text-slate-400">loading…</span>}
+          </div>
+        </div>
+        <div className="flex items-center gap-2">
+          <input type="date" value={date} max={today} onChange={(e) => setDate(e.target.value || today)} className="p-2 border rounded" />
+          <button className="py-2 px-3 rounded border" onClick={() => setEditing(editing ? null : 'new')}>
+            {editing ? 'Close' : 'New'}
+          </button>
+        </div>
+      </div>
+
+      {editing && (
+        <HabitForm
+          key={editing === 'new' ? 'new' : editing.id}
+          user={user}
+          habit={editing === 'new' ? null : editing}
+          onCancel={() => setEditing(null)}
+          onSaved={() => {
+            setEditing(null)
+            load()
+          }}
+        />
+      )}
+
+      {!loading && active.length === 0 && !editing && (
+        <div className="text-sm text-slate-500">No habits yet — add things like “Meditate”, “8 glasses of water” or “No phone after 22:00”.</div>
+      )}
+      {active.map(renderHabit)}
+
+      {archived.length > 0 && (
+        <button className="text-xs text-slate-500 underline mb-3" onClick={() => setShowArchived((s) => !s)}>
+          {showArchived ? 'Hide' : 'Show'} archived ({archived.length})
+        </button>
+      )}
+      {showArchived && archived.map(renderHabit)}
+    </div>
+  )
+}
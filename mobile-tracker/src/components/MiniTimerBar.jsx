@@ -0,0 +1,111 @@
+// src/components/MiniTimerBar.jsx
+import React, { useEffect, useState } from 'react'
+import { adhocTitle } from '../api/trackingService'
+import AdhocStopSheet from './AdhocStopSheet'
+import StopTimerSheet from './StopTimerSheet'
+
+/**
+ * MiniTimerBar — compact running-timer bar shown above BottomNav on every page.
+ *
+ * Shows the running task, elapsed time (all entries of the task) and the remaining time:
+ *  - Pomodoro focus interval (dltr_pomodoro_${task.id}) -> time left in the interval
+ *  - otherwise the TimerOverlay target (dltr_timer_target_${task.id}, else estimated_duration_seconds)
+ * Tapping the task opens TimerOverlay; Stop / Finish open StopTimerSheet, as in TimerOverlay.
+ * A "track now" timer has no task: Stop opens AdhocStopSheet to label / tag / attach it.
+ *
+ * Props:
+ * - user
+ * - timer: { entry, task, baseSeconds } (see App.loadRunningTimer; task is null for "track now")
+ * - onOpen(task)
+ * - onChanged(): called after Stop / Finish so App reloads the timer state
+ */
+
+function formatHMS(sec) {
+  const s = Math.max(0, Math.floor(sec))
+  const hh = Math.floor(s / 3600)
+  const mm = Math.floor((s % 3600) / 60)
+  const ss = s % 60
+  return `${String(hh).padStart(2, '0')}:${String(mm).padStart(2, '0')}:${String(ss).padStart(2, '0')}`
+}
+
+function readJSON(key) {
+  try {
+    const raw = localStorage.getItem(key)
+    return raw ? JSON.parse(raw) : null
+  } catch {
+    return null
+  }
+}
+
+export default function MiniTimerBar({ user, timer, onOpen, onChanged }) {
+  const [now, setNow] = useState(Date.now())
+  const [stopSheet, setStopSheet] = useState(null) // 'stop' | 'finish'
+  const [showAdhocStop, setShowAdhocStop] = useState(false)
+
+  useEffect(() => {
+    const id = setInterval(() => setNow(Date.now()), 1000)
+    return () => clearInterval(id)
+  }, [])
+
+  const { entry, task, baseSeconds } = timer
+  const elapsed = (baseSeconds || 0) + Math.max(0, Math.round((now - new Date(entry.start_at)) / 1000))
+
+  const pomodoro = task ? readJSON(`dltr_pomodoro_${task.id}`) : null
+  const target = task ? Number(readJSON(`dltr_timer_target_${task.id}`)) || task.estimated_duration_seconds || null : null
+  let remainingLabel = null
+  if (pomodoro && pomodoro.phase === 'work' && pomodoro.entryId === entry.id && pomodoro.endsAt) {
+    remainingLabel = `🍅 ${formatHMS((pomodoro.endsAt - now) / 1000)}`
+  } else if (target) {
+    remainingLabel = `${formatHMS(target - elapsed)} left`
+  }
+
+  return (
+    <div className="fixed bottom-24 left-4 right-4 z-40 bg-slate-900 text-white rounded-xl px-3 py-2 shadow-lg flex items-center gap-2" role="status" aria-label="Running timer">
+      <button className="flex-1 min-w-0 text-left" onClick={() => (task ? onOpen && onOpen(task) : setShowAdhocStop(true))}>
+        <div className="text-sm font-medium truncate">⏱ {task ? task.title : adhocTitle(entry)}</div>
+        <div className="text-xs font-mono text-slate-300">
+          {formatHMS(elapsed)}
+          {remainingLabel && <span className="ml-2">• {remainingLabel}</span>}
+        </div>
+      </button>
+      {task ? (
+        <>
+          <button className="py-1 px-2 rounded border border-slate-500 text-sm" onClick={() => setStopSheet('stop')}>
+            Stop
+          </button>
+          <button className="py-1 px-2 rounded bg-white text-slate-900 text-sm" onClick={() => setStopSheet('finish')}>
+            Finish
+          </button>
+        </>
+      ) : (
+        <button className="py-1 px-2 rounded bg-white text-slate-900 text-sm" onClick={() => setShowAdhocStop(true)}>
+          Stop…
+        </button>
+      )}
+
+      {stopSheet && task && (
+        <StopTimerSheet
+          entry={entry}
+          title={task.title}
+          then={stopSheet}
+          onCancel={() => setStopSheet(null)}
+          onDone={() => {
+            setStopSheet(null)
+            onChanged && onChanged()
+          }}
+        />
+      )}
+      {showAdhocStop && (
+        <AdhocStopSheet
+          user={user}
+          entry={entry}
+          onCancel={() => setShowAdhocStop(false)}
+          onDone={() => {
+            setShowAdhocStop(false)
+            onChanged && onChanged()
+          }}
+        />
+      )}
+    </div>
+  )
+}
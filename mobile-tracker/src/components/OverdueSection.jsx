@@ -0,0 +1,134 @@
+// src/components/OverdueSection.jsx
+import React, { useEffect, useState } from 'react'
+import dayjs from 'dayjs'
+import { deleteTask, listOverdue, moveTasks } from '../api/taskService'
+import { getSettings } from '../utils/settings'
+import TagChips from './TagChips'
+
+/**
+ * OverdueSection — unfinished one-off tasks from previous days, shown on today's Dashboard.
+ * Missed occurrences of a recurring series are not carried over (the series has today's).
+ *
+ * Actions per task: move to today, reschedule to a picked date, or drop (delete).
+ * With the `autoRollover` setting on, everything overdue is moved to today on load.
+ *
+ * Props:
+ * - user
+ * - today: 'YYYY-MM-DD'
+ * - onChange(): called after tasks were moved onto / off the Dashboard
+ * - tagsById: for tag chips
+ * - reloadKey: bump to refetch (e.g. after a change synced from another device)
+ */
+export default function OverdueSection({ user, today, onChange, tagsById, reloadKey }) {
+  const [tasks, setTasks] = useState([])
+  const [loading, setLoading] = useState(false)
+  const [rescheduleDates, setRescheduleDates] = useState({}) // { [taskId]: 'YYYY-MM-DD' }
+  const [busy, setBusy] = useState(false)
+
+  useEffect(() => {
+    loadOverdue()
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [user?.id, today, reloadKey])
+
+  async function loadOverdue() {
+    if (!user?.id) return
+    setLoading(true)
+    try {
+      const { data, error } = await listOverdue(user.id, today)
+      if (error) throw error
+      if (data.length && getSettings(user.id).autoRollover) {
+        const { error: moveErr } = await moveTasks(data.map((t) => t.id), today)
+        if (moveErr) throw moveErr
+        setTasks([])
+        onChange && onChange()
+        return
+      }
+      setTasks(data)
+    } catch (err) {
+      console.error('loadOverdue', err)
+      setTasks([])
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  async function move(taskIds, dateStr) {
+    setBusy(true)
+    try {
+      const { error } = await moveTasks(taskIds, dateStr)
+      if (error) throw error
+      setTasks((prev) => prev.filter((t) => !taskIds.includes(t.id)))
+      onChange && onChange()
+    } catch (err) {
+      console.error('move overdue', err)
+      alert('Could not move task')
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  async function drop(task) {
+    if (!confirm(`Drop "${task.title}"? This deletes it and its time entries.`)) return
+    setBusy(true)
+    try {
+      const { error } = await deleteTask(task)
+      if (error) throw error
+      setTasks((prev) => prev.filter((t) => t.id !== task.id))
+      onChange && onChange()
+    } catch (err) {
+      console.error('drop overdue', err)
+      alert('Could not drop task')
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  if (loading || tasks.length === 0) return null
+
+  const tomorrow = dayjs(today).add(1, 'day').format('YYYY-MM-DD')
+
+  return (
+    <section className="mb-4">
+      <div className="flex items-center justify-between mb-2">
+        <div className="font-semibold">
+          Overdue / carried over <span className="text-xs text-slate-500">({tasks.length})</span>
+        </div>
+        <button className="py-1 px-2 rounded border text-sm" disabled={busy} onClick={() => move(tasks.map((t) => t.id), today)}>
+          Move all to today
+        </button>
+      </div>
+      <div className="space-y-2">
+        {tasks.map((t) => (
+          <div key={t.id} className="card border-l-4 border-amber-400">
+            <div className="flex justify-between items-start">
+              <div>
+                <div className="font-medium">{t.title}</div>
+                <div className="text-xs text-slate-500">
+                  from {t.date} ({dayjs(today).diff(dayjs(t.date), 'day')}d ago) • {t.time_from} → {t.time_to} <TagChips tagIds={t.tag_ids} tagsById={tagsById} />
+                </div>
+              </div>
+            </div>
+            <div className="mt-2 flex flex-wrap gap-2">
+              <button className="py-1 px-2 rounded border text-sm" disabled={busy} onClick={() => move([t.id], today)}>
+                Move to today
+              </button>
+              <input
+                type="date"
+                min={today}
+                className="p-1 border rounded text-sm"
+                value={rescheduleDates[t.id] || tomorrow}
+                onChange={(e) => setRescheduleDates((prev) => ({ ...prev, [t.id]: e.target.value }))}
+              />
+              <button className="py-1 px-2 rounded border text-sm" disabled={busy} onClick={() => move([t.id], rescheduleDates[t.id] || tomorrow)}>
+                Reschedule
+              </button>
+              <button className="py-1 px-2 rounded border text-sm text-red-600" disabled={busy} onClick={() => drop(t)}>
+                Drop
+              </button>
+            </div>
+          </div>
+        ))}
+      </div>
+    </section>
+  )
+}
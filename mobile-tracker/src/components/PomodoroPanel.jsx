@@ -0,0 +1,227 @@
+// src/components/PomodoroPanel.jsx
+import React, { useEffect, useRef, useState } from 'react'
+import dayjs from 'dayjs'
+import * as timerService from '../api/timerService'
+import { endBreak, listBreaks, startBreak } from '../api/breakService'
+import { getSettings, saveSettings } from '../utils/settings'
+import { cancelAlert, scheduleAlert } from '../utils/notify'
+import { PHASE_LABELS, breakPhaseAfter, countPomodorosOn, phaseSeconds } from '../utils/pomodoro'
+import { durationHuman } from '../utils/time'
+
+/**
+ * PomodoroPanel — Pomodoro mode inside TimerOverlay.
+ *
+ * Behavior:
+ *  - Focus intervals are ordinary time_entries, each a fresh one (a timer already running on the task
+ *    is stopped first). An interval that runs to the end is stopped exactly at its scheduled end and
+ *    flagged pomodoro = true.
+ *  - Breaks go to pomodoro_breaks (breakService) and never count toward the task; today's finished
+ *    breaks are summed under the counter.
+ *  - Phase state is saved to localStorage (`dltr_pomodoro_${task.id}`) so closing the overlay or
+ *    reloading resumes; phases that ended while closed are closed at their scheduled end.
+ *  - Stopping a focus interval early keeps the tracked time but gives no pomodoro credit.
+ *  - The end of every phase is announced through utils/notify (notification / chime).
+ *
+ * Props:
+ * - user, task
+ * - entries: the task's time_entries (for today's pomodoro count)
+ * - onChanged(): reload the overlay's aggregate after an entry was started/stopped
+ */
+
+const IDLE = { phase: 'idle', endsAt: null, cycles: 0, entryId: null, breakId: null }
+
+function formatMS(sec) {
+  const s = Math.max(0, Math.ceil(sec))
+  return `${String(Math.floor(s / 60)).padStart(2, '0')}:${String(s % 60).padStart(2, '0')}`
+}
+
+export default function PomodoroPanel({ user, task, entries, onChanged }) {
+  const storageKey = `dltr_pomodoro_${task.id}`
+  const [cfg, setCfg] = useState(() => getSettings(user.id).pomodoro)
+  const [state, setState] = useState(() => {
+    try {
+      const raw = localStorage.getItem(storageKey)
+      return raw ? { ...IDLE, ...JSON.parse(raw) } : IDLE
+    } catch {
+      return IDLE
+    }
+  })
+  const [now, setNow] = useState(Date.now())
+  const [busy, setBusy] = useState(false)
+  const [breaksToday, setBreaksToday] = useState([])
+  const busyRef = useRef(false)
+
+  function persist(next) {
+    setState(next)
+    try {
+      localStorage.setItem(storageKey, JSON.stringify(next))
+    } catch {
+      // the phase runs on, it just won't survive a reload
+    }
+    const alertId = `pomodoro-${task.id}`
+    if (next.phase === 'idle' || !next.endsAt) cancelAlert(alertId)
+    else if (next.endsAt > Date.now()) {
+      const title = next.phase === 'work' ? `Focus done: ${task.title}` : 'Break over'
+      const body = next.phase === 'work' ? 'Time for a break.' : 'Ready for the next focus interval?'
+      scheduleAlert(user.id, alertId, next.endsAt, { title, body })
+    }
+  }
+
+  useEffect(() => {
+    const id = setInterval(() => setNow(Date.now()), 500)
+    return () => clearInterval(id)
+  }, [])
+
+  // phase changes are when a break starts or ends
+  useEffect(() => {
+    listBreaks(user.id, dayjs().startOf('day').toISOString(), dayjs().add(1, 'day').startOf('day').toISOString()).then(({ data, error }) => {
+      if (error) console.warn('load breaks', error)
+      setBreaksToday((data || []).filter((b) => b.end_at))
+    })
+  }, [user.id, state.phase])
+
+  // advance when the current phase has run out
+  useEffect(() => {
+    if (state.phase !== 'idle' && state.endsAt && now >= state.endsAt && !busyRef.current) completePhase()
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [now, state])
+
+  async function guarded(fn) {
+    if (busyRef.current) return
+    busyRef.current = true
+    setBusy(true)
+    try {
+      await fn()
+    } catch (err) {
+      console.error('pomodoro error', err)
+      alert('Pomodoro action failed — check console')
+    } finally {
+      busyRef.current = false
+      setBusy(false)
+    }
+  }
+
+  function startWork() {
+    return guarded(async () => {
+      const { timerSwitch } = getSettings(user.id)
+      const { data: entry, cancelled, error, warnings } = await timerService.createEntryExclusive(user.id, task.id, {
+        confirmSwitch: timerSwitch === 'ask' ? (message) => confirm(message) : null,
+        fresh: true
+      })
+      if (cancelled) return
+      if (error) throw error
+      if (warnings && warnings.length) console.warn('createEntry warnings', warnings)
+      persist({ ...state, phase: 'work', endsAt: Date.now() + phaseSeconds('work', cfg) * 1000, entryId: entry.id, breakId: null })
+      onChanged && onChanged()
+    })
+  }
+
+  function completePhase() {
+    return guarded(async () => {
+      const endIso = new Date(state.endsAt).toISOString()
+      if (state.phase === 'work') {
+        // the entry may have been stopped elsewhere (Finish, another device): then no credit
+        const { data: entry } = await timerService.getEntry(state.entryId)
+        if (!entry || entry.end_at) {
+          persist({ ...IDLE, cycles: state.cycles })
+          onChanged && onChanged()
+          return
+        }
+        const { error } = await timerService.stopEntry(state.entryId, endIso, { pomodoro: true })
+        if (error) throw error
+        const cycles = state.cycles + 1
+        const kind = breakPhaseAfter(cycles, cfg)
+        const { data: br, error: brErr } = await startBreak(user.id, task.id, kind, endIso)
+        if (brErr) console.warn('startBreak failed', brErr)
+        persist({ phase: kind, endsAt: state.endsAt + phaseSeconds(kind, cfg) * 1000, cycles, entryId: null, breakId: br ? br.id : null })
+      } else {
+        if (state.breakId) await endBreak(state.breakId, endIso)
+        persist({ ...IDLE, cycles: state.cycles })
+      }
+      onChanged && onChanged()
+    })
+  }
+
+  // stop focus early (time is kept, no credit) or skip the rest of a break
+  function stopNow() {
+    return guarded(async () => {
+      if (state.phase === 'work' && state.entryId) {
+        const { data: entry } = await timerService.getEntry(state.entryId)
+        if (entry && !entry.end_at) await timerService.stopEntry(state.entryId)
+      } else if (state.breakId) {
+        await endBreak(state.breakId)
+      }
+      persist({ ...IDLE, cycles: state.cycles })
+      onChanged && onChanged()
+    })
+  }
+
+  function resetCycles() {
+    persist({ ...state, cycles: 0 })
+  }
+
+  function updateCfg(patch) {
+    const next = { ...cfg, ...patch }
+    setCfg(next)
+    saveSettings(user.id, { pomodoro: next })
+  }
+
+  const remaining = state.endsAt ? (state.endsAt - now) / 1000 : phaseSeconds('work', cfg)
+  const total = state.phase === 'idle' ? phaseSeconds('work', cfg) : phaseSeconds(state.phase, cfg)
+  const pct = total ? Math.min(100, Math.max(0, Math.round(((total - remaining) / total) * 100))) : 0
+  const todayCount = countPomodorosOn(entries, dayjs().format('YYYY-MM-DD'))
+  const n = Math.max(1, Number(cfg.cyclesUntilLongBreak) || 1)
+
+  return (
+    <div className="w-full max-w-md flex flex-col items-center">
+      <div className={`text-sm mb-1 ${state.phase === 'work' ? 'text-rose-600' : state.phase === 'idle' ? 'text-slate-500' : 'text-emerald-600'}`}>
+        {PHASE_LABELS[state.phase]}
+      </div>
+      <div className="text-6xl md:text-7xl font-mono mb-2">{formatMS(remaining)}</div>
+      <div className="w-full bg-slate-100 rounded-full h-2 overflow-hidden mb-2">
+        <div style={{ width: `${pct}%` }} className={`h-2 rounded-full ${state.phase === 'work' ? 'bg-rose-500' : 'bg-emerald-500'}`} />
+      </div>
+      <div className="text-xs text-slate-500 mb-4">
+        🍅 {todayCount} today • {state.cycles % n}/{n} until long break
+        {breaksToday.length > 0 && ` • ☕ ${breaksToday.length} break${breaksToday.length === 1 ? '' : 's'}, ${durationHuman(breaksToday.reduce((sum, b) => sum + (b.duration_seconds || 0), 0))}`}
+      </div>
+
+      <div className="w-full card p-3 mb-4">
+        <div className="flex gap-2 mb-3">
+          {state.phase === 'idle' ? (
+            <button className="btn flex-1" onClick={startWork} disabled={busy}>
+              {busy ? '...' : 'Start focus'}
+            </button>
+          ) : (
+            <button className="py-2 px-3 rounded border flex-1" onClick={stopNow} disabled={busy}>
+              {state.phase === 'work' ? 'Stop focus' : 'Skip break'}
+            </button>
+          )}
+          <button className="py-2 px-3 rounded border" onClick={resetCycles} disabled={busy || state.cycles === 0}>
+            Reset cycles
+          </button>
+        </div>
+
+        <div className="grid grid-cols-2 gap-2 text-xs">
+          <label className="flex flex-col">
+            Focus (min)
+            <input type="number" min="1" className="p-2 border rounded" value={cfg.workMinutes} onChange={(e) => updateCfg({ workMinutes: Number(e.target.value) || 1 })} />
+          </label>
+          <label className="flex flex-col">
+            Short break (min)
+            <input type="number" min="1" className="p-2 border rounded" value={cfg.shortBreakMinutes} onChange={(e) => updateCfg({ shortBreakMinutes: Number(e.target.value) || 1 })} />
+          </label>
+          <label className="flex flex-col">
+            Long break (min)
+            <input type="number" min="1" className="p-2 border rounded" value={cfg.longBreakMinutes} onChange={(e) => updateCfg({ longBreakMinutes: Number(e.target.value) || 1 })} />
+          </label>
+          <label className="flex flex-col">
+            Cycles until long break
+            <input type="number" min="1" className="p-2 border rounded" value={cfg.cyclesUntilLongBreak} onChange={(e) => updateCfg({ cyclesUntilLongBreak: Number(e.target.value) || 1 })} />
+          </label>
+        </div>
+        <div className="text-xs text-slate-500 mt-2">New lengths apply from the next phase.</div>
+      </div>
+    </div>
+  )
+}
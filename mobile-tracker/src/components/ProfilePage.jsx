@@ -1,9 +1,20 @@
 // src/components/ProfilePage.jsx
 import React, { useEffect, useState } from 'react'
-import { supabase } from '../api/supabaseClient'
+import { countTasks } from '../api/statsService'
+import { getSettings, saveSettings } from '../utils/settings'
+import TagManager from './TagManager'
+import RunningTimers from './RunningTimers'
+import WorkLog from './WorkLog'
+import EstimateAccuracy from './EstimateAccuracy'
+import StatisticsPanel from './StatisticsPanel'
+import TimeGoals from './TimeGoals'
+import DataPortability from './DataPortability'
+import { notificationPermission, requestNotificationPermission, scheduleAlert } from '../utils/notify'
 
 export default function ProfilePage({ user, onLogout }) {
   const [stats, setStats] = useState({ total: 0, completed: 0 })
+  const [settings, setSettings] = useState(() => getSettings(user.id))
+  const [permission, setPermission] = useState(notificationPermission())
 
   useEffect(() => {
     fetchStats()
@@ -11,12 +22,29 @@ export default function ProfilePage({ user, onLogout }) {
   }, [])
 
   async function fetchStats() {
-    const { data: totalData } = await supabase.from('tasks').select('id').eq('user_id', user.id)
-    const { data: completedData } = await supabase.from('tasks').select('id').eq('user_id', user.id).eq('status', 'completed')
-    setStats({
-      total: totalData ? totalData.length : 0,
-      completed: completedData ? completedData.length : 0
-    })
+    const { data, error } = await countTasks(user.id)
+    if (error) console.error('count tasks', error)
+    setStats(data)
+  }
+
+  function updateSetting(patch) {
+    setSettings(saveSettings(user.id, patch))
+  }
+
+  async function toggleNotifications(enabled) {
+    if (enabled) {
+      const result = await requestNotificationPermission()
+      setPermission(result)
+      if (result !== 'granted') {
+        alert(result === 'denied' ? 'Notifications are blocked for this site — allow them in the browser settings.' : 'Notifications are not available in this browser.')
+        return
+      }
+    }
+    updateSetting({ notifications: enabled })
+  }
+
+  function testAlert() {
+    scheduleAlert(user.id, 'test', Date.now() + 5000, { title: 'Test alert', body: 'Timer alerts are working.' })
   }
 
   const commitment = stats.total ? Math.round((stats.completed / stats.total) * 100) : 0
@@ -48,6 +76,66 @@ export default function ProfilePage({ user, onLogout }) {
         </div>
         <div className="text-xs text-slate-500 mt-1">{commitment}%</div>
       </div>
+
+      <StatisticsPanel user={user} />
+
+      <TimeGoals user={user} />
+
+      <div className="mt-4 card">
+        <div className="font-semibold mb-2">Settings</div>
+        <label className="flex items-center gap-2 text-sm">
+          <input type="checkbox" checked={settings.autoRollover} onChange={(e) => updateSetting({ autoRollover: e.target.checked })} />
+          <span>Automatically carry unfinished tasks over to today</span>
+        </label>
+        <label className="flex items-center gap-2 text-sm mt-2">
+          <span>When starting a timer while another runs</span>
+          <select className="p-1 border rounded" value={settings.timerSwitch} onChange={(e) => updateSetting({ timerSwitch: e.target.value })}>
+            <option value="ask">Ask first</option>
+            <option value="auto">Stop the other automatically</option>
+          </select>
+        </label>
+        <label className="flex items-center gap-2 text-sm mt-2">
+          <span>Ask about timers running longer than</span>
+          <input
+            type="number"
+            min="1"
+            className="w-16 p-1 border rounded"
+            value={settings.forgottenTimerHours}
+            onChange={(e) => updateSetting({ forgottenTimerHours: Number(e.target.value) || 1 })}
+          />
+          <span>hours (or past midnight)</span>
+        </label>
+        <label className="flex items-center gap-2 text-sm mt-2">
+          <span>Ask about away gaps longer than</span>
+          <input type="number" min="0" className="w-16 p-1 border rounded" value={settings.idleGapMinutes} onChange={(e) => updateSetting({ idleGapMinutes: Number(e.target.value) || 0 })} />
+          <span>minutes (0 = off)</span>
+        </label>
+        <label className="flex items-center gap-2 text-sm mt-2">
+          <input type="checkbox" checked={settings.notifications && permission === 'granted'} onChange={(e) => toggleNotifications(e.target.checked)} />
+          <span>Notify me when a countdown or Pomodoro phase ends</span>
+        </label>
+        <div className="text-xs text-slate-500 ml-6">
+          Works while the app is open. With the app in the background or closed the browser may hold the alert back until you return.
+        </div>
+        {permission === 'denied' && <div className="text-xs text-red-600 ml-6">Blocked by the browser — allow notifications for this site.</div>}
+        {permission === 'unsupported' && <div className="text-xs text-slate-500 ml-6">Not supported in this browser.</div>}
+        <label className="flex items-center gap-2 text-sm mt-2">
+          <input type="checkbox" checked={settings.sound} onChange={(e) => updateSetting({ sound: e.target.checked })} />
+          <span>Play a sound</span>
+          <button className="ml-auto py-1 px-2 rounded border text-xs" onClick={testAlert}>
+            Test (5s)
+          </button>
+        </label>
+        <RunningTimers user={user} />
+      </div>
+
+      <EstimateAccuracy user={user} />
+
+      <WorkLog user={user} />
+
+      <TagManager user={user} />
+
+      <DataPortability user={user} />
     </div>
   )
 }
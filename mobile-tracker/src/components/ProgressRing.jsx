@@ -0,0 +1,31 @@
+// src/components/ProgressRing.jsx
+import React from 'react'
+
+/**
+ * ProgressRing — SVG ring filled clockwise from the top.
+ *
+ * Props: value (0..1), size (px, default 64), stroke (px, default 6), color (CSS colour), children (centre label)
+ */
+export default function ProgressRing({ value, size = 64, stroke = 6, color = 'var(--primary)', children }) {
+  const r = (size - stroke) / 2
+  const circumference = 2 * Math.PI * r
+  const filled = Math.max(0, Math.min(1, value || 0)) * circumference
+  return (
+    <div className="relative inline-flex items-center justify-center" style={{ width: size, height: size }}>
+      <svg width={size} height={size} className="-rotate-90" aria-hidden>
+        <circle cx={size / 2} cy={size / 2} r={r} fill="none" stroke="#e2e8f0" strokeWidth={stroke} />
+        <circle
+          cx={size / 2}
+          cy={size / 2}
+          r={r}
+          fill="none"
+          stroke={color}
+          strokeWidth={stroke}
+          strokeLinecap="round"
+          strokeDasharray={`${filled} ${circumference}`}
+        />
+      </svg>
+      <div className="absolute text-[11px] font-semibold">{children}</div>
+    </div>
+  )
+}
@@ -0,0 +1,100 @@
+// src/components/QuickAddBar.jsx
+import React, { useEffect, useState } from 'react'
+import { supabase } from '../api/supabaseClient'
+import { insertTasks } from '../api/taskService'
+import { resolveTagIds } from '../api/tagService'
+import { parseQuickAdd } from '../utils/quickAdd'
+import { priorityInfo } from '../utils/priority'
+
+/**
+ * QuickAddBar — one-line task entry for the Dashboard.
+ *
+ *   "Read paper tomorrow 14:00-15:30 #academics !high @teamName"
+ *
+ * Shows a live preview of the parsed fields; Enter (or Add) inserts through
+ * taskService.insertTasks, the same path as TaskForm. Missing date/time fall back to the
+ * Dashboard's date and TaskForm's 09:00–10:00 default. @team must match one of the teams.
+ *
+ * Props: user, date (Dashboard date), onCreate()
+ */
+export default function QuickAddBar({ user, date, onCreate }) {
+  const [text, setText] = useState('')
+  const [teams, setTeams] = useState([])
+  const [saving, setSaving] = useState(false)
+
+  useEffect(() => {
+    ;(async () => {
+      const { data, error } = await supabase.from('teams').select('id, name')
+      if (error) console.error('load teams', error)
+      setTeams(data || [])
+    })()
+  }, [])
+
+  const parsed = parseQuickAdd(text)
+  const team = parsed.teamName ? teams.find((t) => t.name.toLowerCase() === parsed.teamName.toLowerCase()) : null
+  const teamMissing = parsed.teamName && !team
+  const fields = {
+    title: parsed.title,
+    date: parsed.date || date,
+    time_from: parsed.time_from || '09:00',
+    time_to: parsed.time_to || '10:00',
+    priority: parsed.priority || 'normal'
+  }
+
+  async function handleSubmit(e) {
+    e.preventDefault()
+    if (!parsed.title || teamMissing) return
+    setSaving(true)
+    try {
+      const { data: tagIds, error: tagErr } = await resolveTagIds(user.id, parsed.tagNames)
+      if (tagErr) throw tagErr
+      const { error } = await insertTasks([{ ...fields, user_id: user.id, team_id: team ? team.id : null, tag_ids: tagIds }])
+      if (error) throw error
+      setText('')
+      onCreate && onCreate()
+    } catch (err) {
+      console.error('quick add failed', err)
+      alert(err.message || 'Quick add failed')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  return (
+    <form className="mb-3" onSubmit={handleSubmit}>
+      <div className="flex gap-2">
+        <input
+          className="flex-1 p-2 border rounded"
+          value={text}
+          onChange={(e) => setText(e.target.value)}
+          placeholder="Quick add: Read paper tomorrow 14:00-15:30 #academics !high @team"
+          aria-label="Quick add task"
+        />
+        <button type="submit" className="btn" disabled={saving || !parsed.title || teamMissing}>
+          {saving ? '…' : 'Add'}
+        </button>
+      </div>
+
+      {text.trim() && (
+        <div className="mt-1 flex flex-wrap gap-1 text-xs">
+          <span className="px-2 rounded-full bg-slate-100">{parsed.title || <em className="text-red-600">no title</em>}</span>
+          <span className={`px-2 rounded-full ${parsed.date ? 'bg-indigo-100' : 'bg-slate-100 text-slate-500'}`}>📅 {fields.date}</span>
+          <span className={`px-2 rounded-full ${parsed.time_from ? 'bg-indigo-100' : 'bg-slate-100 text-slate-500'}`}>
+            🕒 {fields.time_from}–{fields.time_to}
+          </span>
+          {parsed.tagNames.map((n) => (
+            <span key={n} className="px-2 rounded-full bg-emerald-100">
+              #{n}
+            </span>
+          ))}
+          {parsed.priority && <span className={`px-2 rounded-full ${priorityInfo(parsed.priority).className}`}>{priorityInfo(parsed.priority).label}</span>}
+          {parsed.teamName && (
+            <span className={`px-2 rounded-full ${teamMissing ? 'bg-rose-100 text-rose-700' : 'bg-sky-100'}`}>
+              👥 {team ? team.name : `${parsed.teamName}?`}
+            </span>
+          )}
+        </div>
+      )}
+    </form>
+  )
+}
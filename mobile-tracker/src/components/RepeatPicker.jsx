@@ -0,0 +1,112 @@
+// src/components/RepeatPicker.jsx
+import React from 'react'
+import dayjs from 'dayjs'
+import { REPEAT_OPTIONS, WEEKDAY_LABELS } from '../utils/recurrence'
+
+/**
+ * RepeatPicker — controlled editor for a repeat rule.
+ *
+ * Props:
+ * - value: { freq, interval_days, weekdays, end_date, occurrence_count }
+ * - onChange(nextValue)
+ * - startDate: 'YYYY-MM-DD' the series starts on (used for defaults / hints)
+ */
+export default function RepeatPicker({ value, onChange, startDate }) {
+  const rule = value || {}
+  const endType = rule.end_date ? 'date' : rule.occurrence_count ? 'count' : 'never'
+
+  function patch(p) {
+    onChange && onChange({ ...rule, ...p })
+  }
+
+  function toggleWeekday(n) {
+    const current = rule.weekdays || []
+    patch({ weekdays: current.includes(n) ? current.filter((d) => d !== n) : [...current, n].sort() })
+  }
+
+  return (
+    <div className="mb-2">
+      <label className="text-sm">Repeat</label>
+      <select
+        className="w-full p-2 mb-2 border rounded"
+        value={rule.freq || ''}
+        onChange={(e) => {
+          const freq = e.target.value
+          const extra = freq === 'weekly' && !(rule.weekdays || []).length ? { weekdays: [dayjs(startDate).day()] } : {}
+          patch({ freq, ...extra })
+        }}
+      >
+        {REPEAT_OPTIONS.map((o) => (
+          <option key={o.value} value={o.value}>
+            {o.label}
+          </option>
+        ))}
+      </select>
+
+      {rule.freq === 'weekly' && (
+        <div className="flex gap-1 mb-2">
+          {WEEKDAY_LABELS.map((label, n) => (
+            <button
+              type="button"
+              key={label}
+              className={`flex-1 py-1 rounded border text-xs ${(rule.weekdays || []).includes(n) ? 'bg-primary text-white' : ''}`}
+              onClick={() => toggleWeekday(n)}
+              aria-pressed={(rule.weekdays || []).includes(n)}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+      )}
+
+      {rule.freq === 'interval' && (
+        <div className="flex items-center gap-2 mb-2 text-sm">
+          <span>Every</span>
+          <input
+            type="number"
+            min="1"
+            className="w-20 p-2 border rounded"
+            value={rule.interval_days || 1}
+            onChange={(e) => patch({ interval_days: Math.max(1, Number(e.target.value) || 1) })}
+          />
+          <span>days</span>
+        </div>
+      )}
+
+      {rule.freq === 'monthly' && (
+        <div className="text-xs text-slate-500 mb-2">On day {dayjs(startDate).date()} of each month (last day in shorter months)</div>
+      )}
+
+      {rule.freq && (
+        <div className="flex items-center gap-2 text-sm">
+          <select
+            className="p-2 border rounded"
+            value={endType}
+            onChange={(e) => {
+              const t = e.target.value
+              if (t === 'never') patch({ end_date: null, occurrence_count: null })
+              if (t === 'date') patch({ end_date: dayjs(startDate).add(1, 'month').format('YYYY-MM-DD'), occurrence_count: null })
+              if (t === 'count') patch({ end_date: null, occurrence_count: 10 })
+            }}
+          >
+            <option value="never">No end</option>
+            <option value="date">Until date</option>
+            <option value="count">After N times</option>
+          </select>
+          {endType === 'date' && (
+            <input type="date" className="flex-1 p-2 border rounded" value={rule.end_date || ''} onChange={(e) => patch({ end_date: e.target.value || null })} />
+          )}
+          {endType === 'count' && (
+            <input
+              type="number"
+              min="1"
+              className="w-24 p-2 border rounded"
+              value={rule.occurrence_count || 1}
+              onChange={(e) => patch({ occurrence_count: Math.max(1, Number(e.target.value) || 1) })}
+            />
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
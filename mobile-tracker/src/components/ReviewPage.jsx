@@ -0,0 +1,172 @@
+// src/components/ReviewPage.jsx
+import React, { useEffect, useState } from 'react'
+import dayjs from 'dayjs'
+import { loadReview } from '../api/reviewService'
+import { durationHuman } from '../utils/time'
+import { downloadFile } from '../utils/download'
+import { reviewTitle, reviewToHtml, reviewToMarkdown } from '../utils/reviewReport'
+import { weekRange } from '../utils/stats'
+import BarChart from './BarChart'
+
+/**
+ * ReviewPage — weekly (or custom range) review: planned vs completed, hours per category,
+ * top focus days, overdue tasks and a digest of the diary. Exports Markdown or standalone HTML.
+ *
+ * Props:
+ * - user
+ * - initialDate: any day of the week to open (defaults to this week, Monday–Sunday)
+ * - onBack(): return to the previous screen
+ */
+export default function ReviewPage({ user, initialDate, onBack }) {
+  const [range, setRange] = useState(() => weekRange(initialDate || dayjs()))
+  const [review, setReview] = useState(null)
+  const [loading, setLoading] = useState(false)
+
+  useEffect(() => {
+    if (!range.from || !range.to || range.from > range.to) return
+    let cancelled = false
+    setLoading(true)
+    loadReview(user.id, range).then(({ data, error }) => {
+      if (cancelled) return
+      setLoading(false)
+      if (error) {
+        console.error('load review', error)
+        alert('Could not load the review')
+        return
+      }
+      setReview(data)
+    })
+    return () => {
+      cancelled = true
+    }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [user?.id, range.from, range.to])
+
+  function shiftWeek(weeks) {
+    setRange((r) => weekRange(dayjs(r.from).add(weeks, 'week')))
+  }
+
+  function exportAs(kind) {
+    if (!review) return
+    const base = `review-${review.from}_${review.to}`
+    if (kind === 'md') downloadFile(`${base}.md`, reviewToMarkdown(review), 'text/markdown')
+    else downloadFile(`${base}.html`, reviewToHtml(review), 'text/html')
+  }
+
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-xl font-semibold">Review</h2>
+        {onBack && (
+          <button className="py-2 px-3 rounded border" onClick={onBack}>
+            Back
+          </button>
+        )}
+      </div>
+
+      <div className="card mb-4">
+        <div className="flex items-center gap-2 mb-2">
+          <button className="py-1 px-2 rounded border" onClick={() => shiftWeek(-1)} aria-label="Previous week">
+            ‹
+          </button>
+          <div className="flex-1 text-center text-sm font-medium">{review ? reviewTitle(review) : '…'}</div>
+          <button className="py-1 px-2 rounded border" onClick={() => shiftWeek(1)} aria-label="Next week">
+            ›
+          </button>
+        </div>
+        <div className="flex items-center gap-2 text-sm">
+          <input type="date" className="p-1 border rounded flex-1" value={range.from} max={range.to} onChange={(e) => setRange((r) => ({ ...r, from: e.target.value }))} />
+          <span>→</span>
+          <input type="date" className="p-1 border rounded flex-1" value={range.to} min={range.from} onChange={(e) => setRange((r) => ({ ...r, to: e.target.value }))} />
+        </div>
+        <div className="flex gap-2 mt-3">
+          <button className="py-2 px-3 rounded border flex-1" onClick={() => exportAs('md')} disabled={!review || loading}>
+            Export Markdown
+          </button>
+          <button className="py-2 px-3 rounded border flex-1" onClick={() => exportAs('html')} disabled={!review || loading}>
+            Export HTML
+          </button>
+        </div>
+      </div>
+
+      {!review ? (
+        <div className="text-sm text-slate-500">Loading…</div>
+      ) : (
+        <div className={loading ? 'opacity-50' : ''}>
+          <div className="card mb-4">
+            <div className="font-semibold mb-2">Tasks</div>
+            <div className="grid grid-cols-3 gap-2 mb-3 text-center">
+              <div>
+                <div className="text-xs text-slate-500">Planned</div>
+                <div className="text-lg font-bold">{review.planned}</div>
+              </div>
+              <div>
+                <div className="text-xs text-slate-500">Completed</div>
+                <div className="text-lg font-bold">
+                  {review.completed}
+                  {review.completionRate != null && <span className="text-xs text-slate-500 ml-1">{review.completionRate}%</span>}
+                </div>
+              </div>
+              <div>
+                <div className="text-xs text-slate-500">Tracked</div>
+                <div className="text-lg font-bold">{durationHuman(review.trackedSeconds)}</div>
+              </div>
+            </div>
+            <BarChart
+              bars={review.days.map((d) => ({ key: d.date, value: d.seconds, title: `${d.date}: ${durationHuman(d.seconds)} • ${d.completed}/${d.planned} done` }))}
+              startLabel={dayjs(review.from).format('MMM D')}
+              endLabel={dayjs(review.to).format('MMM D')}
+            />
+          </div>
+
+          <div className="card mb-4">
+            <div className="font-semibold mb-2">Hours per category</div>
+            {review.hoursByTag.length === 0 && <div className="text-sm text-slate-500">Nothing tracked.</div>}
+            {review.hoursByTag.map((r) => (
+              <div key={r.name} className="flex justify-between text-sm">
+                <span>{r.name}</span>
+                <span>{durationHuman(r.seconds)}</span>
+              </div>
+            ))}
+          </div>
+
+          <div className="card mb-4">
+            <div className="font-semibold mb-2">Top focus days</div>
+            {review.topDays.length === 0 && <div className="text-sm text-slate-500">Nothing tracked.</div>}
+            {review.topDays.map((d) => (
+              <div key={d.date} className="flex justify-between text-sm">
+                <span>{dayjs(d.date).format('ddd MMM D')}</span>
+                <span>
+                  {durationHuman(d.seconds)}
+                  {d.avgFocus != null && <span className="text-xs text-slate-500 ml-1">focus {d.avgFocus}/5</span>}
+                </span>
+              </div>
+            ))}
+          </div>
+
+          <div className="card mb-4">
+            <div className="font-semibold mb-2">Overdue</div>
+            {review.overdue.length === 0 && <div className="text-sm text-slate-500">Nothing overdue.</div>}
+            {review.overdue.map((t, i) => (
+              <div key={i} className="text-sm">
+                {t.title}{' '}
+                <span className="text-xs text-rose-600">{t.deadline_at ? `due ${dayjs(t.deadline_at).format('MMM D HH:mm')}` : dayjs(t.date).format('MMM D')}</span>
+              </div>
+            ))}
+          </div>
+
+          <div className="card mb-4">
+            <div className="font-semibold mb-2">Diary</div>
+            {review.diary.length === 0 && <div className="text-sm text-slate-500">No diary entries.</div>}
+            {review.diary.map((d) => (
+              <div key={d.date} className="text-sm mb-2">
+                <div className="text-xs text-slate-500">{dayjs(d.date).format('ddd MMM D')}</div>
+                <div>{d.excerpt}</div>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,75 @@
+// src/components/RunningTimers.jsx
+import React, { useEffect, useState } from 'react'
+import dayjs from 'dayjs'
+import { adhocTitle, listRunningEntries } from '../api/trackingService'
+import { repairRunningEntries } from '../api/timerService'
+import AdhocStopSheet from './AdhocStopSheet'
+import StopTimerSheet from './StopTimerSheet'
+
+/**
+ * RunningTimers — lists the user's running time_entries (ProfilePage) and repairs overlaps.
+ *
+ * Only one timer should run per account. Older data (or two devices) can leave several running;
+ * "Repair" stops each one where the next one started and keeps the latest running.
+ * Stop opens the same sheet as everywhere else: StopTimerSheet for a task, AdhocStopSheet for "track now".
+ */
+export default function RunningTimers({ user }) {
+  const [running, setRunning] = useState([])
+  const [busy, setBusy] = useState(false)
+  const [stopping, setStopping] = useState(null) // running entry whose stop sheet is open
+
+  useEffect(() => {
+    load()
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [user?.id])
+
+  async function load() {
+    const { data, error } = await listRunningEntries(user.id)
+    if (error) console.error('load running entries', error)
+    setRunning(data || [])
+  }
+
+  async function handleRepair() {
+    if (!confirm(`Stop ${running.length - 1} older timer(s) where the next one started, keeping the latest running?`)) return
+    setBusy(true)
+    const { data, error } = await repairRunningEntries(user.id)
+    setBusy(false)
+    if (error) return alert('Repair failed')
+    alert(`Stopped ${data.stopped} timer(s)`)
+    load()
+  }
+
+  function handleStopped() {
+    setStopping(null)
+    load()
+  }
+
+  return (
+    <div className="mt-3">
+      <div className="flex items-center justify-between text-sm">
+        <span>Running timers: {running.length}</span>
+        {running.length > 1 && (
+          <button className="py-1 px-2 rounded border text-amber-700" onClick={handleRepair} disabled={busy}>
+            Repair overlaps
+          </button>
+        )}
+      </div>
+      {running.map((r) => (
+        <div key={r.id} className="flex items-center justify-between text-xs text-slate-600 mt-1">
+          <span>
+            {r.tasks ? r.tasks.title : adhocTitle(r)} — since {dayjs(r.start_at).format('MMM D HH:mm')}
+          </span>
+          <button className="px-2 rounded border" onClick={() => setStopping(r)} disabled={busy}>
+            Stop
+          </button>
+        </div>
+      ))}
+      {stopping &&
+        (stopping.tasks ? (
+          <StopTimerSheet entry={stopping} title={stopping.tasks.title} onDone={handleStopped} onCancel={() => setStopping(null)} />
+        ) : (
+          <AdhocStopSheet user={user} entry={stopping} onDone={handleStopped} onCancel={() => setStopping(null)} />
+        ))}
+    </div>
+  )
+}
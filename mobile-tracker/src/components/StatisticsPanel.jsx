@@ -0,0 +1,177 @@
+// src/components/StatisticsPanel.jsx
+import React, { useEffect, useState } from 'react'
+import { loadStatistics } from '../api/statsService'
+import { listTags } from '../api/tagService'
+import { durationHuman } from '../utils/time'
+import { RANGE_PRESETS, autoBucket, bucketLabel, compactHours, presetRange } from '../utils/stats'
+import BarChart from './BarChart'
+
+/**
+ * StatisticsPanel — tracked hours, completion rate, tag / team breakdown and streaks (ProfilePage).
+ *
+ * All numbers come from the stats_* database functions (see api/statsService); the range picker
+ * offers presets or custom dates, the bucket follows the range unless picked.
+ * Tags are the categories (the old free-text category was migrated into them).
+ */
+export default function StatisticsPanel({ user }) {
+  const [preset, setPreset] = useState('30d')
+  const [range, setRange] = useState(() => presetRange('30d'))
+  const [bucketChoice, setBucketChoice] = useState('auto')
+  const [stats, setStats] = useState(null)
+  const [tagsById, setTagsById] = useState({})
+  const [loading, setLoading] = useState(false)
+
+  const bucket = bucketChoice === 'auto' ? autoBucket(range) : bucketChoice
+
+  useEffect(() => {
+    listTags(user.id).then(({ data }) => setTagsById(Object.fromEntries((data || []).map((t) => [t.id, t]))))
+  }, [user?.id])
+
+  useEffect(() => {
+    if (!range.from || !range.to || range.from > range.to) return
+    let cancelled = false
+    setLoading(true)
+    loadStatistics(user.id, { ...range, bucket }).then(({ data, error }) => {
+      if (cancelled) return
+      setLoading(false)
+      if (error) {
+        console.error('load statistics', error)
+        return
+      }
+      setStats(data)
+    })
+    return () => {
+      cancelled = true
+    }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [user?.id, range.from, range.to, bucket])
+
+  function pickPreset(id) {
+    setPreset(id)
+    if (id !== 'custom') setRange(presetRange(id))
+  }
+
+  const series = stats ? stats.series : []
+  const first = series[0]
+  const last = series[series.length - 1]
+  const totals = stats ? stats.totals : null
+  const completionRate = totals && totals.total ? Math.round((totals.completed / totals.total) * 100) : null
+  const tagMax = stats ? Math.max(1, ...stats.byTag.map((r) => r.seconds)) : 1
+  const teamMax = stats ? Math.max(1, ...stats.byTeam.map((r) => r.seconds)) : 1
+
+  return (
+    <div className="mt-4 card">
+      <div className="flex items-center justify-between mb-2 gap-2 flex-wrap">
+        <div className="font-semibold">Statistics {loading && <span className="text-xs text-slate-400">…</span>}</div>
+        <div className="flex gap-1">
+          <select className="p-1 border rounded text-sm" value={preset} onChange={(e) => pickPreset(e.target.value)} aria-label="Range">
+            {RANGE_PRESETS.map((p) => (
+              <option key={p.id} value={p.id}>
+                {p.label}
+              </option>
+            ))}
+          </select>
+          <select className="p-1 border rounded text-sm" value={bucketChoice} onChange={(e) => setBucketChoice(e.target.value)} aria-label="Group by">
+            <option value="auto">Auto</option>
+            <option value="day">Per day</option>
+            <option value="week">Per week</option>
+            <option value="month">Per month</option>
+          </select>
+        </div>
+      </div>
+
+      {preset === 'custom' && (
+        <div className="flex items-center gap-2 mb-3 text-sm">
+          <input type="date" className="p-1 border rounded" value={range.from} max={range.to} onChange={(e) => setRange((r) => ({ ...r, from: e.target.value }))} />
+          <span>→</span>
+          <input type="date" className="p-1 border rounded" value={range.to} min={range.from} onChange={(e) => setRange((r) => ({ ...r, to: e.target.value }))} />
+        </div>
+      )}
+
+      {!stats ? (
+        <div className="text-sm text-slate-500">Loading…</div>
+      ) : (
+        <>
+          <div className="grid grid-cols-2 gap-3 mb-4">
+            <div>
+              <div className="text-xs text-slate-500">Tracked</div>
+              <div className="text-lg font-bold">{durationHuman(totals.seconds)}</div>
+            </div>
+            <div>
+              <div className="text-xs text-slate-500">Average session</div>
+              <div className="text-lg font-bold">{totals.sessions ? durationHuman(totals.averageSession) : '—'}</div>
+              <div className="text-[10px] text-slate-400">{totals.sessions} sessions</div>
+            </div>
+            <div>
+              <div className="text-xs text-slate-500">Completion rate</div>
+              <div className="text-lg font-bold">{completionRate == null ? '—' : `${completionRate}%`}</div>
+              <div className="text-[10px] text-slate-400">
+                {totals.completed} of {totals.total} scheduled
+              </div>
+            </div>
+            <div>
+              <div className="text-xs text-slate-500">Streak</div>
+              <div className="text-lg font-bold">🔥 {stats.streaks.current}d</div>
+              <div className="text-[10px] text-slate-400">best {stats.streaks.best}d • days with a completed task</div>
+            </div>
+          </div>
+
+          <div className="text-xs text-slate-500 mb-1">Hours tracked</div>
+          <BarChart
+            bars={series.map((r) => ({ key: r.bucket, value: r.seconds, title: `${bucketLabel(r.bucket, bucket)}: ${compactHours(r.seconds)} (${r.sessions} sessions)` }))}
+            startLabel={first && bucketLabel(first.bucket, bucket)}
+            endLabel={last && bucketLabel(last.bucket, bucket)}
+          />
+
+          <div className="text-xs text-slate-500 mt-4 mb-1">Completion rate</div>
+          <BarChart
+            max={1}
+            height="h-16"
+            bars={series.map((r) => ({
+              key: r.bucket,
+              value: r.total ? r.completed / r.total : 0,
+              className: 'bg-emerald-400',
+              title: `${bucketLabel(r.bucket, bucket)}: ${r.completed}/${r.total} completed`
+            }))}
+            startLabel={first && bucketLabel(first.bucket, bucket)}
+            endLabel={last && bucketLabel(last.bucket, bucket)}
+          />
+
+          <div className="text-xs text-slate-500 mt-4 mb-1">By category</div>
+          {stats.byTag.length === 0 && <div className="text-sm text-slate-500">Nothing tracked in this range.</div>}
+          <div className="space-y-1">
+            {stats.byTag.map((r) => (
+              <BreakdownRow
+                key={r.tagId || 'none'}
+                label={r.tagId ? `#${(tagsById[r.tagId] || {}).name || 'deleted'}` : 'untagged'}
+                seconds={r.seconds}
+                max={tagMax}
+              />
+            ))}
+          </div>
+
+          <div className="text-xs text-slate-500 mt-4 mb-1">By team</div>
+          <div className="space-y-1">
+            {stats.byTeam.map((r) => (
+              <BreakdownRow key={r.teamId || 'none'} label={r.teamId ? r.teamName || 'deleted team' : 'Personal'} seconds={r.seconds} max={teamMax} />
+            ))}
+          </div>
+        </>
+      )}
+    </div>
+  )
+}
+
+function BreakdownRow({ label, seconds, max }) {
+  return (
+    <div className="text-sm">
+      <div className="flex justify-between">
+        <span className="truncate">{label}</span>
+        <span className="text-slate-500">{compactHours(seconds)}</span>
+      </div>
+      <div className="w-full bg-slate-100 rounded-full h-1.5 overflow-hidden">
+        <div className="h-1.5 rounded-full bg-primary" style={{ width: `${(seconds / max) * 100}%` }} />
+      </div>
+    </div>
+  )
+}
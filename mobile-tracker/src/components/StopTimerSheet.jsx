@@ -0,0 +1,66 @@
+// src/components/StopTimerSheet.jsx
+import React, { useState } from 'react'
+import dayjs from 'dayjs'
+import { stopTimer } from '../api/timerService'
+import { durationHuman } from '../utils/time'
+import EntryNoteFields from './EntryNoteFields'
+
+/**
+ * StopTimerSheet — Stop / Finish a task timer with an optional note + focus rating for the segment.
+ *
+ * Every stop button for a task timer opens this sheet (TimerOverlay, MiniTimerBar, RunningTimers);
+ * "track now" timers use AdhocStopSheet instead. The stop itself is timerService.stopTimer, which
+ * also cancels the task's pending alerts.
+ *
+ * Props: entry (running, task_id set), title, then: 'stop' | 'finish', onDone() after the stop, onCancel()
+ */
+export default function StopTimerSheet({ entry, title, then = 'stop', onDone, onCancel }) {
+  const [note, setNote] = useState('')
+  const [rating, setRating] = useState(null)
+  const [busy, setBusy] = useState(false)
+  const verb = then === 'finish' ? 'Finish' : 'Stop'
+
+  async function handleStop(withNote) {
+    setBusy(true)
+    const extra = withNote ? { note: note.trim() || null, focus_rating: rating || null } : {}
+    const { error } = await stopTimer(entry, entry.task_id, { extra, finish: then === 'finish' })
+    setBusy(false)
+    if (error) {
+      console.error('stop timer failed', error)
+      return alert(then === 'finish' ? 'Could not finish task — check console' : 'Could not stop timer — check console')
+    }
+    onDone && onDone()
+  }
+
+  return (
+    <div className="fixed inset-0 z-[60] bg-black/40 flex items-end sm:items-center justify-center p-4" role="dialog" aria-modal="true">
+      <div className="bg-white rounded-2xl p-4 w-full max-w-md">
+        <div className="font-semibold mb-1">
+          {verb} {title ? `“${title}”` : 'timer'} — how did it go?
+        </div>
+        <div className="text-xs text-slate-500 mb-3">
+          Since {dayjs(entry.start_at).format('HH:mm')} • {durationHuman(Math.round((Date.now() - new Date(entry.start_at)) / 1000))}
+        </div>
+        <EntryNoteFields
+          note={note}
+          rating={rating}
+          onChange={(next) => {
+            setNote(next.note)
+            setRating(next.rating)
+          }}
+        />
+        <div className="flex gap-2 mt-3">
+          <button className="btn flex-1" onClick={() => handleStop(true)} disabled={busy}>
+            {busy ? '...' : verb}
+          </button>
+          <button className="py-2 px-3 rounded border" onClick={() => handleStop(false)} disabled={busy}>
+            Skip note
+          </button>
+          <button className="py-2 px-3 rounded border" onClick={onCancel} disabled={busy}>
+            Cancel
+          </button>
+        </div>
+      </div>
+    </div>
+  )
+}
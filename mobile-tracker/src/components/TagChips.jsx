@@ -0,0 +1,23 @@
+// src/components/TagChips.jsx
+import React from 'react'
+
+/**
+ * TagChips — read-only colored pills for a task's tag_ids.
+ *
+ * Props:
+ * - tagIds: uuid[]
+ * - tagsById: { [id]: { id, name, color } } (unknown ids are skipped)
+ */
+export default function TagChips({ tagIds, tagsById }) {
+  const tags = (tagIds || []).map((id) => tagsById && tagsById[id]).filter(Boolean)
+  if (!tags.length) return null
+  return (
+    <span className="inline-flex flex-wrap gap-1 align-middle">
+      {tags.map((t) => (
+        <span key={t.id} className="text-[10px] px-2 rounded-full text-white" style={{ backgroundColor: t.color || '#64748b' }}>
+          #{t.name}
+        </span>
+      ))}
+    </span>
+  )
+}
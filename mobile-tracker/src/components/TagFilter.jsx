@@ -0,0 +1,52 @@
+// src/components/TagFilter.jsx
+import React from 'react'
+
+/**
+ * TagFilter — multi-tag filter for the Dashboard.
+ *
+ * Props:
+ * - tags: [{ id, name, color }]
+ * - value: { ids: uuid[], mode: 'and' | 'or' }
+ * - onChange(nextValue)
+ */
+export default function TagFilter({ tags, value, onChange }) {
+  const ids = value.ids || []
+  if (!tags || tags.length === 0) return null
+
+  function toggle(id) {
+    onChange({ ...value, ids: ids.includes(id) ? ids.filter((x) => x !== id) : [...ids, id] })
+  }
+
+  return (
+    <div className="mb-3 flex flex-wrap items-center gap-1">
+      {tags.map((t) => {
+        const on = ids.includes(t.id)
+        return (
+          <button
+            key={t.id}
+            onClick={() => toggle(t.id)}
+            aria-pressed={on}
+            className="text-xs px-2 py-1 rounded-full border"
+            style={on ? { backgroundColor: t.color, borderColor: t.color, color: '#fff' } : { borderColor: t.color, color: t.color }}
+          >
+            #{t.name}
+          </button>
+        )
+      })}
+      {ids.length > 1 && (
+        <button
+          className="text-xs px-2 py-1 rounded border"
+          onClick={() => onChange({ ...value, mode: value.mode === 'and' ? 'or' : 'and' })}
+          title="Match all selected tags (AND) or any of them (OR)"
+        >
+          {value.mode === 'and' ? 'Match: ALL' : 'Match: ANY'}
+        </button>
+      )}
+      {ids.length > 0 && (
+        <button className="text-xs px-2 py-1 rounded border" onClick={() => onChange({ ...value, ids: [] })}>
+          Clear
+        </button>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,148 @@
+// src/components/TagManager.jsx
+import React, { useEffect, useState } from 'react'
+import { createTag, deleteTag, listTags, mergeTags, updateTag } from '../api/tagService'
+import { listGoals } from '../api/goalService'
+
+/**
+ * TagManager — rename, recolor, merge and delete the user's tags (ProfilePage).
+ *
+ * Merging retags every task / series carrying the source tag and then deletes it,
+ * which is also how stray typo tags are cleaned up. Its time goals move to the target tag;
+ * deleting a tag deletes its goals, so the confirm says how many.
+ */
+export default function TagManager({ user }) {
+  const [tags, setTags] = useState([])
+  const [names, setNames] = useState({}) // rename drafts { [id]: name }
+  const [mergeFrom, setMergeFrom] = useState('')
+  const [mergeInto, setMergeInto] = useState('')
+  const [newName, setNewName] = useState('')
+  const [busy, setBusy] = useState(false)
+
+  useEffect(() => {
+    loadTags()
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [user?.id])
+
+  async function loadTags() {
+    const { data, error } = await listTags(user.id)
+    if (error) {
+      console.error('load tags', error)
+      return
+    }
+    setTags(data)
+    setNames({})
+  }
+
+  async function run(fn, failMessage) {
+    setBusy(true)
+    try {
+      const { error } = await fn()
+      if (error) throw error
+      await loadTags()
+    } catch (err) {
+      console.error(failMessage, err)
+      alert(err.code === '23505' ? 'A tag with that name already exists — merge them instead.' : failMessage)
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  function handleMerge() {
+    if (!mergeFrom || !mergeInto || mergeFrom === mergeInto) return
+    const from = tags.find((t) => t.id === mergeFrom)
+    const into = tags.find((t) => t.id === mergeInto)
+    if (!confirm(`Merge #${from.name} into #${into.name}? Every task tagged #${from.name} will be retagged and its goals moved.`)) return
+    run(() => mergeTags(user.id, mergeFrom, mergeInto), 'Could not merge tags').then(() => {
+      setMergeFrom('')
+      setMergeInto('')
+    })
+  }
+
+  async function handleDelete(tag) {
+    const { data: goals, error } = await listGoals(user.id)
+    if (error) console.error('load goals', error)
+    const goalCount = (goals || []).filter((g) => g.tag_id === tag.id).length
+    const goalNote = goalCount ? ` Its ${goalCount === 1 ? 'time goal is' : `${goalCount} time goals are`} deleted too.` : ''
+    if (!confirm(`Delete #${tag.name}? It is removed from all tasks.${goalNote}`)) return
+    run(() => deleteTag(user.id, tag.id), 'Could not delete tag')
+  }
+
+  return (
+    <div className="mt-4 card">
+      <div className="font-semibold mb-2">Tags</div>
+
+      <div className="space-y-2 mb-3">
+        {tags.length === 0 && <div className="text-sm text-slate-500">No tags yet</div>}
+        {tags.map((t) => (
+          <div key={t.id} className="flex items-center gap-2">
+            <input
+              type="color"
+              value={t.color || '#64748b'}
+              onChange={(e) => run(() => updateTag(t.id, { color: e.target.value }), 'Could not change color')}
+              className="w-8 h-8 p-0 border rounded"
+              aria-label={`Color for ${t.name}`}
+            />
+            <input
+              className="flex-1 p-1 border rounded text-sm"
+              value={names[t.id] ?? t.name}
+              onChange={(e) => setNames((prev) => ({ ...prev, [t.id]: e.target.value }))}
+            />
+            {names[t.id] != null && names[t.id] !== t.name && (
+              <button className="py-1 px-2 rounded border text-xs" disabled={busy} onClick={() => run(() => updateTag(t.id, { name: names[t.id] }), 'Could not rename tag')}>
+                Rename
+              </button>
+            )}
+            <button
+              className="py-1 px-2 rounded border text-xs text-red-600"
+              disabled={busy}
+              onClick={() => handleDelete(t)}
+            >
+              Delete
+            </button>
+          </div>
+        ))}
+      </div>
+
+      <div className="flex gap-2 mb-3">
+        <input className="flex-1 p-2 border rounded" value={newName} onChange={(e) => setNewName(e.target.value)} placeholder="New tag" />
+        <button
+          className="py-2 px-3 rounded border"
+          disabled={busy || !newName.trim()}
+          onClick={() => run(() => createTag(user.id, newName), 'Could not create tag').then(() => setNewName(''))}
+        >
+          Add
+        </button>
+      </div>
+
+      {tags.length > 1 && (
+        <div>
+          <div className="text-xs text-slate-500 mb-1">Merge tags</div>
+          <div className="flex gap-2 items-center">
+            <select className="flex-1 p-2 border rounded" value={mergeFrom} onChange={(e) => setMergeFrom(e.target.value)}>
+              <option value="">From…</option>
+              {tags.map((t) => (
+                <option key={t.id} value={t.id}>
+                  #{t.name}
+                </option>
+              ))}
+            </select>
+            <span>→</span>
+            <select className="flex-1 p-2 border rounded" value={mergeInto} onChange={(e) => setMergeInto(e.target.value)}>
+              <option value="">Into…</option>
+              {tags
+                .filter((t) => t.id !== mergeFrom)
+                .map((t) => (
+                  <option key={t.id} value={t.id}>
+                    #{t.name}
+                  </option>
+                ))}
+            </select>
+            <button className="py-2 px-3 rounded border" disabled={busy || !mergeFrom || !mergeInto} onClick={handleMerge}>
+              Merge
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
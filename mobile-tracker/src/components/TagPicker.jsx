@@ -0,0 +1,81 @@
+// src/components/TagPicker.jsx
+import React, { useState } from 'react'
+import { createTag } from '../api/tagService'
+
+/**
+ * TagPicker — toggle existing tags on a task and create new ones inline.
+ *
+ * Props:
+ * - userId: owner of the tags
+ * - tags: all of the user's tags [{ id, name, color }]
+ * - value: selected tag ids
+ * - onChange(nextIds)
+ * - onTagCreated(tag): lets the parent add the new tag to its list
+ */
+export default function TagPicker({ userId, tags, value, onChange, onTagCreated }) {
+  const [draft, setDraft] = useState('')
+  const [saving, setSaving] = useState(false)
+  const selected = value || []
+
+  function toggle(id) {
+    onChange(selected.includes(id) ? selected.filter((x) => x !== id) : [...selected, id])
+  }
+
+  async function addTag() {
+    if (!draft.trim()) return
+    setSaving(true)
+    try {
+      const { data, error } = await createTag(userId, draft)
+      if (error) throw error
+      onTagCreated && onTagCreated(data)
+      if (!selected.includes(data.id)) onChange([...selected, data.id])
+      setDraft('')
+    } catch (err) {
+      console.error('create tag failed', err)
+      alert(err.message || 'Could not create tag')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  return (
+    <div className="mb-2">
+      <label className="text-sm">Tags</label>
+      <div className="flex flex-wrap gap-1 mb-1">
+        {(tags || []).map((t) => {
+          const on = selected.includes(t.id)
+          return (
+            <button
+              type="button"
+              key={t.id}
+              onClick={() => toggle(t.id)}
+              aria-pressed={on}
+              className="text-xs px-2 py-1 rounded-full border"
+              style={on ? { backgroundColor: t.color, borderColor: t.color, color: '#fff' } : { borderColor: t.color, color: t.color }}
+            >
+              #{t.name}
+            </button>
+          )
+        })}
+        {(!tags || tags.length === 0) && <span className="text-xs text-slate-500">No tags yet</span>}
+      </div>
+      <div className="flex gap-2">
+        <input
+          className="flex-1 p-2 border rounded"
+          value={draft}
+          onChange={(e) => setDraft(e.target.value)}
+          onKeyDown={(e) => {
+            if (e.key === 'Enter') {
+              e.preventDefault()
+              addTag()
+            }
+          }}
+          placeholder="New tag"
+        />
+        <button type="button" className="py-2 px-3 rounded border" onClick={addTag} disabled={saving}>
+          Add
+        </button>
+      </div>
+    </div>
+  )
+}
@@ -1,7 +1,13 @@
 // src/components/TaskCard.jsx
 import React, { useEffect, useState } from 'react'
+import dayjs from 'dayjs'
 import { supabase } from '../api/supabaseClient'
 import { parseTimeToSeconds } from '../utils/time'
+import { deleteTask, updateTasks } from '../api/taskService'
+import { checklistProgress } from '../utils/checklist'
+import { deadlineState, priorityInfo } from '../utils/priority'
+import { countPomodorosOn } from '../utils/pomodoro'
+import TagChips from './TagChips'
 
 const PALETTE = [
   'bg-indigo-500',
@@ -22,14 +28,26 @@ function hashToIndex(str, len) {
   return Math.abs(h) % len
 }
 
-export default function TaskCard({ task, onStart, onUpdate, onEdit }) {
+export default function TaskCard({ task, tagsById, reloadKey, onStart, onUpdate, onEdit, selectable, selected, onToggleSelect }) {
   const [timeSpent, setTimeSpent] = useState(0)
+  const [pomodorosToday, setPomodorosToday] = useState(0)
   const [status, setStatus] = useState(task.status)
+  const [checklist, setChecklist] = useState(Array.isArray(task.checklist) ? task.checklist : [])
 
+  // refetch whenever the Dashboard reloads (own changes or realtime sync from another device)
   useEffect(() => {
     loadTimeEntries()
     // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [])
+  }, [task.id, reloadKey])
+
+  // keep local copies in sync when the parent reloads the row (e.g. after a bulk action)
+  useEffect(() => {
+    setStatus(task.status)
+  }, [task.status])
+
+  useEffect(() => {
+    setChecklist(Array.isArray(task.checklist) ? task.checklist : [])
+  }, [task.checklist])
 
   async function loadTimeEntries() {
     try {
@@ -46,6 +64,7 @@ export default function TaskCard({ task, onStart, onUpdate, onEdit }) {
         }
       })
       setTimeSpent(seconds)
+      setPomodorosToday(countPomodorosOn(data, dayjs().format('YYYY-MM-DD')))
     } catch (err) {
       console.error(err)
     }
@@ -53,7 +72,7 @@ export default function TaskCard({ task, onStart, onUpdate, onEdit }) {
 
   async function markComplete() {
     try {
-      const { error } = await supabase.from('tasks').update({ status: 'completed' }).eq('id', task.id)
+      const { error } = await updateTasks([task.id], { status: 'completed' })
       if (error) throw error
       setStatus('completed')
       onUpdate && onUpdate()
@@ -63,11 +82,36 @@ export default function TaskCard({ task, onStart, onUpdate, onEdit }) {
     }
   }
 
+  async function toggleSubtask(itemId) {
+    const prev = checklist
+    const next = checklist.map((i) => (i.id === itemId ? { ...i, done: !i.done } : i))
+    setChecklist(next)
+    try {
+      const { error } = await updateTasks([task.id], { checklist: next })
+      if (error) throw error
+    } catch (err) {
+      console.error(err)
+      setChecklist(prev)
+      alert('Could not update checklist')
+      return
+    }
+    // the same task can be on screen twice (All tasks / Pending): let the other card reload
+    onUpdate && onUpdate()
+    const { done, total } = checklistProgress(next)
+    const justFinished = total > 0 && done === total && checklistProgress(prev).done < total
+    if (justFinished && status !== 'completed' && confirm('All subtasks done. Mark this task complete?')) {
+      await markComplete()
+    }
+  }
+
   async function handleDelete() {
-    if (!confirm('Delete this task? This will delete its time entries too.')) return
+    // recurring occurrences are skipped rather than deleted, otherwise the series would recreate them
+    const message = task.series_id
+      ? 'Skip this occurrence? Time tracked on it is kept as a standalone entry; the rest of the series is kept.'
+      : 'Delete this task? This will delete its time entries too.'
+    if (!confirm(message)) return
     try {
-      await supabase.from('time_entries').delete().eq('task_id', task.id)
-      const { error } = await supabase.from('tasks').delete().eq('id', task.id)
+      const { error } = await deleteTask(task)
       if (error) throw error
       onUpdate && onUpdate()
     } catch (err) {
@@ -85,23 +129,52 @@ export default function TaskCard({ task, onStart, onUpdate, onEdit }) {
     }
   })()
 
-  const progressPercent = estimatedSeconds > 0 ? Math.min(100, Math.round((timeSpent / estimatedSeconds) * 100)) : 0
+  const subtasks = checklistProgress(checklist)
+  const useChecklistProgress = task.progress_from_checklist && subtasks.total > 0
+  const progressPercent = useChecklistProgress
+    ? subtasks.percent
+    : estimatedSeconds > 0
+      ? Math.min(100, Math.round((timeSpent / estimatedSeconds) * 100))
+      : 0
+  const deadline = deadlineState({ ...task, status })
   const colorClass = PALETTE[hashToIndex(task.id || task.title || '', PALETTE.length)]
 
   return (
-    <div className="flex card overflow-hidden">
+    <div className={`flex card overflow-hidden ${selected ? 'ring-2 ring-primary' : ''}`}>
+      {selectable && (
+        <label className="flex items-center pr-2">
+          <input type="checkbox" checked={!!selected} onChange={() => onToggleSelect && onToggleSelect(task)} aria-label={`Select ${task.title}`} />
+        </label>
+      )}
       <div className={`w-2 ${colorClass}`} />
       <div className="flex-1 p-3">
         <div className="flex justify-between items-start">
           <div>
-            <div className="text-lg font-medium italic">{task.title}</div>
+            <div className="text-lg font-medium italic">
+              {task.title} {task.series_id ? <span className="text-xs not-italic text-slate-400" title="Recurring">🔁</span> : null}
+            </div>
             <div className="text-xs text-slate-500">
-              {task.date} • {task.time_from} → {task.time_to} {task.category ? `• ${task.category}` : ''}
+              {task.date} • {task.time_from} → {task.time_to} <TagChips tagIds={task.tag_ids} tagsById={tagsById} />
+            </div>
+            <div className="flex flex-wrap gap-1 mt-1">
+              {task.priority && task.priority !== 'normal' && (
+                <span className={`text-[10px] px-2 rounded-full ${priorityInfo(task.priority).className}`}>{priorityInfo(task.priority).label}</span>
+              )}
+              {task.deadline_at && (
+                <span
+                  className={`text-[10px] px-2 rounded-full ${
+                    deadline === 'overdue' ? 'bg-rose-600 text-white' : deadline === 'soon' ? 'bg-amber-400 text-white' : 'bg-slate-100 text-slate-600'
+                  }`}
+                >
+                  {deadline === 'overdue' ? 'Overdue' : deadline === 'soon' ? 'Due soon' : 'Due'} {dayjs(task.deadline_at).format('MMM D HH:mm')}
+                </span>
+              )}
             </div>
           </div>
           <div className="text-right">
             <div className={`text-sm ${status === 'completed' ? 'text-green-600' : 'text-slate-600'}`}>{status}</div>
             <div className="text-xs text-slate-400">{timeSpent ? `${timeSpent}s` : '0s'}</div>
+            {pomodorosToday > 0 && <div className="text-xs text-rose-600" title="Pomodoros completed today">🍅 {pomodorosToday}</div>}
           </div>
         </div>
 
@@ -109,9 +182,24 @@ export default function TaskCard({ task, onStart, onUpdate, onEdit }) {
           <div className="w-full bg-slate-100 rounded-full h-2 overflow-hidden">
             <div style={{ width: `${progressPercent}%` }} className="h-2 rounded-full bg-primary" />
           </div>
-          <div className="text-xs text-slate-500 mt-1">{progressPercent}% of estimated time</div>
+          <div className="text-xs text-slate-500 mt-1">
+            {useChecklistProgress ? `${subtasks.done}/${subtasks.total} subtasks` : `${progressPercent}% of estimated time`}
+          </div>
         </div>
 
+        {checklist.length > 0 && (
+          <ul className="mt-2 space-y-1">
+            {checklist.map((it) => (
+              <li key={it.id}>
+                <label className="flex items-center gap-2 text-sm">
+                  <input type="checkbox" checked={!!it.done} onChange={() => toggleSubtask(it.id)} />
+                  <span className={it.done ? 'line-through text-slate-400' : ''}>{it.text}</span>
+                </label>
+              </li>
+            ))}
+          </ul>
+        )}
+
         <div className="mt-3 flex gap-2">
           <button className="flex-1 py-2 rounded border" onClick={() => onStart && onStart(task)}>
             Start / Resume
@@ -120,7 +208,7 @@ export default function TaskCard({ task, onStart, onUpdate, onEdit }) {
             Edit
           </button>
           <button className="py-2 px-3 rounded border text-red-600" onClick={handleDelete}>
-            Delete
+            {task.series_id ? 'Skip' : 'Delete'}
           </button>
         </div>
       </div>
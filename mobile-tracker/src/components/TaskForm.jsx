@@ -2,8 +2,18 @@
 import React, { useEffect, useState } from 'react'
 import { supabase } from '../api/supabaseClient'
 import dayjs from 'dayjs'
-
-const PRESET_CATEGORIES = ['programming', 'sports', 'academics', 'music', 'assignments', 'other']
+import RepeatPicker from './RepeatPicker'
+import ChecklistEditor from './ChecklistEditor'
+import { createSeries, ensureOccurrences, getSeries, updateSeries } from '../api/recurrenceService'
+import { describeRule } from '../utils/recurrence'
+import { PRIORITIES } from '../utils/priority'
+import TagPicker from './TagPicker'
+import { listTags, resolveTagIds } from '../api/tagService'
+import { insertTasks, updateTasks } from '../api/taskService'
+import { loadEstimateSamples } from '../api/estimateService'
+import { suggestEstimate } from '../utils/estimates'
+import { parseTimeToSeconds } from '../utils/time'
+import EstimateSuggestion from './EstimateSuggestion'
 
 export default function TaskForm({ user, date: initialDate, onCreate, taskToEdit, onCancel }) {
   const [title, setTitle] = useState('')
@@ -11,18 +21,31 @@ export default function TaskForm({ user, date: initialDate, onCreate, taskToEdit
   const [date, setDate] = useState(initialDate || dayjs().format('YYYY-MM-DD'))
   const [timeFrom, setTimeFrom] = useState('09:00')
   const [timeTo, setTimeTo] = useState('10:00')
-  const [category, setCategory] = useState('')
-  const [customCategory, setCustomCategory] = useState('')
+  const [tags, setTags] = useState([]) // all of the user's tags
+  const [tagIds, setTagIds] = useState([])
   const [teams, setTeams] = useState([])
   const [selectedTeamId, setSelectedTeamId] = useState('')
   const [teamMembers, setTeamMembers] = useState([])
   const [selectedMemberIds, setSelectedMemberIds] = useState([])
   const [estHours, setEstHours] = useState(0)
   const [estMinutes, setEstMinutes] = useState(0)
+  const [priority, setPriority] = useState('normal')
+  const [deadline, setDeadline] = useState('') // datetime-local value, '' = no deadline
+  const [checklist, setChecklist] = useState([])
+  const [progressFromChecklist, setProgressFromChecklist] = useState(false)
+  const [repeat, setRepeat] = useState({ freq: '' })
+  const [editScope, setEditScope] = useState('occurrence') // 'occurrence' | 'series' (only for series occurrences)
+  const [series, setSeries] = useState(null)
   const [loading, setLoading] = useState(false)
+  const [estimateSamples, setEstimateSamples] = useState([]) // completed tasks, for suggested estimates
 
   useEffect(() => {
     loadTeams()
+    loadTags()
+    loadEstimateSamples(user.id).then(({ data, error }) => {
+      if (error) console.warn('load estimate history', error)
+      setEstimateSamples(data || [])
+    })
     if (taskToEdit) fillFromTask(taskToEdit)
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [taskToEdit])
@@ -36,6 +59,24 @@ export default function TaskForm({ user, date: initialDate, onCreate, taskToEdit
     setTeams(data || [])
   }
 
+  async function loadTags() {
+    const { data, error } = await listTags(user.id)
+    if (error) {
+      console.error('load tags', error)
+      return
+    }
+    setTags(data)
+  }
+
+  // tags are per-user: copies for other members get same-named tags in their own account
+  async function tagIdsFor(ownerId) {
+    if (ownerId === user.id || !tagIds.length) return tagIds
+    const names = tags.filter((t) => tagIds.includes(t.id)).map((t) => t.name)
+    const { data, error } = await resolveTagIds(ownerId, names)
+    if (error) throw error
+    return data
+  }
+
   // load members for a team — ensures we return an array of user objects { id, username, display_name }
   async function loadTeamMembers(teamId) {
     if (!teamId) {
@@ -67,11 +108,48 @@ export default function TaskForm({ user, date: initialDate, onCreate, taskToEdit
     setDate(t.date || initialDate || dayjs().format('YYYY-MM-DD'))
     setTimeFrom(t.time_from || '09:00')
     setTimeTo(t.time_to || '10:00')
-    setCategory(t.category || '')
+    setTagIds(Array.isArray(t.tag_ids) ? t.tag_ids : [])
     setSelectedTeamId(t.team_id || '')
     setEstHours(Math.floor((t.estimated_duration_seconds || 0) / 3600))
     setEstMinutes(Math.floor(((t.estimated_duration_seconds || 0) % 3600) / 60))
+    setPriority(t.priority || 'normal')
+    setDeadline(t.deadline_at ? dayjs(t.deadline_at).format('YYYY-MM-DDTHH:mm') : '')
+    setChecklist(Array.isArray(t.checklist) ? t.checklist : [])
+    setProgressFromChecklist(!!t.progress_from_checklist)
     if (t.team_id) loadTeamMembers(t.team_id)
+    setEditScope('occurrence')
+    setSeries(null)
+    setRepeat({ freq: '' })
+    if (t.series_id) loadSeries(t.series_id)
+  }
+
+  async function loadSeries(seriesId) {
+    const { data, error } = await getSeries(seriesId)
+    if (error) {
+      console.error('load series', error)
+      return
+    }
+    setSeries(data || null)
+    if (data) {
+      setRepeat({
+        freq: data.freq,
+        interval_days: data.interval_days,
+        weekdays: data.weekdays || [],
+        end_date: data.end_date,
+        occurrence_count: data.occurrence_count
+      })
+    }
+  }
+
+  // normalized rule columns for task_series
+  function ruleFields() {
+    return {
+      freq: repeat.freq,
+      interval_days: repeat.freq === 'interval' ? repeat.interval_days || 1 : null,
+      weekdays: repeat.freq === 'weekly' ? repeat.weekdays || [] : null,
+      end_date: repeat.end_date || null,
+      occurrence_count: repeat.occurrence_count || null
+    }
   }
 
   function toggleMemberSelection(memberId) {
@@ -81,12 +159,25 @@ export default function TaskForm({ user, date: initialDate, onCreate, taskToEdit
     })
   }
 
+  // create one series per task row, then materialize its first occurrence(s) for the start date
+  async function createSeriesFor(rows) {
+    for (const r of rows) {
+      const { date: startDate, status: _status, deadline_at: _deadline, ...template } = r
+      template.checklist = (template.checklist || []).map((i) => ({ ...i, done: false }))
+      const { error } = await createSeries({ ...template, ...ruleFields(), start_date: startDate })
+      if (error) throw error
+      const { error: occErr } = await ensureOccurrences(r.user_id, startDate)
+      if (occErr) throw occErr
+    }
+  }
+
   async function handleSubmit(e) {
     e.preventDefault()
     setLoading(true)
     try {
-      const finalCategory = category === 'other' ? (customCategory || 'other') : category || (customCategory || '')
       const estimated_seconds = Math.round(Number(estHours || 0) * 3600 + Number(estMinutes || 0) * 60)
+      // recurring tasks have no absolute deadline
+      const deadline_at = deadline && !repeat.freq ? dayjs(deadline).toISOString() : null
 
       if (taskToEdit && taskToEdit.id) {
         const updates = {
@@ -95,12 +186,34 @@ export default function TaskForm({ user, date: initialDate, onCreate, taskToEdit
           date,
           time_from: timeFrom,
           time_to: timeTo,
-          category: finalCategory,
+          tag_ids: tagIds,
           team_id: selectedTeamId || null,
-          estimated_duration_seconds: estimated_seconds || null
+          estimated_duration_seconds: estimated_seconds || null,
+          priority,
+          deadline_at,
+          checklist,
+          progress_from_checklist: progressFromChecklist
+        }
+        if (taskToEdit.series_id && editScope === 'series') {
+          // whole series: template + rule; each occurrence keeps its own date
+          const { date: _date, deadline_at: _deadline, ...template } = updates
+          template.checklist = checklist.map((i) => ({ ...i, done: false }))
+          // "Does not repeat" on a series ends it with this occurrence; later pending ones go away
+          const rule = repeat.freq ? ruleFields() : { end_date: taskToEdit.series_date }
+          const { error } = await updateSeries(taskToEdit.series_id, { ...template, ...rule }, taskToEdit.id)
+          if (error) throw error
+        } else {
+          const { error } = await updateTasks([taskToEdit.id], updates)
+          if (error) throw error
+          // turning a one-off into a series: this task becomes its first occurrence
+          if (!taskToEdit.series_id && repeat.freq) {
+            const { date: _date, deadline_at: _deadline, ...template } = updates
+            const { data: created, error: seriesErr } = await createSeries({ ...template, ...ruleFields(), user_id: taskToEdit.user_id, start_date: date })
+            if (seriesErr) throw seriesErr
+            const { error: linkErr } = await updateTasks([taskToEdit.id], { series_id: created.id, series_date: date })
+            if (linkErr) throw linkErr
+          }
         }
-        const { error } = await supabase.from('tasks').update(updates).eq('id', taskToEdit.id)
-        if (error) throw error
         onCreate && onCreate()
         onCancel && onCancel()
         setLoading(false)
@@ -109,21 +222,33 @@ export default function TaskForm({ user, date: initialDate, onCreate, taskToEdit
 
       // If assigning to members -> create a task per member
       if (selectedMemberIds.length > 0) {
-        const inserts = selectedMemberIds.map((memberId) => ({
-          user_id: memberId,
-          team_id: selectedTeamId || null,
-          title: title || 'Untitled',
-          description,
-          date,
-          time_from: timeFrom,
-          time_to: timeTo,
-          category: finalCategory,
-          estimated_duration_seconds: estimated_seconds || null,
-          status: 'pending'
-        }))
-        const { error } = await supabase.from('tasks').insert(inserts)
-        if (error) throw error
+        const inserts = []
+        for (const memberId of selectedMemberIds) {
+          inserts.push({
+            user_id: memberId,
+            team_id: selectedTeamId || null,
+            title: title || 'Untitled',
+            description,
+            date,
+            time_from: timeFrom,
+            time_to: timeTo,
+            tag_ids: await tagIdsFor(memberId),
+            estimated_duration_seconds: estimated_seconds || null,
+            priority,
+            deadline_at,
+            checklist,
+            progress_from_checklist: progressFromChecklist,
+            status: 'pending'
+          })
+        }
+        if (repeat.freq) {
+          await createSeriesFor(inserts)
+        } else {
+          const { error } = await insertTasks(inserts)
+          if (error) throw error
+        }
         setTitle('')
+        setChecklist([])
         setSelectedMemberIds([])
         onCreate && onCreate()
         setLoading(false)
@@ -131,7 +256,7 @@ export default function TaskForm({ user, date: initialDate, onCreate, taskToEdit
       }
 
       // Normal create for current user
-      const { error } = await supabase.from('tasks').insert({
+      const row = {
         user_id: user.id,
         team_id: selectedTeamId || null,
         title: title || 'Untitled',
@@ -139,12 +264,24 @@ export default function TaskForm({ user, date: initialDate, onCreate, taskToEdit
         date,
         time_from: timeFrom,
         time_to: timeTo,
-        category: finalCategory,
+        tag_ids: tagIds,
         estimated_duration_seconds: estimated_seconds || null,
+        priority,
+        deadline_at,
+        checklist,
+        progress_from_checklist: progressFromChecklist,
         status: 'pending'
-      })
-      if (error) throw error
+      }
+      if (repeat.freq) {
+        await createSeriesFor([row])
+      } else {
+        const { error } = await insertTasks([row])
+        if (error) throw error
+      }
       setTitle('')
+      setChecklist([])
+      setDeadline('')
+      setRepeat({ freq: '' })
       onCreate && onCreate()
     } catch (err) {
       console.error('create task failed', err)
@@ -154,23 +291,28 @@ export default function TaskForm({ user, date: initialDate, onCreate, taskToEdit
     }
   }
 
+  // suggested estimate from similar completed tasks (shared tag / title keyword), or your overall bias
+  const currentEstimate = Math.round(Number(estHours || 0) * 3600 + Number(estMinutes || 0) * 60)
+  const suggestion = title.trim()
+    ? suggestEstimate(
+        { title, tag_ids: tagIds, planned: currentEstimate || parseTimeToSeconds(timeTo) - parseTimeToSeconds(timeFrom) },
+        estimateSamples.filter((s) => !taskToEdit || s.task.id !== taskToEdit.id)
+      )
+    : null
+
   return (
     <form className="card mb-4" onSubmit={handleSubmit}>
       <div className="flex gap-2 mb-2">
         <input className="flex-1 p-2 border rounded" value={title} onChange={(e) => setTitle(e.target.value)} placeholder="Task title" />
-        <select className="p-2 border rounded" value={category} onChange={(e) => setCategory(e.target.value)}>
-          <option value="">Category</option>
-          {PRESET_CATEGORIES.map((c) => (
-            <option key={c} value={c}>
-              {c}
-            </option>
-          ))}
-        </select>
       </div>
 
-      {category === 'other' && (
-        <input className="w-full p-2 mb-2 border rounded" value={customCategory} onChange={(e) => setCustomCategory(e.target.value)} placeholder="Custom category" />
-      )}
+      <TagPicker
+        userId={user.id}
+        tags={tags}
+        value={tagIds}
+        onChange={setTagIds}
+        onTagCreated={(t) => setTags((prev) => (prev.some((x) => x.id === t.id) ? prev : [...prev, t]))}
+      />
 
       <label className="text-sm">Date</label>
       <input type="date" className="w-full p-2 mb-2 border rounded" value={date} onChange={(e) => setDate(e.target.value)} />
@@ -180,7 +322,36 @@ export default function TaskForm({ user, date: initialDate, onCreate, taskToEdit
         <input type="time" className="flex-1 p-2 border rounded" value={timeTo} onChange={(e) => setTimeTo(e.target.value)} />
       </div>
 
+      <div className="flex gap-2 mb-2">
+        <div className="w-1/3">
+          <label className="text-sm">Priority</label>
+          <select className="w-full p-2 border rounded" value={priority} onChange={(e) => setPriority(e.target.value)}>
+            {PRIORITIES.map((p) => (
+              <option key={p.value} value={p.value}>
+                {p.label}
+              </option>
+            ))}
+          </select>
+        </div>
+        {!repeat.freq && (
+          <div className="flex-1">
+            <label className="text-sm">Deadline (optional)</label>
+            <input type="datetime-local" className="w-full p-2 border rounded" value={deadline} onChange={(e) => setDeadline(e.target.value)} />
+          </div>
+        )}
+      </div>
+
       <label className="text-sm">Estimated (hrs / mins)</label>
+      {suggestion && suggestion.seconds !== currentEstimate && (
+        <EstimateSuggestion
+          suggestion={suggestion}
+          label="Apply"
+          onApply={(seconds) => {
+            setEstHours(Math.floor(seconds / 3600))
+            setEstMinutes(Math.floor((seconds % 3600) / 60))
+          }}
+        />
+      )}
       <div className="flex gap-2 mb-2">
         <input type="number" min="0" className="w-1/2 p-2 border rounded" value={estHours} onChange={(e) => setEstHours(e.target.value)} placeholder="Hours" />
         <input type="number" min="0" max="59" className="w-1/2 p-2 border rounded" value={estMinutes} onChange={(e) => setEstMinutes(e.target.value)} placeholder="Minutes" />
@@ -222,6 +393,38 @@ export default function TaskForm({ user, date: initialDate, onCreate, taskToEdit
         </div>
       )}
 
+      {taskToEdit && taskToEdit.series_id && (
+        <div className="mb-2 p-2 border rounded">
+          <div className="text-xs text-slate-500 mb-1">Repeats: {describeRule(series) || '…'}</div>
+          <div className="flex gap-3 text-sm">
+            <label className="flex items-center gap-1">
+              <input type="radio" name="editScope" checked={editScope === 'occurrence'} onChange={() => setEditScope('occurrence')} />
+              <span>This occurrence</span>
+            </label>
+            <label className="flex items-center gap-1">
+              <input type="radio" name="editScope" checked={editScope === 'series'} onChange={() => setEditScope('series')} />
+              <span>Whole series</span>
+            </label>
+          </div>
+          {editScope === 'series' && <div className="text-xs text-slate-500 mt-1">Occurrences you changed on their own keep their changes.</div>}
+        </div>
+      )}
+
+      {(!taskToEdit || !taskToEdit.series_id || editScope === 'series') && (
+        <RepeatPicker value={repeat} onChange={setRepeat} startDate={series ? series.start_date : date} />
+      )}
+      {taskToEdit && taskToEdit.series_id && editScope === 'series' && !repeat.freq && (
+        <div className="text-xs text-amber-700 mb-2">The series ends with this occurrence ({taskToEdit.series_date}); later pending ones are removed.</div>
+      )}
+
+      <ChecklistEditor value={checklist} onChange={setChecklist} />
+      {checklist.length > 0 && (
+        <label className="flex items-center gap-2 mb-2 text-sm">
+          <input type="checkbox" checked={progressFromChecklist} onChange={(e) => setProgressFromChecklist(e.target.checked)} />
+          <span>Drive progress bar from checklist</span>
+        </label>
+      )}
+
       <label className="text-sm">Description</label>
       <textarea className="w-full p-2 mb-3 border rounded" value={description} onChange={(e) => setDescription(e.target.value)} />
 
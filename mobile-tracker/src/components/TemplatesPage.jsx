@@ -0,0 +1,190 @@
+// src/components/TemplatesPage.jsx
+import React, { useEffect, useState } from 'react'
+import dayjs from 'dayjs'
+import { applyTemplate, createTemplateFromDay, deleteTemplate, listTemplates, updateTemplate } from '../api/templateService'
+import { listTags } from '../api/tagService'
+import TagChips from './TagChips'
+
+/**
+ * TemplatesPage — save a day's tasks as a named template and apply it to another date.
+ *
+ * Flow:
+ * - "Save day as template": pick a date + name, snapshot that day's tasks
+ * - pick a template -> preview its tasks (untick ones you don't want) -> pick a date -> Apply
+ * - rename / delete templates, or remove a task from a template permanently
+ *
+ * Props:
+ * - user
+ * - initialDate: date to prefill both pickers with (e.g. the Dashboard's date)
+ * - onBack(): return to the previous screen
+ */
+export default function TemplatesPage({ user, initialDate, onBack }) {
+  const [templates, setTemplates] = useState([])
+  const [tagsById, setTagsById] = useState({})
+  const [sourceDate, setSourceDate] = useState(initialDate || dayjs().format('YYYY-MM-DD'))
+  const [newName, setNewName] = useState('')
+  const [selected, setSelected] = useState(null) // template being previewed
+  const [included, setIncluded] = useState([]) // indices of selected.tasks to apply
+  const [targetDate, setTargetDate] = useState(initialDate || dayjs().format('YYYY-MM-DD'))
+  const [busy, setBusy] = useState(false)
+
+  useEffect(() => {
+    loadTemplates()
+    listTags(user.id).then(({ data }) => setTagsById(Object.fromEntries(data.map((t) => [t.id, t]))))
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [user.id])
+
+  async function loadTemplates() {
+    const { data, error } = await listTemplates(user.id)
+    if (error) {
+      console.error('load templates', error)
+      return
+    }
+    setTemplates(data)
+    if (selected) {
+      const fresh = data.find((t) => t.id === selected.id)
+      if (fresh) selectTemplate(fresh)
+      else setSelected(null)
+    }
+  }
+
+  function selectTemplate(t) {
+    setSelected(t)
+    setIncluded((t.tasks || []).map((_, i) => i))
+  }
+
+  async function handleSaveDay(e) {
+    e.preventDefault()
+    if (!newName.trim()) return
+    setBusy(true)
+    try {
+      const { data, error } = await createTemplateFromDay(user.id, newName, sourceDate)
+      if (error) throw error
+      setNewName('')
+      await loadTemplates()
+      selectTemplate(data)
+    } catch (err) {
+      console.error('save template failed', err)
+      alert(err.message || 'Could not save template')
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  async function handleApply() {
+    if (!selected) return
+    const tasks = (selected.tasks || []).filter((_, i) => included.includes(i))
+    if (!tasks.length) return alert('Select at least one task')
+    if (!confirm(`Add ${tasks.length} task(s) from "${selected.name}" to ${targetDate}?`)) return
+    setBusy(true)
+    try {
+      const { error } = await applyTemplate(user.id, tasks, targetDate)
+      if (error) throw error
+      alert(`Added ${tasks.length} task(s) to ${targetDate}`)
+    } catch (err) {
+      console.error('apply template failed', err)
+      alert(err.message || 'Could not apply template')
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  async function handleRename(t) {
+    const name = prompt('Template name', t.name)
+    if (!name || name.trim() === t.name) return
+    const { error } = await updateTemplate(t.id, { name: name.trim() })
+    if (error) return alert('Could not rename template')
+    loadTemplates()
+  }
+
+  async function handleDelete(t) {
+    if (!confirm(`Delete template "${t.name}"?`)) return
+    const { error } = await deleteTemplate(t.id)
+    if (error) return alert('Could not delete template')
+    if (selected && selected.id === t.id) setSelected(null)
+    loadTemplates()
+  }
+
+  async function removeTemplateTask(index) {
+    const tasks = selected.tasks.filter((_, i) => i !== index)
+    const { error } = await updateTemplate(selected.id, { tasks })
+    if (error) return alert('Could not update template')
+    loadTemplates()
+  }
+
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-xl font-semibold">Day templates</h2>
+        {onBack && (
+          <button className="py-2 px-3 rounded border" onClick={onBack}>
+            Back
+          </button>
+        )}
+      </div>
+
+      <form className="card mb-4" onSubmit={handleSaveDay}>
+        <div className="font-semibold mb-2">Save a day as template</div>
+        <div className="flex gap-2">
+          <input type="date" className="p-2 border rounded" value={sourceDate} onChange={(e) => setSourceDate(e.target.value)} />
+          <input className="flex-1 p-2 border rounded" value={newName} onChange={(e) => setNewName(e.target.value)} placeholder="Name, e.g. Weekday" />
+          <button className="btn" disabled={busy || !newName.trim()}>
+            Save
+          </button>
+        </div>
+      </form>
+
+      <div className="space-y-2 mb-4">
+        {templates.length === 0 && <div className="text-slate-500">No templates yet</div>}
+        {templates.map((t) => (
+          <div key={t.id} className={`card flex justify-between items-center ${selected && selected.id === t.id ? 'ring-2 ring-primary' : ''}`}>
+            <button className="text-left flex-1" onClick={() => selectTemplate(t)}>
+              <div className="font-medium">{t.name}</div>
+              <div className="text-xs text-slate-500">{(t.tasks || []).length} tasks</div>
+            </button>
+            <div className="flex gap-2">
+              <button className="py-1 px-2 rounded border text-sm" onClick={() => handleRename(t)}>
+                Rename
+              </button>
+              <button className="py-1 px-2 rounded border text-sm text-red-600" onClick={() => handleDelete(t)}>
+                Delete
+              </button>
+            </div>
+          </div>
+        ))}
+      </div>
+
+      {selected && (
+        <div className="card">
+          <div className="font-semibold mb-2">Preview — {selected.name}</div>
+          <div className="space-y-1 mb-3">
+            {(selected.tasks || []).map((task, i) => (
+              <div key={i} className="flex items-center gap-2 text-sm">
+                <input
+                  type="checkbox"
+                  checked={included.includes(i)}
+                  onChange={(e) => setIncluded((prev) => (e.target.checked ? [...prev, i] : prev.filter((x) => x !== i)))}
+                />
+                <div className="flex-1">
+                  <div>{task.title}</div>
+                  <div className="text-xs text-slate-500">
+                    {task.time_from} → {task.time_to} <TagChips tagIds={task.tag_ids} tagsById={tagsById} />
+                  </div>
+                </div>
+                <button className="px-2 rounded border text-xs text-red-600" onClick={() => removeTemplateTask(i)} aria-label="Remove from template">
+                  ✕
+                </button>
+              </div>
+            ))}
+          </div>
+          <div className="flex gap-2">
+            <input type="date" className="p-2 border rounded" value={targetDate} onChange={(e) => setTargetDate(e.target.value)} />
+            <button className="btn flex-1" disabled={busy || included.length === 0} onClick={handleApply}>
+              Apply {included.length} to {targetDate}
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
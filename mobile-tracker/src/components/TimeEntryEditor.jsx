@@ -0,0 +1,201 @@
+// src/components/TimeEntryEditor.jsx
+import React, { useState } from 'react'
+import dayjs from 'dayjs'
+import { durationHuman } from '../utils/time'
+import { fromInputValue, toInputValue, validateSegment } from '../utils/timeEntries'
+import * as timerService from '../api/timerService'
+import EntryNoteFields from './EntryNoteFields'
+
+/**
+ * TimeEntryEditor — per-task session log (TimerOverlay).
+ *
+ * Each segment can be edited (start / end, note, focus rating), split in two at a chosen time, merged with the next
+ * segment, or deleted; "Add manual entry" records time tracked offline. Every change is checked
+ * with validateSegment (no overlaps, no negative or future segments) before it is saved, and
+ * duration_seconds is recomputed by timerService.
+ *
+ * Props:
+ * - task
+ * - entries: the task's time_entries, ascending by start_at
+ * - onChanged(): reload after a change
+ */
+export default function TimeEntryEditor({ task, entries, onChanged }) {
+  const [draft, setDraft] = useState(null) // { mode: 'edit' | 'split' | 'add', id?, running?, start, end, at, note, rating }
+  const [error, setError] = useState(null)
+  const [busy, setBusy] = useState(false)
+
+  function openDraft(next) {
+    setError(null)
+    setDraft(next)
+  }
+
+  function startEdit(e) {
+    openDraft({ mode: 'edit', id: e.id, running: !e.end_at, start: toInputValue(e.start_at), end: toInputValue(e.end_at), note: e.note || '', rating: e.focus_rating || null })
+  }
+
+  function startSplit(e) {
+    const end = e.end_at ? new Date(e.end_at).getTime() : Date.now()
+    const mid = new Date((new Date(e.start_at).getTime() + end) / 2).toISOString()
+    openDraft({ mode: 'split', id: e.id, at: toInputValue(mid) })
+  }
+
+  function startAdd() {
+    const end = dayjs().startOf('minute')
+    openDraft({ mode: 'add', start: toInputValue(end.subtract(30, 'minute').toISOString()), end: toInputValue(end.toISOString()), note: '', rating: null })
+  }
+
+  async function run(fn) {
+    setBusy(true)
+    try {
+      const { error: err } = await fn()
+      if (err) throw err
+      setDraft(null)
+      onChanged && onChanged()
+    } catch (err) {
+      console.error('time entry change failed', err)
+      setError(err.message || 'Could not save the change')
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  function handleSave() {
+    const entry = entries.find((e) => e.id === draft.id)
+
+    if (draft.mode === 'split') {
+      const at = fromInputValue(draft.at)
+      const atMs = at ? new Date(at).getTime() : NaN
+      const end = entry.end_at ? new Date(entry.end_at).getTime() : Date.now()
+      if (!(atMs > new Date(entry.start_at).getTime() && atMs < end)) return setError('Split time must be inside the segment')
+      return run(() => timerService.splitEntry(entry, at))
+    }
+
+    // a running entry keeps running: only its start can change
+    const running = Boolean(draft.running)
+    const segment = { id: draft.id, start_at: fromInputValue(draft.start), end_at: running ? null : fromInputValue(draft.end) }
+    if (!running && !segment.end_at) return setError('End time is missing or invalid')
+    const problem = validateSegment(segment, entries)
+    if (problem) return setError(problem)
+
+    const notes = { note: (draft.note || '').trim() || null, focus_rating: draft.rating || null }
+    if (draft.mode === 'add') return run(() => timerService.addManualEntry(task.id, segment.start_at, segment.end_at, { ...notes, user_id: task.user_id }))
+    return run(() => timerService.updateEntry(entry.id, running ? { start_at: segment.start_at, ...notes } : { start_at: segment.start_at, end_at: segment.end_at, ...notes }))
+  }
+
+  function handleMerge(first, second) {
+    const gap = Math.round((new Date(second.start_at) - new Date(first.end_at)) / 1000)
+    const msg = gap > 0 ? `Merge these segments? The ${durationHuman(gap)} gap between them will be counted too.` : 'Merge these segments?'
+    if (!confirm(msg)) return
+    run(() => timerService.mergeEntries(first, second))
+  }
+
+  function handleDelete(e) {
+    if (!confirm(`Delete the segment starting ${dayjs(e.start_at).format('MMM D HH:mm')}?`)) return
+    run(() => timerService.deleteEntry(e.id))
+  }
+
+  function renderDraft() {
+    return (
+      <div className="mt-2 space-y-2">
+        {draft.mode === 'split' ? (
+          <label className="flex flex-col text-xs">
+            Split at
+            <input type="datetime-local" step="1" className="p-2 border rounded" value={draft.at} onChange={(e) => setDraft({ ...draft, at: e.target.value })} />
+          </label>
+        ) : (
+          <>
+            <label className="flex flex-col text-xs">
+              Start
+              <input type="datetime-local" step="1" className="p-2 border rounded" value={draft.start} onChange={(e) => setDraft({ ...draft, start: e.target.value })} />
+            </label>
+            {!draft.running ? (
+              <label className="flex flex-col text-xs">
+                End
+                <input type="datetime-local" step="1" className="p-2 border rounded" value={draft.end} onChange={(e) => setDraft({ ...draft, end: e.target.value })} />
+              </label>
+            ) : (
+              <div className="text-xs text-slate-500">Running — stop it to set an end</div>
+            )}
+          </>
+        )}
+        {draft.mode !== 'split' && (
+          <EntryNoteFields note={draft.note} rating={draft.rating} onChange={({ note, rating }) => setDraft({ ...draft, note, rating })} />
+        )}
+        {error && <div className="text-xs text-red-600">{error}</div>}
+        <div className="flex gap-2">
+          <button className="btn flex-1" onClick={handleSave} disabled={busy}>
+            {busy ? '...' : draft.mode === 'split' ? 'Split' : 'Save'}
+          </button>
+          <button className="py-2 px-3 rounded border" onClick={() => setDraft(null)} disabled={busy}>
+            Cancel
+          </button>
+        </div>
+      </div>
+    )
+  }
+
+  const ordered = [...entries].reverse() // latest first
+
+  return (
+    <div className="w-full max-w-md">
+      <div className="flex items-center justify-between mb-2">
+        <div className="font-semibold">Session log</div>
+        <button className="py-1 px-2 rounded border text-sm" onClick={startAdd} disabled={busy}>
+          Add manual entry
+        </button>
+      </div>
+
+      {draft && draft.mode === 'add' && <div className="card mb-2 p-3">{renderDraft()}</div>}
+      {entries.length === 0 && <div className="text-sm text-slate-500">No time tracked yet</div>}
+
+      {ordered.map((e) => {
+        const idx = entries.indexOf(e)
+        const next = entries[idx + 1] // chronologically next segment
+        const canMerge = next && e.end_at && next.end_at
+        return (
+          <div key={e.id} className="card mb-2 p-3">
+            <div className="flex justify-between items-center">
+              <div>
+                <div className="text-sm">Start: {e.start_at ? dayjs(e.start_at).format('YYYY-MM-DD HH:mm:ss') : '—'}</div>
+                <div className="text-xs text-slate-500">End: {e.end_at ? dayjs(e.end_at).format('YYYY-MM-DD HH:mm:ss') : 'running'}</div>
+              </div>
+              <div className="text-right">
+                <div className="text-sm font-semibold">
+                  {e.duration_seconds ? durationHuman(e.duration_seconds) : e.start_at && !e.end_at ? durationHuman(Math.round((Date.now() - new Date(e.start_at)) / 1000)) : '—'}
+                </div>
+                {e.pomodoro && <div className="text-xs">🍅</div>}
+              </div>
+            </div>
+            {(e.note || e.focus_rating) && (
+              <div className="mt-1 text-sm text-slate-700">
+                {e.focus_rating && <span className="text-xs px-2 mr-1 rounded-full bg-indigo-100">focus {e.focus_rating}/5</span>}
+                {e.note}
+              </div>
+            )}
+
+            {draft && draft.id === e.id ? (
+              renderDraft()
+            ) : (
+              <div className="flex flex-wrap gap-2 mt-2 text-xs">
+                <button className="px-2 py-1 rounded border" onClick={() => startEdit(e)} disabled={busy}>
+                  Edit
+                </button>
+                <button className="px-2 py-1 rounded border" onClick={() => startSplit(e)} disabled={busy}>
+                  Split
+                </button>
+                {canMerge && (
+                  <button className="px-2 py-1 rounded border" onClick={() => handleMerge(e, next)} disabled={busy}>
+                    Merge with next
+                  </button>
+                )}
+                <button className="px-2 py-1 rounded border text-red-600" onClick={() => handleDelete(e)} disabled={busy}>
+                  Delete
+                </button>
+              </div>
+            )}
+          </div>
+        )
+      })}
+    </div>
+  )
+}
@@ -0,0 +1,116 @@
+// src/components/TimeGoals.jsx
+import React, { useEffect, useState } from 'react'
+import dayjs from 'dayjs'
+import { createGoal, deleteGoal, loadGoalsOverview } from '../api/goalService'
+import { compactHours } from '../utils/stats'
+import { describeGoal, goalHistory } from '../utils/goals'
+import GoalRings from './GoalRings'
+
+/**
+ * TimeGoals — time goals per tag (ProfilePage): progress rings, an editor and the weekly history.
+ *
+ * A goal is "N hours/minutes of a tag (or of all tracked time) per day or per week"; progress is
+ * read from time_entries, so it also counts time tracked on other devices.
+ */
+export default function TimeGoals({ user }) {
+  const [overview, setOverview] = useState(null)
+  const [tagId, setTagId] = useState('')
+  const [period, setPeriod] = useState('week')
+  const [hours, setHours] = useState('')
+  const [minutes, setMinutes] = useState('')
+  const [busy, setBusy] = useState(false)
+
+  useEffect(() => {
+    load()
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [user?.id])
+
+  async function load() {
+    const { data, error } = await loadGoalsOverview(user.id)
+    if (error) console.error('load goals', error)
+    setOverview(data)
+  }
+
+  async function handleAdd(e) {
+    e.preventDefault()
+    const target = (Number(hours) || 0) * 3600 + (Number(minutes) || 0) * 60
+    if (!target) return alert('Set a target of at least a minute')
+    setBusy(true)
+    const { error } = await createGoal(user.id, { tag_id: tagId || null, period, target_seconds: target })
+    setBusy(false)
+    if (error) {
+      console.error('create goal', error)
+      return alert('Could not save the goal')
+    }
+    setHours('')
+    setMinutes('')
+    load()
+  }
+
+  async function handleDelete(goal) {
+    if (!confirm('Delete this goal?')) return
+    const { error } = await deleteGoal(goal.id)
+    if (error) return alert('Could not delete the goal')
+    load()
+  }
+
+  if (!overview) return null
+  const { goals, tagsById, days } = overview
+  const tagName = (goal) => (goal.tag_id ? `#${(tagsById[goal.tag_id] || {}).name || 'deleted'}` : null)
+
+  return (
+    <div className="mt-4 card">
+      <div className="font-semibold mb-2">Time goals</div>
+
+      {goals.length > 0 ? <GoalRings goals={goals} tagsById={tagsById} days={days} /> : <div className="text-sm text-slate-500 mb-2">No goals yet.</div>}
+
+      <form className="flex flex-wrap items-center gap-1 text-sm mt-3" onSubmit={handleAdd}>
+        <input type="number" min="0" className="w-14 p-1 border rounded" value={hours} onChange={(e) => setHours(e.target.value)} placeholder="h" aria-label="Hours" />
+        <input type="number" min="0" max="59" className="w-14 p-1 border rounded" value={minutes} onChange={(e) => setMinutes(e.target.value)} placeholder="m" aria-label="Minutes" />
+        <select className="p-1 border rounded" value={tagId} onChange={(e) => setTagId(e.target.value)} aria-label="Tag">
+          <option value="">all tracked time</option>
+          {Object.values(tagsById).map((t) => (
+            <option key={t.id} value={t.id}>
+              #{t.name}
+            </option>
+          ))}
+        </select>
+        <select className="p-1 border rounded" value={period} onChange={(e) => setPeriod(e.target.value)} aria-label="Period">
+          <option value="day">daily</option>
+          <option value="week">per week</option>
+        </select>
+        <button className="py-1 px-2 rounded border" disabled={busy}>
+          Add goal
+        </button>
+      </form>
+
+      {goals.length > 0 && <div className="text-xs text-slate-500 mt-4 mb-1">History (newest week first)</div>}
+      <div className="space-y-2">
+        {goals.map((goal) => (
+          <div key={goal.id}>
+            <div className="flex justify-between text-sm">
+              <span>{describeGoal(goal, tagName(goal))}</span>
+              <button className="text-xs text-red-600" onClick={() => handleDelete(goal)}>
+                Delete
+              </button>
+            </div>
+            <div className="flex gap-1 mt-1">
+              {goalHistory(goal, days).map((w) => (
+                <div
+                  key={w.week}
+                  className={`flex-1 text-center text-[10px] rounded py-1 ${
+                    w.hit ? 'bg-emerald-100 text-emerald-700' : w.current ? 'bg-slate-100 text-slate-500' : 'bg-rose-50 text-rose-600'
+                  }`}
+                  title={`Week of ${dayjs(w.week).format('MMM D')}: ${compactHours(w.tracked)}${w.current ? ' (in progress)' : ''}`}
+                >
+                  {dayjs(w.week).format('M/D')}
+                  <div>{goal.period === 'day' ? `${w.daysHit}/${w.daysCounted}` : w.hit ? '✓' : compactHours(w.tracked)}</div>
+                </div>
+              ))}
+            </div>
+          </div>
+        ))}
+      </div>
+    </div>
+  )
+}
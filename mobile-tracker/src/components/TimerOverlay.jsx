@@ -1,9 +1,17 @@
 // src/components/TimerOverlay.jsx
 import React, { useEffect, useRef, useState } from 'react'
 import dayjs from 'dayjs'
-import { durationHuman } from '../utils/time'
 import * as timerService from '../api/timerService'
-import { supabase } from '../api/supabaseClient'
+import PomodoroPanel from './PomodoroPanel'
+import TimeEntryEditor from './TimeEntryEditor'
+import StopTimerSheet from './StopTimerSheet'
+import EstimateSuggestion from './EstimateSuggestion'
+import { loadEstimateSamples } from '../api/estimateService'
+import { plannedSeconds, suggestEstimate } from '../utils/estimates'
+import { getSettings } from '../utils/settings'
+import { cancelAlert, scheduleAlert } from '../utils/notify'
+import { subscribeToTables } from '../api/realtimeService'
+import { updateTasks } from '../api/taskService'
 
 /**
  * TimerOverlay (simple, target-driven, resume-exactly behavior)
@@ -16,13 +24,34 @@ import { supabase } from '../api/supabaseClient'
  *     3. If remaining <= 0 => auto-finish the task (it's already fulfilled).
  *     4. Create a new running time_entries row (or reuse existing run) and start the ticker.
  *  - On Stop we finalize the running entry (end_at + duration_seconds), then reload aggregate.
+ *    Stop / Finish first offer an optional note and 1–5 focus rating for the segment (StopTimerSheet,
+ *    the same sheet MiniTimerBar and RunningTimers use; it also cancels the task's alerts).
  *  - On Resume we repeat Start steps; because baseSeconds includes previous stopped segments, remaining will be exactly where you left it.
  *
  * Target persistence:
  *  - Local: saved to localStorage under key `dltr_timer_target_${task.id}` so closing overlay/page still resumes target.
  *  - Optional: if you check "Save as task target" it will also write to tasks.estimated_duration_seconds.
  *
- * This file intentionally avoids editing/deleting entries UI to match your "no editing" requirement.
+ * Pomodoro mode:
+ *  - The mode toggle switches the target countdown for PomodoroPanel (focus / break cycles).
+ *    The chosen mode is kept in localStorage under `dltr_timer_mode_${task.id}`; Finish works in both.
+ *
+ * Realtime:
+ *  - time_entries changes for this task (another device) reload the aggregate, so a timer started
+ *    elsewhere shows as running here instead of being started twice.
+ *
+ * Alerts:
+ *  - Reaching the target fires a notification / chime through utils/notify while the app is open; a
+ *    background tab may deliver it late (when it is next woken or shown). Permission and sound are set
+ *    in ProfilePage.
+ *
+ * Away gaps:
+ *  - If the tab was hidden or the device slept longer than settings.idleGapMinutes while the timer ran,
+ *    a banner offers to cut the gap out, stop the timer when you left, or keep the time.
+ *
+ * Session log:
+ *  - TimeEntryEditor below the controls edits, splits, merges, adds and deletes segments; every change
+ *    reloads the aggregate so baseSeconds (and the countdown) follow the corrected entries.
  */
 
 export default function TimerOverlay({ user, task, onClose }) {
@@ -37,6 +66,11 @@ export default function TimerOverlay({ user, task, onClose }) {
   const [displaySeconds, setDisplaySeconds] = useState(0) // shows remaining (countdown) while in target mode
   const [isRunning, setIsRunning] = useState(false)
   const [loading, setLoading] = useState(false)
+  const [warnings, setWarnings] = useState([])
+  const [awayGap, setAwayGap] = useState(null) // { from, to } ms: hidden / asleep while the timer ran
+  const runningRef = useRef(null)
+  const [suggestion, setSuggestion] = useState(null) // suggested target from similar past tasks
+  const [stopSheet, setStopSheet] = useState(null) // 'stop' | 'finish' while StopTimerSheet asks for a note
 
   // target state (seconds). null = no target set yet
   const [targetSeconds, setTargetSeconds] = useState(null)
@@ -50,6 +84,25 @@ export default function TimerOverlay({ user, task, onClose }) {
 
   // localStorage key helper
   const storageKey = `dltr_timer_target_${task.id}`
+  const modeKey = `dltr_timer_mode_${task.id}`
+
+  // 'target' (countdown to the allotted time) | 'pomodoro'
+  const [mode, setMode] = useState(() => {
+    try {
+      return localStorage.getItem(modeKey) === 'pomodoro' ? 'pomodoro' : 'target'
+    } catch {
+      return 'target'
+    }
+  })
+
+  function changeMode(next) {
+    setMode(next)
+    try {
+      localStorage.setItem(modeKey, next)
+    } catch {
+      // private mode: the choice lasts for this session only
+    }
+  }
 
   // helper: format HH:MM:SS
   function formatHMS(sec) {
@@ -102,6 +155,7 @@ export default function TimerOverlay({ user, task, onClose }) {
       baseRef.current = agg.baseSeconds || 0
       setRunningEntry(agg.runningEntry || null)
       setEntries(agg.entries || [])
+      setWarnings(agg.warnings || [])
       setIsRunning(Boolean(agg.runningEntry))
       // If we have a target, compute remaining and start ticker that uses the captured base & running entry
       if (targetSeconds != null) {
@@ -130,6 +184,95 @@ export default function TimerOverlay({ user, task, onClose }) {
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [task.id])
 
+  useEffect(() => {
+    runningRef.current = runningEntry
+  }, [runningEntry])
+
+  useEffect(() => {
+    loadEstimateSamples(user.id).then(({ data }) => {
+      const others = (data || []).filter((s) => s.task.id !== task.id)
+      setSuggestion(suggestEstimate({ title: task.title, tag_ids: task.tag_ids, planned: plannedSeconds(task) }, others))
+    })
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [task.id])
+
+  // realtime: entries of this task started / stopped / edited on another device
+  useEffect(() => {
+    return subscribeToTables([{ table: 'time_entries', filter: `task_id=eq.${task.id}` }], () => reloadAggregate())
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [task.id])
+
+  // alert (service worker notification / chime) when the countdown reaches the target; it stays
+  // scheduled after closing the overlay and is cancelled once the timer stops
+  useEffect(() => {
+    const alertId = `target-${task.id}`
+    if (!runningEntry || mode !== 'target' || targetSeconds == null) {
+      cancelAlert(alertId)
+      return
+    }
+    const dueAt = new Date(runningEntry.start_at).getTime() + (targetSeconds - baseRef.current) * 1000
+    if (dueAt <= Date.now()) return
+    scheduleAlert(user.id, alertId, dueAt, { title: `Time's up: ${task.title}`, body: 'You reached the target you set for this task.' })
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [runningEntry, targetSeconds, mode])
+
+  // Idle detection: the tab was hidden, or the device slept (the watchdog interval stopped firing).
+  // A gap longer than settings.idleGapMinutes while a timer ran is offered for removal.
+  useEffect(() => {
+    const limit = (Number(getSettings(user.id).idleGapMinutes) || 0) * 60 * 1000
+    if (!limit) return undefined
+    let hiddenAt = null
+    let lastTick = Date.now()
+
+    function report(from) {
+      const entry = runningRef.current
+      const to = Date.now()
+      if (!entry || to - from < limit) return
+      setAwayGap({ from: Math.max(from, new Date(entry.start_at).getTime()), to })
+    }
+
+    function onVisibility() {
+      if (document.visibilityState === 'hidden') hiddenAt = Date.now()
+      else if (hiddenAt) {
+        report(hiddenAt)
+        hiddenAt = null
+      }
+    }
+
+    const watchdog = setInterval(() => {
+      const now = Date.now()
+      if (!hiddenAt && now - lastTick > limit) report(lastTick)
+      lastTick = now
+    }, 5000)
+    document.addEventListener('visibilitychange', onVisibility)
+    return () => {
+      clearInterval(watchdog)
+      document.removeEventListener('visibilitychange', onVisibility)
+    }
+  }, [user.id])
+
+  // away gap: 'trim' = cut the gap out (stop at its start, restart now), 'stop' = stop at its start
+  async function resolveAwayGap(action) {
+    const gap = awayGap
+    setAwayGap(null)
+    if (action === 'keep' || !runningEntry) return
+    setLoading(true)
+    try {
+      const { error } = await timerService.stopEntry(runningEntry.id, new Date(gap.from).toISOString())
+      if (error) throw error
+      if (action === 'trim') {
+        const { error: startErr } = await timerService.createEntry(task.id, user.id)
+        if (startErr) throw startErr
+      }
+      await reloadAggregate()
+    } catch (err) {
+      console.error('resolve away gap failed', err)
+      alert('Could not update the timer — check console')
+    } finally {
+      setLoading(false)
+    }
+  }
+
   // Ticker that captures the authoritative base and entry (no stale closure)
   function startTicker(entry, base, target) {
     clearInterval(tickerRef.current)
@@ -188,14 +331,19 @@ export default function TimerOverlay({ user, task, onClose }) {
       const remainingBefore = Math.max(0, effectiveTarget - authoritativeBase)
       if (remainingBefore <= 0) {
         // already completed — mark task finished
-        await supabase.from('tasks').update({ status: 'completed' }).eq('id', task.id)
+        await updateTasks([task.id], { status: 'completed' })
         await reloadAggregate()
         setLoading(false)
         return
       }
 
-      // createEntry will return existing running one if someone already started; if created=false we reuse it
-      const { data: maybeRunning, created, error, warnings } = await timerService.createEntry(task.id)
+      // createEntry (via createEntryExclusive) returns this task's existing running entry instead of adding one
+      // only one running timer per account: stop (or ask before stopping) the one on another task
+      const { timerSwitch } = getSettings(user.id)
+      const { data: maybeRunning, cancelled, error, warnings } = await timerService.createEntryExclusive(user.id, task.id, {
+        confirmSwitch: timerSwitch === 'ask' ? (message) => confirm(message) : null
+      })
+      if (cancelled) return
       if (error) throw error
       if (warnings && warnings.length) console.warn('createEntry warnings', warnings)
 
@@ -212,7 +360,7 @@ export default function TimerOverlay({ user, task, onClose }) {
       // optional: persist to task if checkbox is checked (user choice)
       if (persistTargetToTask) {
         try {
-          const { error: err } = await supabase.from('tasks').update({ estimated_duration_seconds: effectiveTarget }).eq('id', task.id)
+          const { error: err } = await updateTasks([task.id], { estimated_duration_seconds: effectiveTarget })
           if (err) console.warn('persist target to task failed', err)
         } catch (e) {
           console.warn('persist target to task error', e)
@@ -226,13 +374,20 @@ export default function TimerOverlay({ user, task, onClose }) {
     }
   }
 
-  // Stop: finalize running entry then reload authoritative aggregate (so resume picks up base)
-  async function handleStop() {
-    if (!runningEntry) return
+  // Stop / Finish with a running entry first ask for an optional note + focus rating for that segment
+  function askStop(then) {
+    if (runningEntry) setStopSheet(then)
+    else if (then === 'finish') handleFinish()
+  }
+
+  // StopTimerSheet stopped the entry (and completed the task on finish): reload authoritative aggregate
+  // so resume picks up base
+  async function handleStopped() {
+    const then = stopSheet
+    setStopSheet(null)
+    if (then === 'finish') return handleFinish(true)
     setLoading(true)
     try {
-      await timerService.stopEntry(runningEntry.id)
-      // reload agg (this sets baseRef.current)
       await reloadAggregate()
     } catch (err) {
       console.error('handleStop error', err)
@@ -242,13 +397,14 @@ export default function TimerOverlay({ user, task, onClose }) {
     }
   }
 
-  // Finish: stop if running then mark completed
-  async function handleFinish() {
+  // Finish: mark completed (unless StopTimerSheet already did), then close
+  async function handleFinish(completed = false) {
     setLoading(true)
     try {
-      if (runningEntry) await timerService.stopEntry(runningEntry.id)
-      const { error } = await supabase.from('tasks').update({ status: 'completed' }).eq('id', task.id)
-      if (error) throw error
+      if (!completed) {
+        const { error } = await timerService.stopTimer(null, task.id, { finish: true })
+        if (error) throw error
+      }
       await reloadAggregate()
       // do not clear local target automatically — user may want to reuse it
       onClose && onClose()
@@ -260,6 +416,21 @@ export default function TimerOverlay({ user, task, onClose }) {
     }
   }
 
+  // several running rows (e.g. started on two devices): close all but the latest
+  async function handleRepair() {
+    setLoading(true)
+    try {
+      const { error } = await timerService.repairRunningEntries(user.id)
+      if (error) throw error
+      await reloadAggregate()
+    } catch (err) {
+      console.error('repair running entries failed', err)
+      alert('Could not repair running entries — check console')
+    } finally {
+      setLoading(false)
+    }
+  }
+
   // Set target from inputs (not persisted unless user checks the box)
   function setTargetFromInputs() {
     const hrs = Number(inputHours || 0)
@@ -277,7 +448,7 @@ export default function TimerOverlay({ user, task, onClose }) {
     setDisplaySeconds(remainingNow)
     // optional persist to task if asked for
     if (persistTargetToTask) {
-      supabase.from('tasks').update({ estimated_duration_seconds: seconds }).eq('id', task.id).catch((e) => console.warn('persist target failed', e))
+      updateTasks([task.id], { estimated_duration_seconds: seconds }).then(({ error }) => error && console.warn('persist target failed', error))
     }
   }
 
@@ -320,6 +491,54 @@ export default function TimerOverlay({ user, task, onClose }) {
       </div>
 
       <div className="flex-1 flex flex-col items-center justify-start mt-6 overflow-auto">
+        {awayGap && (
+          <div className="w-full max-w-md mb-4 p-3 rounded bg-sky-50 border border-sky-200 text-sm">
+            <div className="mb-2">
+              You were away {Math.round((awayGap.to - awayGap.from) / 60000)} min ({dayjs(awayGap.from).format('HH:mm')}–{dayjs(awayGap.to).format('HH:mm')}) while
+              the timer ran.
+            </div>
+            <div className="flex flex-wrap gap-2">
+              <button className="py-1 px-2 rounded border" onClick={() => resolveAwayGap('trim')} disabled={loading}>
+                Remove the gap
+              </button>
+              <button className="py-1 px-2 rounded border" onClick={() => resolveAwayGap('stop')} disabled={loading}>
+                Stop when I left
+              </button>
+              <button className="py-1 px-2 rounded border" onClick={() => resolveAwayGap('keep')} disabled={loading}>
+                Keep
+              </button>
+            </div>
+          </div>
+        )}
+        {stopSheet && runningEntry && (
+          <StopTimerSheet entry={runningEntry} title={task.title} then={stopSheet} onDone={handleStopped} onCancel={() => setStopSheet(null)} />
+        )}
+        {warnings.some((w) => w.startsWith('multiple_running_entries')) && (
+          <div className="w-full max-w-md mb-4 p-3 rounded bg-amber-50 border border-amber-200 text-sm flex items-center justify-between gap-2">
+            <span>Several timers are running for this task.</span>
+            <button className="py-1 px-2 rounded border" onClick={handleRepair} disabled={loading}>
+              Repair
+            </button>
+          </div>
+        )}
+        <div className="flex rounded border overflow-hidden text-sm mb-4">
+          <button className={`px-3 py-1 ${mode === 'target' ? 'bg-primary text-white' : ''}`} onClick={() => changeMode('target')}>
+            Target
+          </button>
+          <button className={`px-3 py-1 ${mode === 'pomodoro' ? 'bg-primary text-white' : ''}`} onClick={() => changeMode('pomodoro')}>
+            Pomodoro
+          </button>
+        </div>
+
+        {mode === 'pomodoro' ? (
+          <>
+            <PomodoroPanel user={user} task={task} entries={entries} onChanged={reloadAggregate} />
+            <button className="py-2 px-3 rounded border w-full max-w-md mb-4" onClick={() => askStop('finish')} disabled={loading}>
+              Finish task
+            </button>
+          </>
+        ) : (
+          <>
         {/* Big countdown display (target mode) or elapsed if no target */}
         <div className="text-6xl md:text-7xl font-mono mb-2">
           {targetSeconds != null ? formatHMS(Math.max(0, remainingNow)) : formatHMS(displaySeconds)}
@@ -337,17 +556,26 @@ export default function TimerOverlay({ user, task, onClose }) {
                 {loading ? '...' : 'Start / Resume'}
               </button>
             ) : (
-              <button className="py-2 px-3 rounded border flex-1" onClick={handleStop} disabled={loading}>
+              <button className="py-2 px-3 rounded border flex-1" onClick={() => askStop('stop')} disabled={loading}>
                 {loading ? '...' : 'Stop'}
               </button>
             )}
 
-            <button className="py-2 px-3 rounded border" onClick={handleFinish} disabled={loading}>
+            <button className="py-2 px-3 rounded border" onClick={() => askStop('finish')} disabled={loading}>
               Finish
             </button>
           </div>
 
           <div className="text-xs text-slate-500 mb-2">Set countdown target (hours / minutes) — required before Start</div>
+          {targetSeconds == null && (
+            <EstimateSuggestion
+              suggestion={suggestion}
+              onApply={(seconds) => {
+                setInputHours(Math.floor(seconds / 3600))
+                setInputMinutes(Math.floor((seconds % 3600) / 60))
+              }}
+            />
+          )}
           <div className="flex gap-2 mb-2">
             <input type="number" min="0" className="flex-1 p-2 border rounded" value={inputHours} onChange={(e) => setInputHours(e.target.value)} placeholder="Hours" />
             <input type="number" min="0" max="59" className="flex-1 p-2 border rounded" value={inputMinutes} onChange={(e) => setInputMinutes(e.target.value)} placeholder="Minutes" />
@@ -368,23 +596,11 @@ export default function TimerOverlay({ user, task, onClose }) {
 
           <div className="text-xs text-slate-500">Target persists locally (so resume after closing works). Optionally save to task.</div>
         </div>
+          </>
+        )}
 
-        {/* Simple entries view for debugging (no edit) */}
-        <div className="w-full max-w-md">
-          <div className="font-semibold mb-2">Time entries (latest first)</div>
-          {[...entries].reverse().map((e) => (
-            <div key={e.id} className="card mb-2 p-3 flex justify-between items-center">
-              <div>
-                <div className="text-sm">Start: {e.start_at ? dayjs(e.start_at).format('YYYY-MM-DD HH:mm:ss') : '—'}</div>
-                <div className="text-xs text-slate-500">End: {e.end_at ? dayjs(e.end_at).format('YYYY-MM-DD HH:mm:ss') : 'running'}</div>
-              </div>
-              <div className="text-right">
-                <div className="text-sm font-semibold">{e.duration_seconds ? durationHuman(e.duration_seconds) : e.start_at && !e.end_at ? durationHuman(Math.round((Date.now() - new Date(e.start_at)) / 1000)) : '—'}</div>
-                <div className="text-xs text-slate-400 mt-2">{e.id.slice(0, 6)}</div>
-              </div>
-            </div>
-          ))}
-        </div>
+        {/* Session log: edit / split / merge / add / delete segments */}
+        <TimeEntryEditor task={task} entries={entries} onChanged={reloadAggregate} />
       </div>
     </div>
   )
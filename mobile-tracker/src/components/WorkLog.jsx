@@ -0,0 +1,69 @@
+// src/components/WorkLog.jsx
+import React, { useEffect, useState } from 'react'
+import dayjs from 'dayjs'
+import { adhocTitle, searchEntryNotes } from '../api/trackingService'
+import { durationHuman } from '../utils/time'
+
+/**
+ * WorkLog — search the notes attached to time entries (ProfilePage).
+ *
+ * Lists the newest noted segments; type to filter by note text, optionally only well-focused ones.
+ */
+export default function WorkLog({ user }) {
+  const [query, setQuery] = useState('')
+  const [minRating, setMinRating] = useState('')
+  const [results, setResults] = useState([])
+  const [loading, setLoading] = useState(false)
+
+  useEffect(() => {
+    const id = setTimeout(search, 300) // debounce typing
+    return () => clearTimeout(id)
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [query, minRating, user?.id])
+
+  async function search() {
+    setLoading(true)
+    const { data, error } = await searchEntryNotes(user.id, query, minRating ? Number(minRating) : null)
+    setLoading(false)
+    if (error) {
+      console.error('search work log', error)
+      return
+    }
+    setResults(data)
+  }
+
+  return (
+    <div className="mt-4 card">
+      <div className="font-semibold mb-2">Work log</div>
+      <div className="flex gap-2 mb-2">
+        <input className="flex-1 p-2 border rounded" value={query} onChange={(e) => setQuery(e.target.value)} placeholder="Search notes" aria-label="Search notes" />
+        <select className="p-2 border rounded" value={minRating} onChange={(e) => setMinRating(e.target.value)} aria-label="Minimum focus">
+          <option value="">Any focus</option>
+          {[2, 3, 4, 5].map((n) => (
+            <option key={n} value={n}>
+              Focus ≥ {n}
+            </option>
+          ))}
+        </select>
+      </div>
+      {loading && <div className="text-xs text-slate-500">Searching…</div>}
+      {!loading && results.length === 0 && <div className="text-sm text-slate-500">No notes found</div>}
+      <div className="space-y-2">
+        {results.map((r) => (
+          <div key={r.id} className="text-sm border-b last:border-b-0 pb-2">
+            <div className="flex justify-between text-xs text-slate-500">
+              <span>
+                {r.tasks ? r.tasks.title : adhocTitle(r)} • {dayjs(r.start_at).format('MMM D HH:mm')}
+              </span>
+              <span>
+                {r.duration_seconds ? durationHuman(r.duration_seconds) : 'running'}
+                {r.focus_rating ? ` • focus ${r.focus_rating}/5` : ''}
+              </span>
+            </div>
+            <div>{r.note}</div>
+          </div>
+        ))}
+      </div>
+    </div>
+  )
+}
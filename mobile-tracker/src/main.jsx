@@ -3,6 +3,9 @@ import React from 'react'
 import { createRoot } from 'react-dom/client'
 import App from './components/App'
 import './index.css'
+import { registerServiceWorker } from './utils/notify'
+
+registerServiceWorker()
 
 createRoot(document.getElementById('root')).render(
   <React.StrictMode>
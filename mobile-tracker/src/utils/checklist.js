@@ -0,0 +1,32 @@
+// src/utils/checklist.js
+
+/**
+ * Checklist helpers. A task's checklist is an ordered array stored in tasks.checklist:
+ *  [{ id, text, done }]
+ */
+
+export function newChecklistItem(text) {
+  const id = `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 7)}`
+  return { id, text: text.trim(), done: false }
+}
+
+export function checklistProgress(checklist) {
+  const items = Array.isArray(checklist) ? checklist : []
+  const done = items.filter((i) => i.done).length
+  return { done, total: items.length, percent: items.length ? Math.round((done / items.length) * 100) : 0 }
+}
+
+// template items (text / order) with the done flags current already has for the same item ids
+export function mergeChecklist(template, current) {
+  const doneById = Object.fromEntries((Array.isArray(current) ? current : []).map((i) => [i.id, i.done]))
+  return (Array.isArray(template) ? template : []).map((i) => ({ ...i, done: !!doneById[i.id] }))
+}
+
+export function moveItem(list, index, delta) {
+  const target = index + delta
+  if (target < 0 || target >= list.length) return list
+  const next = [...list]
+  const [item] = next.splice(index, 1)
+  next.splice(target, 0, item)
+  return next
+}
@@ -0,0 +1,134 @@
+// src/utils/dataArchive.js
+
+/**
+ * Account archive: the JSON format of a full export and the pure part of importing one.
+ *
+ * archive = { format: ARCHIVE_FORMAT, version, exported_at, user: { id, username, display_name },
+ *             tables: { [name]: rows } } — rows are the table rows as stored ('*').
+ *
+ * planImport(archive, existing, userId, newId) decides, table by table in dependency order:
+ *  - every id is remapped (old id -> freshly generated id, or -> the matching existing row), and
+ *    references (task_id, series_id, tag_ids, ...) follow the map; rows whose required parent is
+ *    missing are skipped, optional references to unknown rows are cleared
+ *  - a row whose natural key (see ARCHIVE_TABLES) already exists in the account is a duplicate:
+ *    nothing is inserted and its children attach to the existing row, so re-importing the same
+ *    archive adds nothing
+ *  - teams are matched by id only (a team with the same name but another id is a different team
+ *    and gets created); memberships are added for userId only
+ */
+
+export const ARCHIVE_FORMAT = 'daily-life-tracker-archive'
+export const ARCHIVE_VERSION = 1
+
+const ts = (v) => (v ? new Date(v).toISOString() : '')
+
+// refs: column -> [table, required]; tag_ids is an array of tag ids
+export const ARCHIVE_TABLES = [
+  { name: 'tags', key: (r) => r.name },
+  { name: 'teams', key: (r) => r.id },
+  { name: 'task_series', key: (r) => [r.title, r.start_date, r.freq].join('|'), refs: { team_id: ['teams', false] } },
+  {
+    name: 'tasks',
+    // an occurrence is identified by its series and series_date (unique in the table), whatever its title
+    key: (r) => (r.series_id ? `series|${r.series_id}|${r.series_date}` : [r.title, r.date, r.time_from || ''].join('|')),
+    refs: { series_id: ['task_series', false], team_id: ['teams', false] }
+  },
+  { name: 'time_entries', key: (r) => [r.task_id || 'adhoc', ts(r.start_at)].join('|'), refs: { task_id: ['tasks', false] } },
+  { name: 'pomodoro_breaks', key: (r) => [r.kind, ts(r.start_at)].join('|'), refs: { task_id: ['tasks', false] } },
+  { name: 'diaries', key: (r) => r.diary_date },
+  { name: 'day_templates', key: (r) => r.name },
+  { name: 'time_goals', key: (r) => [r.tag_id || '', r.period].join('|'), refs: { tag_id: ['tags', true] } },
+  { name: 'habits', key: (r) => r.name },
+  { name: 'habit_logs', key: (r) => [r.habit_id, r.log_date].join('|'), refs: { habit_id: ['habits', true] } },
+  { name: 'team_members', key: (r) => r.team_id, refs: { team_id: ['teams', true] } }
+]
+
+// tables whose rows carry user_id
+const OWNED = ['tags', 'task_series', 'tasks', 'time_entries', 'pomodoro_breaks', 'diaries', 'day_templates', 'time_goals', 'habits', 'habit_logs', 'team_members']
+
+export function validateArchive(archive) {
+  if (!archive || archive.format !== ARCHIVE_FORMAT || !archive.tables) return 'Not a Daily Life Tracker archive'
+  if (archive.version > ARCHIVE_VERSION) return `Archive version ${archive.version} is newer than this app supports`
+  return null
+}
+
+function remapTagIds(ids, tagMap) {
+  return (ids || []).map((id) => tagMap[id]).filter(Boolean)
+}
+
+/**
+ * existing: { [table]: rows already in the account } (teams: every team the account can see)
+ * -> { inserts: { [table]: rows }, counts: { [table]: { total, added, duplicate, skipped } } }
+ */
+export function planImport(archive, existing, userId, newId) {
+  const idMaps = {}
+  const inserts = {}
+  const counts = {}
+
+  ARCHIVE_TABLES.forEach((spec) => {
+    const map = (idMaps[spec.name] = {})
+    const rows = (archive.tables || {})[spec.name] || []
+    const keyToId = {}
+    ;((existing || {})[spec.name] || []).forEach((r) => {
+      keyToId[spec.key(r)] = spec.name === 'team_members' ? r.team_id : r.id
+    })
+    const out = (inserts[spec.name] = [])
+    const count = (counts[spec.name] = { total: rows.length, added: 0, duplicate: 0, skipped: 0 })
+
+    rows.forEach((original) => {
+      const row = { ...original }
+      let orphan = false
+      Object.entries(spec.refs || {}).forEach(([column, [table, required]]) => {
+        if (row[column] == null) return
+        const mapped = idMaps[table][row[column]]
+        if (!mapped && required) orphan = true
+        row[column] = mapped || null
+      })
+      if (orphan) {
+        count.skipped += 1
+        return
+      }
+      if ('tag_ids' in row) row.tag_ids = remapTagIds(row.tag_ids, idMaps.tags)
+      if (spec.name === 'day_templates') {
+        row.tasks = (row.tasks || []).map((t) => ('tag_ids' in t ? { ...t, tag_ids: remapTagIds(t.tag_ids, idMaps.tags) } : t))
+      }
+      const key = spec.key(row)
+      if (keyToId[key]) {
+        if (row.id) map[row.id] = keyToId[key]
+        count.duplicate += 1
+        return
+      }
+
+      const id = newId()
+      if (row.id) map[row.id] = id
+      keyToId[key] = spec.name === 'team_members' ? row.team_id : id
+      if (spec.name === 'team_members') {
+        out.push({ team_id: row.team_id, user_id: userId })
+      } else {
+        row.id = id
+        if (OWNED.includes(spec.name)) row.user_id = userId
+        out.push(row)
+      }
+      count.added += 1
+    })
+  })
+  return { inserts, counts }
+}
+
+function csvCell(value) {
+  if (value == null) return ''
+  let text = typeof value === 'object' ? JSON.stringify(value) : String(value)
+  // keep spreadsheets from evaluating text that looks like a formula
+  if (typeof value === 'string' && /^[=+\-@]/.test(text)) text = `'${text}`
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+// rows -> CSV text with a header of every column seen (arrays / objects as JSON)
+export function toCsv(rows) {
+  const columns = []
+  ;(rows || []).forEach((r) => Object.keys(r).forEach((k) => !columns.includes(k) && columns.push(k)))
+  if (!columns.length) return ''
+  const lines = [columns.map(csvCell).join(',')]
+  rows.forEach((r) => lines.push(columns.map((c) => csvCell(r[c])).join(',')))
+  return `${lines.join('\r\n')}\r\n`
+}
@@ -0,0 +1,17 @@
+// src/utils/download.js
+
+/**
+ * Save generated content (report, export) as a file through a temporary object URL.
+ * content: string (saved as UTF-8) or bytes (Uint8Array, e.g. a zip).
+ */
+export function downloadFile(filename, content, mimeType = 'text/plain') {
+  const blob = new Blob([content], { type: typeof content === 'string' ? `${mimeType};charset=utf-8` : mimeType })
+  const url = URL.createObjectURL(blob)
+  const a = document.createElement('a')
+  a.href = url
+  a.download = filename
+  document.body.appendChild(a)
+  a.click()
+  a.remove()
+  setTimeout(() => URL.revokeObjectURL(url), 1000)
+}
@@ -0,0 +1,121 @@
+// src/utils/estimates.js
+import { parseTimeToSeconds } from './time'
+import { weekRange } from './stats'
+
+/**
+ * Estimate accuracy: planned vs tracked time of completed tasks.
+ *
+ * planned = estimated_duration_seconds, else time_to - time_from. A sample's ratio is
+ * actual / planned (1.3 = took 30% longer than planned). Medians are used throughout so a
+ * single forgotten timer doesn't skew the picture.
+ *
+ * suggestEstimate looks for similar past tasks (shared tag or title keyword):
+ *  - with >= 2 similar samples: their median actual time
+ *  - else, with a planned duration and >= 3 samples overall: planned × your median ratio
+ */
+
+export const MIN_SIMILAR = 2
+const MIN_FOR_BIAS = 3
+const STOPWORDS = new Set(['the', 'and', 'for', 'with', 'from', 'into', 'about', 'to', 'of', 'on', 'in', 'a', 'an'])
+
+export function plannedSeconds(task) {
+  if (task.estimated_duration_seconds) return Number(task.estimated_duration_seconds)
+  const span = parseTimeToSeconds(task.time_to) - parseTimeToSeconds(task.time_from)
+  return span > 0 ? span : 0
+}
+
+export function median(values) {
+  if (!values.length) return null
+  const sorted = [...values].sort((a, b) => a - b)
+  const mid = Math.floor(sorted.length / 2)
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2
+}
+
+export function titleKeywords(title) {
+  return (title || '')
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter((w) => w.length >= 3 && !STOPWORDS.has(w) && !/^\d+$/.test(w))
+}
+
+// tasks with { ..., trackedSeconds } -> samples of completed tasks that have both numbers
+export function buildSamples(tasks) {
+  return (tasks || [])
+    .filter((t) => t.status === 'completed')
+    .map((t) => ({ task: t, planned: plannedSeconds(t), actual: t.trackedSeconds || 0 }))
+    .filter((s) => s.planned > 0 && s.actual > 0)
+    .map((s) => ({ ...s, ratio: s.actual / s.planned }))
+}
+
+function stats(samples) {
+  return { count: samples.length, ratio: median(samples.map((s) => s.ratio)) }
+}
+
+/**
+ * { overall: { count, ratio }, byTag: [{ tagId, count, ratio }], byWeek: [{ week, count, ratio }] }
+ * week: the Monday the week starts on ('YYYY-MM-DD')
+ */
+export function summarizeBias(samples) {
+  const byTag = {}
+  const byWeek = {}
+  samples.forEach((s) => {
+    const tagIds = s.task.tag_ids && s.task.tag_ids.length ? s.task.tag_ids : [null]
+    tagIds.forEach((id) => {
+      ;(byTag[id] = byTag[id] || []).push(s)
+    })
+    // Monday-start weeks (utils/stats.weekRange), the same buckets as statistics, review, goals and
+    // habits; the calendar grid is the exception and still lays out Sunday-first
+    const week = weekRange(s.task.date).from
+    ;(byWeek[week] = byWeek[week] || []).push(s)
+  })
+  return {
+    overall: stats(samples),
+    byTag: Object.entries(byTag)
+      .map(([tagId, list]) => ({ tagId: tagId === 'null' ? null : tagId, ...stats(list) }))
+      .sort((a, b) => b.count - a.count),
+    byWeek: Object.entries(byWeek)
+      .map(([week, list]) => ({ week, ...stats(list) }))
+      .sort((a, b) => a.week.localeCompare(b.week))
+  }
+}
+
+/**
+ * draft: { title, tag_ids, planned } -> { seconds, basis, ratio, source: 'similar' | 'bias' } | null
+ */
+export function suggestEstimate(draft, samples) {
+  if (!samples || !samples.length) return null
+  const words = new Set(titleKeywords(draft.title))
+  const tagIds = new Set(draft.tag_ids || [])
+
+  const similar = samples
+    .map((s) => {
+      const sharedTags = (s.task.tag_ids || []).filter((id) => tagIds.has(id)).length
+      const sharedWords = titleKeywords(s.task.title).filter((w) => words.has(w)).length
+      return { s, score: sharedWords * 2 + sharedTags }
+    })
+    .filter((x) => x.score > 0)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, 10)
+    .map((x) => x.s)
+
+  const ratio = samples.length >= MIN_FOR_BIAS ? median(samples.map((s) => s.ratio)) : null
+  if (similar.length >= MIN_SIMILAR) {
+    return { seconds: roundToFive(median(similar.map((s) => s.actual))), basis: similar.length, ratio, source: 'similar' }
+  }
+  if (draft.planned > 0 && ratio) {
+    return { seconds: roundToFive(draft.planned * ratio), basis: samples.length, ratio, source: 'bias' }
+  }
+  return null
+}
+
+function roundToFive(seconds) {
+  return Math.max(300, Math.round(seconds / 300) * 300)
+}
+
+// 1.32 -> "32% over", 0.8 -> "20% under"
+export function describeRatio(ratio) {
+  if (ratio == null) return '—'
+  const pct = Math.round((ratio - 1) * 100)
+  if (Math.abs(pct) < 5) return 'on target'
+  return pct > 0 ? `${pct}% over` : `${-pct}% under`
+}
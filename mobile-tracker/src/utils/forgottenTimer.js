@@ -0,0 +1,73 @@
+// src/utils/forgottenTimer.js
+import dayjs from 'dayjs'
+
+/**
+ * Forgotten-timer helpers.
+ *
+ * A running entry counts as forgotten when it has run longer than settings.forgottenTimerHours,
+ * or it started on an earlier day (it crossed midnight). Its "last plausible" end is, in order:
+ *  1. the last time the app was seen in use after the start (heartbeat in localStorage), or
+ *  2. the task's planned end (task.date + time_to) if that lies after the start, or
+ *  3. start + forgottenTimerHours
+ * and never later than now.
+ */
+
+function heartbeatKey(userId) {
+  return `dltr_last_active_${userId || 'anon'}`
+}
+
+export function markActive(userId, at = Date.now()) {
+  try {
+    localStorage.setItem(heartbeatKey(userId), String(at))
+  } catch {
+    // no storage: the planned end or the hour limit is used instead
+  }
+}
+
+export function lastActive(userId) {
+  try {
+    const n = Number(localStorage.getItem(heartbeatKey(userId)))
+    return Number.isFinite(n) && n > 0 ? n : null
+  } catch {
+    return null
+  }
+}
+
+export function isForgotten(entry, settings, now = Date.now()) {
+  if (!entry || entry.end_at) return false
+  const start = new Date(entry.start_at).getTime()
+  const hours = Number(settings.forgottenTimerHours) || 0
+  if (hours > 0 && now - start > hours * 3600 * 1000) return true
+  return !dayjs(start).isSame(dayjs(now), 'day')
+}
+
+export function plausibleEnd(entry, task, lastActiveMs, settings, now = Date.now()) {
+  const start = new Date(entry.start_at).getTime()
+  let end = null
+  if (lastActiveMs && lastActiveMs > start) end = lastActiveMs
+  if (end == null && task && task.date && task.time_to) {
+    const planned = dayjs(`${task.date}T${task.time_to}`).valueOf()
+    if (planned > start) end = planned
+  }
+  if (end == null) end = start + (Number(settings.forgottenTimerHours) || 3) * 3600 * 1000
+  return new Date(Math.min(end, now)).toISOString()
+}
+
+// entries the user chose to keep running (not prompted about again)
+const KEPT_KEY = 'dltr_timer_kept'
+
+export function keptEntryIds() {
+  try {
+    return JSON.parse(localStorage.getItem(KEPT_KEY) || '[]')
+  } catch {
+    return []
+  }
+}
+
+export function keepEntry(entryId) {
+  try {
+    localStorage.setItem(KEPT_KEY, JSON.stringify([...keptEntryIds().slice(-20), entryId]))
+  } catch {
+    // not remembered, so this entry may be asked about again
+  }
+}
@@ -0,0 +1,81 @@
+// src/utils/goals.js
+import dayjs from 'dayjs'
+import { weekRange } from './stats'
+
+/**
+ * Time goals: progress and weekly history from daily tracked seconds
+ * (days = { 'YYYY-MM-DD': { total, byTag: { [tagId]: seconds } } }, see statsService.loadDailyTracking).
+ *
+ * A goal with tag_id null counts all tracked time. Weekly goals are hit when the week's sum reaches
+ * the target; daily goals report how many days of the week reached it (hit = every day so far).
+ * Weeks (and days) before the goal was created are left out of its history.
+ */
+
+export const GOAL_HISTORY_WEEKS = 8
+
+export function goalHistoryRange(today = dayjs()) {
+  const { from } = weekRange(dayjs(today).subtract(GOAL_HISTORY_WEEKS - 1, 'week'))
+  return { from, to: dayjs(today).format('YYYY-MM-DD') }
+}
+
+export function trackedOn(goal, days, date) {
+  const day = days[date]
+  if (!day) return 0
+  return goal.tag_id ? day.byTag[goal.tag_id] || 0 : day.total
+}
+
+function datesOfWeek(weekFrom, today) {
+  const out = []
+  for (let i = 0; i < 7; i++) {
+    const d = dayjs(weekFrom).add(i, 'day')
+    if (d.isAfter(dayjs(today), 'day')) break
+    out.push(d.format('YYYY-MM-DD'))
+  }
+  return out
+}
+
+/**
+ * -> { tracked, target, ratio (capped at 1), done, remaining }
+ */
+export function goalProgress(goal, days, today = dayjs()) {
+  const todayStr = dayjs(today).format('YYYY-MM-DD')
+  const tracked =
+    goal.period === 'day'
+      ? trackedOn(goal, days, todayStr)
+      : datesOfWeek(weekRange(today).from, today).reduce((sum, d) => sum + trackedOn(goal, days, d), 0)
+  const target = goal.target_seconds
+  return { tracked, target, ratio: Math.min(1, tracked / target), done: tracked >= target, remaining: Math.max(0, target - tracked) }
+}
+
+/**
+ * -> newest first: [{ week, tracked, hit, current, daysHit?, daysCounted? }]
+ */
+export function goalHistory(goal, days, today = dayjs()) {
+  const createdDay = dayjs(goal.created_at || today).format('YYYY-MM-DD')
+  const created = weekRange(createdDay).from
+  const out = []
+  for (let i = 0; i < GOAL_HISTORY_WEEKS; i++) {
+    const week = weekRange(dayjs(today).subtract(i, 'week')).from
+    if (week < created) break
+    const dates = datesOfWeek(week, today).filter((d) => d >= createdDay)
+    const tracked = dates.reduce((sum, d) => sum + trackedOn(goal, days, d), 0)
+    const row = { week, tracked, current: i === 0 }
+    if (goal.period === 'day') {
+      row.daysCounted = dates.length
+      row.daysHit = dates.filter((d) => trackedOn(goal, days, d) >= goal.target_seconds).length
+      row.hit = row.daysHit === row.daysCounted
+    } else {
+      row.hit = tracked >= goal.target_seconds
+    }
+    out.push(row)
+  }
+  return out
+}
+
+// { period: 'week', target_seconds: 36000 } + '#programming' -> "10h #programming per week"
+export function describeGoal(goal, tagName) {
+  const h = Math.floor(goal.target_seconds / 3600)
+  const m = Math.round((goal.target_seconds % 3600) / 60)
+  const amount = h && m ? `${h}h ${m}m` : h ? `${h}h` : `${m}m`
+  return `${amount} ${tagName || 'tracked'} ${goal.period === 'day' ? 'daily' : 'per week'}`
+}
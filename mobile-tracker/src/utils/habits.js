@@ -0,0 +1,127 @@
+// src/utils/habits.js
+import dayjs from 'dayjs'
+import { weekRange } from './stats'
+
+/**
+ * Habits: schedules, streaks and the completion grid, from per-day counts
+ * (counts = { 'YYYY-MM-DD': n } for one habit, see byHabit).
+ *
+ * A day is done when its count reaches target_count (1 for a check habit). Streaks:
+ *  - daily / weekdays: consecutive scheduled days done; unscheduled days are skipped and today
+ *    only breaks the streak once it is over
+ *  - times_per_week: consecutive Monday–Sunday weeks with at least times_per_week done days;
+ *    the running week counts once it is met
+ * History starts at the habit's creation (or its first log, if older).
+ */
+
+export const HABIT_HISTORY_DAYS = 371 // 53 weeks: best streaks and the year grid
+export const WEEKDAY_LABELS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat']
+
+export function habitHistoryRange(today = dayjs()) {
+  return { from: dayjs(today).subtract(HABIT_HISTORY_DAYS - 1, 'day').format('YYYY-MM-DD'), to: dayjs(today).format('YYYY-MM-DD') }
+}
+
+// logs -> { [habitId]: { [date]: count } }
+export function byHabit(logs) {
+  const out = {}
+  ;(logs || []).forEach((l) => {
+    ;(out[l.habit_id] = out[l.habit_id] || {})[l.log_date] = l.count
+  })
+  return out
+}
+
+export function targetCount(habit) {
+  return habit.kind === 'count' ? habit.target_count || 1 : 1
+}
+
+export function isDone(habit, count) {
+  return (count || 0) >= targetCount(habit)
+}
+
+export function isScheduled(habit, date) {
+  if (habit.schedule === 'weekdays') return (habit.weekdays || []).includes(dayjs(date).day())
+  return true
+}
+
+export function describeSchedule(habit) {
+  if (habit.schedule === 'weekdays') {
+    const days = [...(habit.weekdays || [])].sort((a, b) => ((a + 6) % 7) - ((b + 6) % 7))
+    return days.map((d) => WEEKDAY_LABELS[d]).join(' ') || 'no days picked'
+  }
+  if (habit.schedule === 'times_per_week') return `${habit.times_per_week || 1}× per week`
+  return 'daily'
+}
+
+function startDate(habit, counts, today) {
+  const dates = Object.keys(counts || {}).sort()
+  let start = habit.created_at ? dayjs(habit.created_at).format('YYYY-MM-DD') : dayjs(today).format('YYYY-MM-DD')
+  if (dates.length && dates[0] < start) start = dates[0]
+  return start
+}
+
+// done days in the Monday–Sunday week containing date
+export function doneInWeek(habit, counts, date) {
+  const { from } = weekRange(date)
+  let n = 0
+  for (let i = 0; i < 7; i++) {
+    if (isDone(habit, (counts || {})[dayjs(from).add(i, 'day').format('YYYY-MM-DD')])) n += 1
+  }
+  return n
+}
+
+/**
+ * -> { current, best, unit: 'day' | 'week' }
+ */
+export function habitStreaks(habit, counts, today = dayjs()) {
+  const todayStr = dayjs(today).format('YYYY-MM-DD')
+  const start = startDate(habit, counts, today)
+  let run = 0
+  let best = 0
+
+  if (habit.schedule === 'times_per_week') {
+    const currentWeek = weekRange(todayStr).from
+    for (let w = dayjs(weekRange(start).from); !w.isAfter(dayjs(currentWeek)); w = w.add(1, 'week')) {
+      const week = w.format('YYYY-MM-DD')
+      const met = doneInWeek(habit, counts, week) >= (habit.times_per_week || 1)
+      if (met) run += 1
+      else if (week !== currentWeek && week !== weekRange(start).from) run = 0
+      best = Math.max(best, run)
+    }
+    return { current: run, best, unit: 'week' }
+  }
+
+  for (let d = dayjs(start); !d.isAfter(dayjs(todayStr)); d = d.add(1, 'day')) {
+    const ds = d.format('YYYY-MM-DD')
+    if (!isScheduled(habit, ds)) continue
+    if (isDone(habit, (counts || {})[ds])) run += 1
+    else if (ds !== todayStr) run = 0
+    best = Math.max(best, run)
+  }
+  return { current: run, best, unit: 'day' }
+}
+
+/**
+ * Completion grid: `weeks` Monday-first columns ending with the current week.
+ * -> [[{ date, state: 'done' | 'partial' | 'missed' | 'off' | 'future' }, ...7], ...]
+ */
+export function habitGrid(habit, counts, weeks = 15, today = dayjs()) {
+  const todayStr = dayjs(today).format('YYYY-MM-DD')
+  const start = startDate(habit, counts, today)
+  const first = dayjs(weekRange(todayStr).from).subtract(weeks - 1, 'week')
+  const columns = []
+  for (let w = 0; w < weeks; w++) {
+    const column = []
+    for (let i = 0; i < 7; i++) {
+      const date = first.add(w, 'week').add(i, 'day').format('YYYY-MM-DD')
+      const count = (counts || {})[date] || 0
+      let state = 'off'
+      if (date > todayStr) state = 'future'
+      else if (isDone(habit, count)) state = 'done'
+      else if (count > 0) state = 'partial'
+      else if (date >= start && date < todayStr && isScheduled(habit, date) && habit.schedule !== 'times_per_week') state = 'missed'
+      column.push({ date, state, count })
+    }
+    columns.push(column)
+  }
+  return columns
+}
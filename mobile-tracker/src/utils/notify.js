@@ -0,0 +1,122 @@
+// src/utils/notify.js
+import { getSettings } from './settings'
+
+/**
+ * Timer alerts: system notification (service worker, public/sw.js) + optional chime.
+ *
+ * scheduleAlert(userId, id, atMs, { title, body }) replaces any alert with the same id:
+ *  - where the browser has Notification Triggers, the service worker hands the notification to
+ *    the OS and confirms with { type: 'scheduled', id }
+ *  - otherwise the page timeout shows it (through the worker registration when there is one) and
+ *    plays the chime; background tabs are throttled, and when the tab becomes visible again
+ *    overdue alerts fire immediately
+ * Settings: notifications (on/off), sound (on/off). Permission is requested from ProfilePage.
+ */
+
+const pending = new Map() // id -> { timeout, alert }
+
+export function notificationsSupported() {
+  return typeof window !== 'undefined' && 'Notification' in window
+}
+
+export function notificationPermission() {
+  return notificationsSupported() ? Notification.permission : 'unsupported'
+}
+
+export async function requestNotificationPermission() {
+  if (!notificationsSupported()) return 'unsupported'
+  if (Notification.permission !== 'default') return Notification.permission
+  return Notification.requestPermission()
+}
+
+export function registerServiceWorker() {
+  if (!('serviceWorker' in navigator)) return
+  navigator.serviceWorker.register('/sw.js').catch((err) => console.warn('service worker registration failed', err))
+  navigator.serviceWorker.addEventListener('message', (event) => {
+    const msg = event.data || {}
+    const item = pending.get(msg.id)
+    if (msg.type === 'scheduled' && item) item.confirmed = true
+  })
+  document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'visible') flushOverdue()
+  })
+}
+
+function postToWorker(message) {
+  if (!('serviceWorker' in navigator) || notificationPermission() !== 'granted') return false
+  navigator.serviceWorker.ready.then((reg) => reg.active && reg.active.postMessage(message)).catch(() => {})
+  return true
+}
+
+export function playChime() {
+  try {
+    const Ctx = window.AudioContext || window.webkitAudioContext
+    const ctx = new Ctx()
+    ;[0, 0.25, 0.5].forEach((offset, i) => {
+      const osc = ctx.createOscillator()
+      const gain = ctx.createGain()
+      osc.frequency.value = i === 2 ? 1046 : 784
+      gain.gain.setValueAtTime(0.2, ctx.currentTime + offset)
+      gain.gain.exponentialRampToValueAtTime(0.001, ctx.currentTime + offset + 0.22)
+      osc.connect(gain).connect(ctx.destination)
+      osc.start(ctx.currentTime + offset)
+      osc.stop(ctx.currentTime + offset + 0.22)
+    })
+    setTimeout(() => ctx.close(), 1000)
+  } catch {
+    // audio blocked (no user gesture yet) — the notification still shows
+  }
+}
+
+function fire(id) {
+  const item = pending.get(id)
+  if (!item) return
+  pending.delete(id)
+  clearTimeout(item.timeout)
+  const { alert, notify, confirmed } = item
+  // a throttled tab catching up much later shouldn't chime out of the blue
+  if (alert.sound && Date.now() - alert.at < 60 * 1000) playChime()
+  // the OS already has it when the worker confirmed a trigger; otherwise it's up to the page
+  if (notify && !confirmed && notificationPermission() === 'granted') showFromPage(alert)
+}
+
+function showFromPage(alert) {
+  const options = { body: alert.body, tag: alert.id }
+  // some mobile browsers only allow notifications from a service worker registration
+  const viaRegistration =
+    'serviceWorker' in navigator ? navigator.serviceWorker.getRegistration().then((reg) => reg && reg.showNotification(alert.title, options).then(() => true)) : Promise.resolve(false)
+  viaRegistration
+    .catch(() => false)
+    .then((shown) => {
+      if (shown) return
+      try {
+        new Notification(alert.title, options)
+      } catch (err) {
+        console.warn('notification failed', err)
+      }
+    })
+}
+
+function flushOverdue() {
+  const now = Date.now()
+  Array.from(pending.entries()).forEach(([id, item]) => {
+    if (item.alert.at <= now) fire(id)
+  })
+}
+
+export function scheduleAlert(userId, id, atMs, { title, body = '' }) {
+  cancelAlert(id)
+  const settings = getSettings(userId)
+  if (!settings.notifications && !settings.sound) return
+  const alert = { id, at: atMs, title, body, sound: settings.sound }
+  const timeout = setTimeout(() => fire(id), Math.max(0, atMs - Date.now()))
+  pending.set(id, { timeout, alert, notify: settings.notifications, confirmed: false })
+  if (settings.notifications) postToWorker({ type: 'schedule', id, at: atMs, title, body, silent: !settings.sound })
+}
+
+export function cancelAlert(id) {
+  const item = pending.get(id)
+  if (item) clearTimeout(item.timeout)
+  pending.delete(id)
+  postToWorker({ type: 'cancel', id })
+}
@@ -0,0 +1,42 @@
+// src/utils/pomodoro.js
+import dayjs from 'dayjs'
+
+/**
+ * Pomodoro helpers. Config lives in user settings (`pomodoro` key, see utils/settings.js).
+ *
+ * Phases: 'idle' -> 'work' -> 'short_break' | 'long_break' -> 'idle' ...
+ * Every cyclesUntilLongBreak-th completed work interval is followed by a long break.
+ */
+
+export const DEFAULT_POMODORO = {
+  workMinutes: 25,
+  shortBreakMinutes: 5,
+  longBreakMinutes: 15,
+  cyclesUntilLongBreak: 4
+}
+
+export const PHASE_LABELS = {
+  idle: 'Ready',
+  work: 'Focus',
+  short_break: 'Short break',
+  long_break: 'Long break'
+}
+
+export function breakPhaseAfter(completedCycles, cfg) {
+  const n = Math.max(1, Number(cfg.cyclesUntilLongBreak) || DEFAULT_POMODORO.cyclesUntilLongBreak)
+  return completedCycles > 0 && completedCycles % n === 0 ? 'long_break' : 'short_break'
+}
+
+export function phaseSeconds(phase, cfg) {
+  if (phase === 'work') return Math.round((Number(cfg.workMinutes) || DEFAULT_POMODORO.workMinutes) * 60)
+  if (phase === 'short_break') return Math.round((Number(cfg.shortBreakMinutes) || DEFAULT_POMODORO.shortBreakMinutes) * 60)
+  if (phase === 'long_break') return Math.round((Number(cfg.longBreakMinutes) || DEFAULT_POMODORO.longBreakMinutes) * 60)
+  return 0
+}
+
+/**
+ * Completed pomodoros among a task's time_entries on a local day ('YYYY-MM-DD')
+ */
+export function countPomodorosOn(entries, dateStr) {
+  return (entries || []).filter((e) => e.pomodoro && e.end_at && dayjs(e.start_at).format('YYYY-MM-DD') === dateStr).length
+}
@@ -0,0 +1,48 @@
+// src/utils/priority.js
+import dayjs from 'dayjs'
+
+/**
+ * Task priority levels and deadline helpers.
+ * tasks.priority is one of PRIORITIES[].value; tasks.deadline_at is an optional timestamp,
+ * independent of the scheduled date / time_from.
+ */
+
+export const PRIORITIES = [
+  { value: 'low', label: 'Low', rank: 1, className: 'bg-slate-100 text-slate-600' },
+  { value: 'normal', label: 'Normal', rank: 2, className: 'bg-sky-100 text-sky-700' },
+  { value: 'high', label: 'High', rank: 3, className: 'bg-amber-100 text-amber-700' },
+  { value: 'urgent', label: 'Urgent', rank: 4, className: 'bg-rose-100 text-rose-700' }
+]
+
+export const DUE_SOON_HOURS = 24
+
+export function priorityInfo(value) {
+  return PRIORITIES.find((p) => p.value === value) || PRIORITIES[1]
+}
+
+/**
+ * 'overdue' | 'soon' | null for a task's deadline (completed tasks never get a badge)
+ */
+export function deadlineState(task, now = dayjs()) {
+  if (!task || !task.deadline_at || task.status === 'completed') return null
+  const d = dayjs(task.deadline_at)
+  if (d.isBefore(now)) return 'overdue'
+  if (d.diff(now, 'hour', true) <= DUE_SOON_HOURS) return 'soon'
+  return null
+}
+
+// comparators for Dashboard sorting; ties fall back to time_from
+function byTime(a, b) {
+  return (a.time_from || '').localeCompare(b.time_from || '')
+}
+
+export function compareByPriority(a, b) {
+  return priorityInfo(b.priority).rank - priorityInfo(a.priority).rank || byTime(a, b)
+}
+
+export function compareByDeadline(a, b) {
+  if (a.deadline_at && b.deadline_at) return new Date(a.deadline_at) - new Date(b.deadline_at) || byTime(a, b)
+  if (a.deadline_at) return -1
+  if (b.deadline_at) return 1
+  return byTime(a, b)
+}
@@ -0,0 +1,156 @@
+// src/utils/quickAdd.js
+import dayjs from 'dayjs'
+import { PRIORITIES } from './priority'
+import { formatSecondsOfDay, parseTimeToSeconds } from './time'
+
+/**
+ * Natural-language quick-add parser.
+ *
+ *   "Read paper tomorrow 14:00-15:30 #academics !high @teamName"
+ *
+ * Recognized tokens (anywhere in the line, case-insensitive):
+ *  - date: today | tomorrow | tmr | yesterday | in N days | YYYY-MM-DD
+ *          | mon..sun / monday..sunday (next one, today included) — only after "on" / "next"
+ *            ("next" skips today) or at the end of the line (only #/@/! or times after it), so
+ *            "Call Sam about wed plans" keeps its words
+ *  - time: 14:00-15:30 | 14-15 | 2pm-3:30pm | 9am | 14:00 (single start = 1 hour, or use a duration)
+ *  - duration: for 45m | 1h | 1h30m (sets the end from the start; "for 45m" alone starts now)
+ *  - #tag (repeatable), !priority (!low, !normal, !high, !urgent; !! = high, !!! = urgent), @team
+ * Everything else is the title.
+ *
+ * Returns { title, date, time_from, time_to, tagNames, priority, teamName } — fields that
+ * were not given are null (tagNames: []), so callers can apply their own defaults.
+ */
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday']
+
+// "14", "14:30", "2pm", "2:30pm" -> seconds of day, or null
+function parseClock(str) {
+  const m = /^(\d{1,2})(?::(\d{2}))?\s*(am|pm)?$/i.exec(str || '')
+  if (!m) return null
+  let h = Number(m[1])
+  const min = Number(m[2] || 0)
+  const ampm = (m[3] || '').toLowerCase()
+  if (ampm === 'pm' && h < 12) h += 12
+  if (ampm === 'am' && h === 12) h = 0
+  if (h > 23 || min > 59) return null
+  return h * 3600 + min * 60
+}
+
+// "45m", "1h", "1h30m", "90min" -> seconds, or null
+function parseDuration(str) {
+  const m = /^(?:(\d+)h)?(?:(\d+)m(?:in)?)?$/i.exec(str || '')
+  if (!m || (!m[1] && !m[2])) return null
+  return Number(m[1] || 0) * 3600 + Number(m[2] || 0) * 60
+}
+
+function parseDateWord(word, now) {
+  const w = word.toLowerCase()
+  if (w === 'today') return now.format('YYYY-MM-DD')
+  if (w === 'tomorrow' || w === 'tmr') return now.add(1, 'day').format('YYYY-MM-DD')
+  if (w === 'yesterday') return now.subtract(1, 'day').format('YYYY-MM-DD')
+  if (/^\d{4}-\d{2}-\d{2}$/.test(w) && dayjs(w).isValid()) return w
+  return null
+}
+
+function parseWeekday(word, now, skipToday = false) {
+  const w = (word || '').toLowerCase()
+  const idx = WEEKDAYS.findIndex((d) => d === w || d.slice(0, 3) === w)
+  if (idx === -1) return null
+  const ahead = (idx - now.day() + 7) % 7 || (skipToday ? 7 : 0)
+  return now.add(ahead, 'day').format('YYYY-MM-DD')
+}
+
+// tags, priority, team and times/dates/durations: what may follow a trailing weekday
+function isMarkerToken(tok) {
+  return /^[#@!]/.test(tok) || /\d/.test(tok)
+}
+
+export function parseQuickAdd(text, now = dayjs()) {
+  const result = { title: '', date: null, time_from: null, time_to: null, tagNames: [], priority: null, teamName: null }
+  const tokens = (text || '').trim().split(/\s+/).filter(Boolean)
+  const titleWords = []
+  let duration = null
+
+  for (let i = 0; i < tokens.length; i++) {
+    const tok = tokens[i]
+    const lower = tok.toLowerCase()
+
+    if (tok.length > 1 && tok[0] === '#') {
+      result.tagNames.push(tok.slice(1))
+      continue
+    }
+    if (tok.length > 1 && tok[0] === '@') {
+      result.teamName = tok.slice(1)
+      continue
+    }
+    if (tok[0] === '!') {
+      const p = lower.slice(1)
+      if (PRIORITIES.some((x) => x.value === p)) {
+        result.priority = p
+        continue
+      }
+      if (/^!{2,3}$/.test(tok)) {
+        result.priority = tok.length === 3 ? 'urgent' : 'high'
+        continue
+      }
+    }
+    if (lower === 'in' && /^\d+$/.test(tokens[i + 1] || '') && /^days?$/i.test(tokens[i + 2] || '')) {
+      result.date = now.add(Number(tokens[i + 1]), 'day').format('YYYY-MM-DD')
+      i += 2
+      continue
+    }
+    if (!result.date) {
+      const d = parseDateWord(tok, now)
+      if (d) {
+        result.date = d
+        continue
+      }
+      if ((lower === 'on' || lower === 'next') && parseWeekday(tokens[i + 1], now)) {
+        result.date = parseWeekday(tokens[i + 1], now, lower === 'next')
+        i += 1
+        continue
+      }
+      if (parseWeekday(tok, now) && tokens.slice(i + 1).every(isMarkerToken)) {
+        result.date = parseWeekday(tok, now)
+        continue
+      }
+    }
+    if (lower === 'for' && parseDuration(tokens[i + 1])) {
+      duration = parseDuration(tokens[i + 1])
+      i += 1
+      continue
+    }
+    if (!result.time_from) {
+      const range = /^(.+?)-(.+)$/.exec(lower)
+      // "1-2" alone is too ambiguous ("chapters 1-2"): need ':' / am / pm or a two-digit start
+      const looksLikeTime = range && (/[:]|am|pm/.test(lower) || /^\d{2}$/.test(range[1]))
+      if (looksLikeTime && parseClock(range[1]) != null && parseClock(range[2]) != null) {
+        let from = parseClock(range[1])
+        const to = parseClock(range[2])
+        // "2-3pm": the start inherits the end's pm
+        if (/pm$/.test(range[2]) && !/(am|pm)$/.test(range[1]) && from < 12 * 3600 && from + 12 * 3600 < to) from += 12 * 3600
+        result.time_from = formatSecondsOfDay(from)
+        result.time_to = formatSecondsOfDay(to)
+        continue
+      }
+      // a lone number is only a time with ':' or am/pm, so "Read 3 papers" stays a title
+      if (/[:]|am$|pm$/.test(lower) && parseClock(lower) != null) {
+        result.time_from = formatSecondsOfDay(parseClock(lower))
+        continue
+      }
+    }
+    if (result.time_from && !duration && parseDuration(lower)) {
+      duration = parseDuration(lower)
+      continue
+    }
+    titleWords.push(tok)
+  }
+
+  if (duration && !result.time_from) result.time_from = now.format('HH:mm')
+  if (result.time_from && !result.time_to) {
+    result.time_to = formatSecondsOfDay(parseTimeToSeconds(result.time_from) + (duration || 3600))
+  }
+  result.title = titleWords.join(' ')
+  return result
+}
@@ -0,0 +1,114 @@
+// src/utils/recurrence.js
+import dayjs from 'dayjs'
+
+/**
+ * Recurrence helpers for task_series rows.
+ *
+ * A series carries its rule inline:
+ *  { freq, interval_days, weekdays, start_date, end_date, occurrence_count, skip_dates }
+ *
+ * freq: 'daily' | 'weekdays' | 'weekly' | 'monthly' | 'interval'
+ * weekdays: array of day numbers (0 = Sunday ... 6 = Saturday), used by 'weekly'
+ * interval_days: N for 'interval' (every N days counted from start_date)
+ * end_date / occurrence_count: optional limits (whichever is hit first)
+ * skip_dates: 'YYYY-MM-DD' dates removed from the series
+ */
+
+export const REPEAT_OPTIONS = [
+  { value: '', label: 'Does not repeat' },
+  { value: 'daily', label: 'Daily' },
+  { value: 'weekdays', label: 'Weekdays (Mon–Fri)' },
+  { value: 'weekly', label: 'Weekly on…' },
+  { value: 'monthly', label: 'Monthly' },
+  { value: 'interval', label: 'Every N days' }
+]
+
+export const WEEKDAY_LABELS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat']
+
+/**
+ * Does the rule match this day, ignoring end_date / occurrence_count / skip_dates?
+ */
+export function matchesRule(series, day) {
+  const d = dayjs(day)
+  const start = dayjs(series.start_date)
+  if (d.isBefore(start, 'day')) return false
+  switch (series.freq) {
+    case 'daily':
+      return true
+    case 'weekdays':
+      return d.day() >= 1 && d.day() <= 5
+    case 'weekly': {
+      const days = series.weekdays && series.weekdays.length ? series.weekdays : [start.day()]
+      return days.includes(d.day())
+    }
+    case 'monthly': {
+      // clamp e.g. "31st" to the last day of shorter months
+      const target = Math.min(start.date(), d.daysInMonth())
+      return d.date() === target
+    }
+    case 'interval': {
+      const n = Math.max(1, Number(series.interval_days) || 1)
+      return d.diff(start, 'day') % n === 0
+    }
+    default:
+      return false
+  }
+}
+
+/**
+ * List occurrence dates ('YYYY-MM-DD') of a series between from and to (inclusive).
+ * Walks from start_date so occurrence_count is honoured; skipped dates still count
+ * towards the limit (skipping a day does not push the series end further out).
+ */
+export function listOccurrences(series, from, to) {
+  if (!series || !series.freq || !series.start_date) return []
+  const out = []
+  const skip = new Set(series.skip_dates || [])
+  const limit = series.occurrence_count ? Number(series.occurrence_count) : null
+  let last = dayjs(to)
+  if (series.end_date && dayjs(series.end_date).isBefore(last, 'day')) last = dayjs(series.end_date)
+
+  let seen = 0
+  for (let d = dayjs(series.start_date); !d.isAfter(last, 'day'); d = d.add(1, 'day')) {
+    if (!matchesRule(series, d)) continue
+    seen += 1
+    if (limit && seen > limit) break
+    const ds = d.format('YYYY-MM-DD')
+    if (!d.isBefore(dayjs(from), 'day') && !skip.has(ds)) out.push(ds)
+  }
+  return out
+}
+
+export function occursOn(series, dateStr) {
+  return listOccurrences(series, dateStr, dateStr).length > 0
+}
+
+/**
+ * Short human description, e.g. "Weekly on Mon, Wed · until 2025-06-30"
+ */
+export function describeRule(series) {
+  if (!series || !series.freq) return ''
+  let text
+  switch (series.freq) {
+    case 'daily':
+      text = 'Daily'
+      break
+    case 'weekdays':
+      text = 'Weekdays'
+      break
+    case 'weekly':
+      text = `Weekly on ${(series.weekdays || []).map((n) => WEEKDAY_LABELS[n]).join(', ') || '—'}`
+      break
+    case 'monthly':
+      text = `Monthly on day ${dayjs(series.start_date).date()}`
+      break
+    case 'interval':
+      text = `Every ${series.interval_days || 1} days`
+      break
+    default:
+      text = series.freq
+  }
+  if (series.end_date) text += ` · until ${series.end_date}`
+  if (series.occurrence_count) text += ` · ${series.occurrence_count} times`
+  return text
+}
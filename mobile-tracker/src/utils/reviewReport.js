@@ -0,0 +1,180 @@
+// src/utils/reviewReport.js
+import dayjs from 'dayjs'
+import { entrySeconds } from '../api/trackingService'
+import { durationHuman } from './time'
+
+/**
+ * Weekly review report: one model (buildReview) rendered in-app by ReviewPage and exported by
+ * reviewToMarkdown / reviewToHtml (self-contained: inline styles, no external assets).
+ *
+ * review = {
+ *   from, to, planned, completed, completionRate (0..100 | null), trackedSeconds,
+ *   days: [{ date, planned, completed, seconds, avgFocus }],
+ *   topDays: up to 3 days with the most tracked time (avgFocus = mean 1–5 rating, null if unrated),
+ *   hoursByTag: [{ name, seconds }], completedTasks / overdue: [{ title, date, deadline_at? }],
+ *   diary: [{ date, excerpt }]
+ * }
+ */
+
+const EXCERPT_LENGTH = 240
+
+export function excerpt(text, length = EXCERPT_LENGTH) {
+  const flat = (text || '').replace(/\s+/g, ' ').trim()
+  return flat.length > length ? `${flat.slice(0, length - 1).trimEnd()}…` : flat
+}
+
+export function buildReview({ from, to, tasks, entries, tagSeconds, tagsById, overdue, diaries }) {
+  const days = []
+  for (let d = dayjs(from); !d.isAfter(dayjs(to), 'day'); d = d.add(1, 'day')) {
+    days.push({ date: d.format('YYYY-MM-DD'), planned: 0, completed: 0, seconds: 0, ratings: [] })
+  }
+  const byDate = Object.fromEntries(days.map((d) => [d.date, d]))
+  ;(tasks || []).forEach((t) => {
+    const day = byDate[t.date]
+    if (!day) return
+    day.planned += 1
+    if (t.status === 'completed') day.completed += 1
+  })
+  ;(entries || []).forEach((e) => {
+    const day = byDate[dayjs(e.start_at).format('YYYY-MM-DD')]
+    if (!day) return
+    day.seconds += entrySeconds(e)
+    if (e.focus_rating) day.ratings.push(e.focus_rating)
+  })
+  const finalDays = days.map(({ ratings, ...d }) => ({
+    ...d,
+    avgFocus: ratings.length ? Math.round((ratings.reduce((a, b) => a + b, 0) / ratings.length) * 10) / 10 : null
+  }))
+
+  const planned = finalDays.reduce((sum, d) => sum + d.planned, 0)
+  const completed = finalDays.reduce((sum, d) => sum + d.completed, 0)
+  return {
+    from,
+    to,
+    planned,
+    completed,
+    completionRate: planned ? Math.round((completed / planned) * 100) : null,
+    trackedSeconds: finalDays.reduce((sum, d) => sum + d.seconds, 0),
+    days: finalDays,
+    topDays: finalDays
+      .filter((d) => d.seconds > 0)
+      .sort((a, b) => b.seconds - a.seconds || (b.avgFocus || 0) - (a.avgFocus || 0))
+      .slice(0, 3),
+    hoursByTag: (tagSeconds || []).map((r) => ({
+      name: r.tagId ? `#${(tagsById[r.tagId] || {}).name || 'deleted'}` : 'untagged',
+      seconds: r.seconds
+    })),
+    completedTasks: (tasks || []).filter((t) => t.status === 'completed').map(({ title, date }) => ({ title, date })),
+    overdue: (overdue || []).map(({ title, date, deadline_at }) => ({ title, date, deadline_at })),
+    diary: (diaries || []).filter((d) => (d.content || '').trim()).map((d) => ({ date: d.diary_date, excerpt: excerpt(d.content) }))
+  }
+}
+
+function dayName(date) {
+  return dayjs(date).format('ddd MMM D')
+}
+
+function focusLabel(avgFocus) {
+  return avgFocus == null ? '' : ` • focus ${avgFocus}/5`
+}
+
+function overdueLabel(t) {
+  const due = t.deadline_at ? `due ${dayjs(t.deadline_at).format('MMM D HH:mm')}` : `scheduled ${dayName(t.date)}`
+  return `${t.title} (${due})`
+}
+
+export function reviewTitle(review) {
+  return `Review ${dayjs(review.from).format('MMM D')} – ${dayjs(review.to).format('MMM D, YYYY')}`
+}
+
+export function reviewToMarkdown(review) {
+  const lines = [`# ${reviewTitle(review)}`, '']
+  lines.push('## Tasks')
+  lines.push(`- Planned: ${review.planned}`)
+  lines.push(`- Completed: ${review.completed}${review.completionRate == null ? '' : ` (${review.completionRate}%)`}`)
+  lines.push(`- Tracked: ${durationHuman(review.trackedSeconds)}`)
+  lines.push('')
+  lines.push('| Day | Planned | Completed | Tracked | Focus |')
+  lines.push('| --- | ---: | ---: | ---: | ---: |')
+  review.days.forEach((d) => {
+    lines.push(`| ${dayName(d.date)} | ${d.planned} | ${d.completed} | ${durationHuman(d.seconds)} | ${d.avgFocus == null ? '—' : d.avgFocus} |`)
+  })
+  lines.push('')
+
+  lines.push('## Hours per category')
+  if (!review.hoursByTag.length) lines.push('_Nothing tracked._')
+  review.hoursByTag.forEach((r) => lines.push(`- ${r.name}: ${durationHuman(r.seconds)}`))
+  lines.push('')
+
+  lines.push('## Top focus days')
+  if (!review.topDays.length) lines.push('_Nothing tracked._')
+  review.topDays.forEach((d, i) => lines.push(`${i + 1}. ${dayName(d.date)} — ${durationHuman(d.seconds)}${focusLabel(d.avgFocus)}`))
+  lines.push('')
+
+  lines.push('## Completed')
+  if (!review.completedTasks.length) lines.push('_None._')
+  review.completedTasks.forEach((t) => lines.push(`- [x] ${t.title} (${dayName(t.date)})`))
+  lines.push('')
+
+  lines.push('## Overdue')
+  if (!review.overdue.length) lines.push('_Nothing overdue._')
+  review.overdue.forEach((t) => lines.push(`- [ ] ${overdueLabel(t)}`))
+  lines.push('')
+
+  lines.push('## Diary')
+  if (!review.diary.length) lines.push('_No diary entries._')
+  review.diary.forEach((d) => lines.push(`- **${dayName(d.date)}**: ${d.excerpt}`))
+  lines.push('')
+  return lines.join('\n')
+}
+
+function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c])
+}
+
+function htmlList(items, empty, render, tag = 'ul') {
+  if (!items.length) return `<p class="muted">${empty}</p>`
+  return `<${tag}>${items.map((it, i) => `<li>${render(it, i)}</li>`).join('')}</${tag}>`
+}
+
+export function reviewToHtml(review) {
+  const title = escapeHtml(reviewTitle(review))
+  const rows = review.days
+    .map((d) => `<tr><td>${dayName(d.date)}</td><td>${d.planned}</td><td>${d.completed}</td><td>${durationHuman(d.seconds)}</td><td>${d.avgFocus == null ? '—' : d.avgFocus}</td></tr>`)
+    .join('')
+  return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${title}</title>
+<style>
+  body { font-family: system-ui, sans-serif; max-width: 720px; margin: 2rem auto; padding: 0 1rem; color: #0f172a; }
+  h1 { font-size: 1.5rem; } h2 { font-size: 1.1rem; margin-top: 1.5rem; border-bottom: 1px solid #e2e8f0; }
+  table { border-collapse: collapse; width: 100%; font-size: 0.9rem; }
+  th, td { padding: 0.25rem 0.5rem; border-bottom: 1px solid #f1f5f9; text-align: right; }
+  th:first-child, td:first-child { text-align: left; }
+  .muted { color: #64748b; }
+</style>
+</head>
+<body>
+<h1>${title}</h1>
+<h2>Tasks</h2>
+<p>Planned <strong>${review.planned}</strong> • completed <strong>${review.completed}</strong>${
+    review.completionRate == null ? '' : ` (${review.completionRate}%)`
+  } • tracked <strong>${durationHuman(review.trackedSeconds)}</strong></p>
+<table><thead><tr><th>Day</th><th>Planned</th><th>Completed</th><th>Tracked</th><th>Focus</th></tr></thead><tbody>${rows}</tbody></table>
+<h2>Hours per category</h2>
+${htmlList(review.hoursByTag, 'Nothing tracked.', (r) => `${escapeHtml(r.name)}: ${durationHuman(r.seconds)}`)}
+<h2>Top focus days</h2>
+${htmlList(review.topDays, 'Nothing tracked.', (d) => `${dayName(d.date)} — ${durationHuman(d.seconds)}${focusLabel(d.avgFocus)}`, 'ol')}
+<h2>Completed</h2>
+${htmlList(review.completedTasks, 'None.', (t) => `${escapeHtml(t.title)} <span class="muted">(${dayName(t.date)})</span>`)}
+<h2>Overdue</h2>
+${htmlList(review.overdue, 'Nothing overdue.', (t) => escapeHtml(overdueLabel(t)))}
+<h2>Diary</h2>
+${htmlList(review.diary, 'No diary entries.', (d) => `<strong>${dayName(d.date)}</strong>: ${escapeHtml(d.excerpt)}`)}
+</body>
+</html>
+`
+}
@@ -0,0 +1,42 @@
+// src/utils/settings.js
+
+import { DEFAULT_POMODORO } from './pomodoro'
+
+/**
+ * Per-user preferences kept in localStorage under `dltr_settings_${userId}`.
+ * Unknown / missing keys fall back to DEFAULT_SETTINGS.
+ */
+
+export const DEFAULT_SETTINGS = {
+  autoRollover: false, // move unfinished tasks from previous days to today on Dashboard open
+  timerSwitch: 'ask', // starting a timer while another task's runs: 'ask' first or 'auto'-stop it
+  forgottenTimerHours: 3, // a timer running longer than this (or past midnight) is questioned on app open
+  notifications: false, // system notification when a countdown / Pomodoro phase ends (needs permission)
+  sound: true, // chime when a countdown / Pomodoro phase ends
+  idleGapMinutes: 10, // TimerOverlay asks about hidden / asleep gaps longer than this while a timer runs
+  pomodoro: DEFAULT_POMODORO // work / break lengths for TimerOverlay's Pomodoro mode
+}
+
+function storageKey(userId) {
+  return `dltr_settings_${userId || 'anon'}`
+}
+
+export function getSettings(userId) {
+  try {
+    const raw = localStorage.getItem(storageKey(userId))
+    const saved = raw ? JSON.parse(raw) : {}
+    return { ...DEFAULT_SETTINGS, ...saved, pomodoro: { ...DEFAULT_POMODORO, ...(saved.pomodoro || {}) } }
+  } catch {
+    return { ...DEFAULT_SETTINGS }
+  }
+}
+
+export function saveSettings(userId, patch) {
+  const next = { ...getSettings(userId), ...patch }
+  try {
+    localStorage.setItem(storageKey(userId), JSON.stringify(next))
+  } catch (e) {
+    console.warn('saveSettings failed', e)
+  }
+  return next
+}
@@ -0,0 +1,52 @@
+// src/utils/stats.js
+import dayjs from 'dayjs'
+
+/**
+ * Date ranges for the ProfilePage statistics.
+ *
+ * A range is { from, to } ('YYYY-MM-DD', both inclusive). The chart bucket follows the range
+ * length unless picked explicitly: up to 31 days per day, up to ~6 months per week, else per month.
+ * Weeks run Monday–Sunday, like date_trunc('week') in the stats_* database functions.
+ */
+
+export const RANGE_PRESETS = [
+  { id: '7d', label: '7 days' },
+  { id: '30d', label: '30 days' },
+  { id: '90d', label: '90 days' },
+  { id: 'year', label: '12 months' },
+  { id: 'custom', label: 'Custom' }
+]
+
+export function presetRange(id, today = dayjs()) {
+  const to = today.format('YYYY-MM-DD')
+  if (id === '7d') return { from: today.subtract(6, 'day').format('YYYY-MM-DD'), to }
+  if (id === '90d') return { from: today.subtract(89, 'day').format('YYYY-MM-DD'), to }
+  if (id === 'year') return { from: today.subtract(11, 'month').startOf('month').format('YYYY-MM-DD'), to }
+  return { from: today.subtract(29, 'day').format('YYYY-MM-DD'), to }
+}
+
+export function weekRange(date = dayjs()) {
+  const d = dayjs(date)
+  const monday = d.subtract((d.day() + 6) % 7, 'day')
+  return { from: monday.format('YYYY-MM-DD'), to: monday.add(6, 'day').format('YYYY-MM-DD') }
+}
+
+export function autoBucket({ from, to }) {
+  const days = dayjs(to).diff(dayjs(from), 'day') + 1
+  if (days <= 31) return 'day'
+  if (days <= 190) return 'week'
+  return 'month'
+}
+
+export function bucketLabel(bucket, kind) {
+  const d = dayjs(bucket)
+  if (kind === 'month') return d.format('MMM YYYY')
+  if (kind === 'week') return `Week of ${d.format('MMM D')}`
+  return d.format('ddd MMM D')
+}
+
+// 5400 -> "1.5h", 1200 -> "20m"
+export function compactHours(seconds) {
+  if (seconds >= 3600) return `${Math.round((seconds / 3600) * 10) / 10}h`
+  return `${Math.round(seconds / 60)}m`
+}
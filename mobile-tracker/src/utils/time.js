@@ -25,4 +25,14 @@ export function toISODateString(date) {
     if (m) return `${m}m ${s}s`
     return `${s}s`
   }
-  
\ No newline at end of file
+  
+  /**
+   * Inverse of parseTimeToSeconds: seconds-of-day -> "HH:MM" (clamped to 00:00..24:00; 24:00 is the
+   * exclusive end of the day, so an end time can reach midnight)
+   */
+  export function formatSecondsOfDay(sec) {
+    const s = Math.max(0, Math.min(24 * 3600, Math.round(sec || 0)))
+    const h = Math.floor(s / 3600)
+    const m = Math.floor((s % 3600) / 60)
+    return `${String(h).padStart(2, '0')}:${String(m).padStart(2, '0')}`
+  }
@@ -0,0 +1,44 @@
+// src/utils/timeEntries.js
+import dayjs from 'dayjs'
+
+/**
+ * Validation for edited / manual time_entries segments.
+ *
+ * A segment is { id?, start_at, end_at } (end_at null = running, i.e. it ends "now").
+ * validateSegment returns an error message, or null when the segment is fine:
+ *  - start and end must be valid, end strictly after start, neither in the future
+ *  - it must not overlap any other segment of the same task
+ */
+
+function rangeOf(entry, now) {
+  const start = new Date(entry.start_at).getTime()
+  const end = entry.end_at ? new Date(entry.end_at).getTime() : now
+  return { start, end }
+}
+
+export function validateSegment(segment, others, now = Date.now()) {
+  const { start, end } = rangeOf(segment, now)
+  if (!segment.start_at || Number.isNaN(start)) return 'Start time is missing or invalid'
+  if (segment.end_at && Number.isNaN(end)) return 'End time is invalid'
+  if (start > now || end > now) return 'Segments cannot be in the future'
+  if (end <= start) return 'End must be after start'
+
+  const clash = (others || []).find((o) => {
+    if (segment.id && o.id === segment.id) return false
+    const r = rangeOf(o, now)
+    return start < r.end && r.start < end
+  })
+  if (clash) {
+    return `Overlaps the segment ${dayjs(clash.start_at).format('MMM D HH:mm')} – ${clash.end_at ? dayjs(clash.end_at).format('HH:mm') : 'running'}`
+  }
+  return null
+}
+
+// ISO <-> value of <input type="datetime-local" step="1">
+export function toInputValue(iso) {
+  return iso ? dayjs(iso).format('YYYY-MM-DDTHH:mm:ss') : ''
+}
+
+export function fromInputValue(value) {
+  return value && dayjs(value).isValid() ? dayjs(value).toISOString() : null
+}
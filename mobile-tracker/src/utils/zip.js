@@ -0,0 +1,89 @@
+// src/utils/zip.js
+
+/**
+ * Minimal ZIP writer (stored, no compression) for bundling generated text files, e.g. the CSV
+ * export. createZip([{ name, content }]) -> Uint8Array; content is a string (UTF-8) or Uint8Array.
+ */
+
+let crcTable = null
+
+function crc32(bytes) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256)
+    for (let n = 0; n < 256; n++) {
+      let c = n
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1
+      crcTable[n] = c >>> 0
+    }
+  }
+  let crc = 0xffffffff
+  for (let i = 0; i < bytes.length; i++) crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8)
+  return (crc ^ 0xffffffff) >>> 0
+}
+
+function dosDateTime(date) {
+  const time = (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2)
+  const day = ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+  return { time, day }
+}
+
+export function createZip(files, date = new Date()) {
+  const encoder = new TextEncoder()
+  const { time, day } = dosDateTime(date)
+  const locals = []
+  const centrals = []
+  let offset = 0
+
+  files.forEach(({ name, content }) => {
+    const nameBytes = encoder.encode(name)
+    const data = typeof content === 'string' ? encoder.encode(content) : content
+    const crc = crc32(data)
+
+    const local = new DataView(new ArrayBuffer(30))
+    local.setUint32(0, 0x04034b50, true)
+    local.setUint16(4, 20, true) // version needed
+    local.setUint16(6, 0x0800, true) // UTF-8 names
+    local.setUint16(8, 0, true) // stored
+    local.setUint16(10, time, true)
+    local.setUint16(12, day, true)
+    local.setUint32(14, crc, true)
+    local.setUint32(18, data.length, true)
+    local.setUint32(22, data.length, true)
+    local.setUint16(26, nameBytes.length, true)
+    locals.push(new Uint8Array(local.buffer), nameBytes, data)
+
+    const central = new DataView(new ArrayBuffer(46))
+    central.setUint32(0, 0x02014b50, true)
+    central.setUint16(4, 20, true) // version made by
+    central.setUint16(6, 20, true)
+    central.setUint16(8, 0x0800, true)
+    central.setUint16(10, 0, true)
+    central.setUint16(12, time, true)
+    central.setUint16(14, day, true)
+    central.setUint32(16, crc, true)
+    central.setUint32(20, data.length, true)
+    central.setUint32(24, data.length, true)
+    central.setUint16(28, nameBytes.length, true)
+    central.setUint32(42, offset, true)
+    centrals.push(new Uint8Array(central.buffer), nameBytes)
+
+    offset += 30 + nameBytes.length + data.length
+  })
+
+  const centralSize = centrals.reduce((sum, part) => sum + part.length, 0)
+  const end = new DataView(new ArrayBuffer(22))
+  end.setUint32(0, 0x06054b50, true)
+  end.setUint16(8, files.length, true)
+  end.setUint16(10, files.length, true)
+  end.setUint32(12, centralSize, true)
+  end.setUint32(16, offset, true)
+
+  const parts = [...locals, ...centrals, new Uint8Array(end.buffer)]
+  const out = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0))
+  let pos = 0
+  parts.forEach((part) => {
+    out.set(part, pos)
+    pos += part.length
+  })
+  return out
+}
@@ -0,0 +1,313 @@
+-- supabase-schema.sql
+-- Schema additions on top of the base tables (app_users, sessions, teams, team_members,
+-- tasks, time_entries, diaries). Each block is safe to re-run.
+
+-- Recurring tasks -----------------------------------------------------------
+-- A series holds the task template plus its repeat rule; occurrences are normal
+-- tasks rows linked through series_id / series_date (see src/api/recurrenceService.js).
+create table if not exists task_series (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references app_users(id) on delete cascade,
+  team_id uuid references teams(id) on delete set null,
+  title text not null default 'Untitled',
+  description text,
+  category text,
+  time_from text,
+  time_to text,
+  estimated_duration_seconds integer,
+  freq text not null check (freq in ('daily', 'weekdays', 'weekly', 'monthly', 'interval')),
+  interval_days integer check (interval_days is null or interval_days > 0),
+  weekdays smallint[],
+  start_date date not null,
+  end_date date,
+  occurrence_count integer check (occurrence_count is null or occurrence_count > 0),
+  skip_dates date[] not null default '{}',
+  created_at timestamptz not null default now()
+);
+create index if not exists task_series_user_idx on task_series (user_id);
+
+alter table tasks add column if not exists series_id uuid references task_series(id) on delete set null;
+alter table tasks add column if not exists series_date date;
+-- one row per generated date; NULL series_id rows (one-off tasks) are unaffected
+create unique index if not exists tasks_series_occurrence_uidx on tasks (series_id, series_date);
+
+-- Subtasks / checklists -------------------------------------------------------
+-- Ordered array of { id, text, done }; progress_from_checklist switches the TaskCard
+-- progress bar from tracked time to checklist completion.
+alter table tasks add column if not exists checklist jsonb default '[]'::jsonb;
+alter table tasks add column if not exists progress_from_checklist boolean not null default false;
+alter table task_series add column if not exists checklist jsonb default '[]'::jsonb;
+alter table task_series add column if not exists progress_from_checklist boolean not null default false;
+
+-- Priority and deadlines --------------------------------------------------------
+-- deadline_at is when the work is due, independent of the scheduled date / time_from.
+alter table tasks add column if not exists priority text not null default 'normal'
+  check (priority in ('low', 'normal', 'high', 'urgent'));
+alter table tasks add column if not exists deadline_at timestamptz;
+create index if not exists tasks_user_deadline_idx on tasks (user_id, deadline_at) where deadline_at is not null;
+alter table task_series add column if not exists priority text not null default 'normal'
+  check (priority in ('low', 'normal', 'high', 'urgent'));
+
+-- Tags (replace the free-text category) ---------------------------------------
+-- Names are stored normalized (lower-case, '-' for spaces) by src/api/tagService.js.
+create table if not exists tags (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references app_users(id) on delete cascade,
+  name text not null,
+  color text,
+  created_at timestamptz not null default now(),
+  unique (user_id, name)
+);
+
+alter table tasks add column if not exists tag_ids uuid[] not null default '{}';
+alter table task_series add column if not exists tag_ids uuid[] not null default '{}';
+create index if not exists tasks_tag_ids_idx on tasks using gin (tag_ids);
+
+-- one-time backfill: every distinct category becomes a tag of the task owner
+insert into tags (user_id, name)
+select distinct user_id, regexp_replace(lower(trim(category)), '\s+', '-', 'g')
+from tasks
+where coalesce(trim(category), '') <> ''
+on conflict (user_id, name) do nothing;
+
+update tasks t
+set tag_ids = array[g.id]
+from tags g
+where g.user_id = t.user_id
+  and g.name = regexp_replace(lower(trim(t.category)), '\s+', '-', 'g')
+  and t.tag_ids = '{}';
+
+insert into tags (user_id, name)
+select distinct user_id, regexp_replace(lower(trim(category)), '\s+', '-', 'g')
+from task_series
+where coalesce(trim(category), '') <> ''
+on conflict (user_id, name) do nothing;
+
+update task_series s
+set tag_ids = array[g.id]
+from tags g
+where g.user_id = s.user_id
+  and g.name = regexp_replace(lower(trim(s.category)), '\s+', '-', 'g')
+  and s.tag_ids = '{}';
+-- tasks.category / task_series.category are no longer written by the app; drop them once migrated.
+
+-- Day templates -----------------------------------------------------------------
+-- tasks: jsonb array of task snapshots (see TEMPLATE_TASK_FIELDS in src/api/templateService.js)
+create table if not exists day_templates (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references app_users(id) on delete cascade,
+  name text not null,
+  tasks jsonb not null default '[]'::jsonb,
+  created_at timestamptz not null default now()
+);
+create index if not exists day_templates_user_idx on day_templates (user_id);
+
+-- Pomodoro ----------------------------------------------------------------------
+-- pomodoro = true marks a time entry that completed a full focus interval.
+alter table time_entries add column if not exists pomodoro boolean not null default false;
+
+-- breaks are kept out of time_entries so they never count toward a task
+create table if not exists pomodoro_breaks (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references app_users(id) on delete cascade,
+  task_id uuid references tasks(id) on delete set null,
+  kind text not null check (kind in ('short_break', 'long_break')),
+  start_at timestamptz not null default now(),
+  end_at timestamptz,
+  duration_seconds integer
+);
+create index if not exists pomodoro_breaks_user_start_idx on pomodoro_breaks (user_id, start_at);
+
+-- Time entry notes --------------------------------------------------------------
+-- short work-log note and 1-5 focus rating, set when stopping a timer or in the session log
+alter table time_entries add column if not exists note text;
+alter table time_entries add column if not exists focus_rating smallint check (focus_rating between 1 and 5);
+
+-- Realtime ----------------------------------------------------------------------
+-- src/api/realtimeService.js listens to these tables; full replica identity so deletes carry the
+-- old row (needed for the user_id / task_id filters).
+alter table tasks replica identity full;
+alter table time_entries replica identity full;
+alter table diaries replica identity full;
+do $$
+declare t text;
+begin
+  foreach t in array array['tasks', 'time_entries', 'diaries'] loop
+    if not exists (select 1 from pg_publication_tables where pubname = 'supabase_realtime' and tablename = t) then
+      execute format('alter publication supabase_realtime add table %I', t);
+    end if;
+  end loop;
+end $$;
+
+-- Ad-hoc tracking ---------------------------------------------------------------
+-- "Track now" entries start without a task: they belong to user_id and get a label / tags,
+-- or are attached to a task (task_id set) when stopped.
+alter table time_entries alter column task_id drop not null;
+alter table time_entries add column if not exists user_id uuid references app_users(id) on delete cascade;
+alter table time_entries add column if not exists label text;
+alter table time_entries add column if not exists tag_ids uuid[] not null default '{}';
+alter table time_entries drop constraint if exists time_entries_owner_chk;
+alter table time_entries add constraint time_entries_owner_chk check (task_id is not null or user_id is not null);
+create index if not exists time_entries_adhoc_idx on time_entries (user_id, start_at) where task_id is null;
+
+-- Statistics --------------------------------------------------------------------
+-- Aggregates behind the ProfilePage statistics (src/api/statsService.js), called through rpc so
+-- only the summed rows reach the client. p_from / p_to are inclusive local dates, p_tz the
+-- caller's IANA time zone, p_bucket 'day' | 'week' | 'month'. Running entries count up to now().
+
+-- every entry of the user (task or "track now") started in [p_from, p_to), with its tags / team
+create or replace function stats_entries(p_user uuid, p_from timestamptz, p_to timestamptz)
+returns table (start_at timestamptz, seconds integer, tag_ids uuid[], team_id uuid)
+language sql stable as $$
+  select e.start_at,
+         coalesce(e.duration_seconds, extract(epoch from coalesce(e.end_at, now()) - e.start_at)::integer),
+         coalesce(t.tag_ids, e.tag_ids, '{}'),
+         t.team_id
+  from time_entries e
+  left join tasks t on t.id = e.task_id
+  where (t.user_id = p_user or (e.task_id is null and e.user_id = p_user))
+    and e.start_at >= p_from
+    and e.start_at < p_to
+$$;
+
+-- tracked seconds and number of sessions per bucket (empty buckets included)
+create or replace function stats_tracked_series(p_user uuid, p_from date, p_to date, p_tz text, p_bucket text)
+returns table (bucket date, seconds bigint, sessions bigint)
+language sql stable as $$
+  with buckets as (
+    select generate_series(date_trunc(p_bucket, p_from::timestamp), p_to::timestamp, ('1 ' || p_bucket)::interval)::date as bucket
+  )
+  select b.bucket, coalesce(sum(s.seconds), 0)::bigint, count(s.start_at)
+  from buckets b
+  left join stats_entries(p_user, p_from::timestamp at time zone p_tz, (p_to + 1)::timestamp at time zone p_tz) s
+    on date_trunc(p_bucket, s.start_at at time zone p_tz)::date = b.bucket
+  group by b.bucket
+  order by b.bucket
+$$;
+
+-- tracked seconds per tag (tag_id null = untagged); an entry with several tags counts for each
+create or replace function stats_tracked_by_tag(p_user uuid, p_from date, p_to date, p_tz text)
+returns table (tag_id uuid, seconds bigint)
+language sql stable as $$
+  select tag.id, sum(s.seconds)::bigint
+  from stats_entries(p_user, p_from::timestamp at time zone p_tz, (p_to + 1)::timestamp at time zone p_tz) s
+  left join lateral unnest(s.tag_ids) as tag(id) on true
+  group by tag.id
+  order by 2 desc
+$$;
+
+-- tracked seconds per team (team_id null = personal)
+create or replace function stats_tracked_by_team(p_user uuid, p_from date, p_to date, p_tz text)
+returns table (team_id uuid, team_name text, seconds bigint)
+language sql stable as $$
+  select s.team_id, tm.name, sum(s.seconds)::bigint
+  from stats_entries(p_user, p_from::timestamp at time zone p_tz, (p_to + 1)::timestamp at time zone p_tz) s
+  left join teams tm on tm.id = s.team_id
+  group by s.team_id, tm.name
+  order by 3 desc
+$$;
+
+-- scheduled vs completed tasks per bucket of tasks.date
+create or replace function stats_completion_series(p_user uuid, p_from date, p_to date, p_bucket text)
+returns table (bucket date, total bigint, completed bigint)
+language sql stable as $$
+  with buckets as (
+    select generate_series(date_trunc(p_bucket, p_from::timestamp), p_to::timestamp, ('1 ' || p_bucket)::interval)::date as bucket
+  )
+  select b.bucket, count(t.id), count(t.id) filter (where t.status = 'completed')
+  from buckets b
+  left join tasks t
+    on t.user_id = p_user
+    and t.date between p_from and p_to
+    and date_trunc(p_bucket, t.date::timestamp)::date = b.bucket
+  group by b.bucket
+  order by b.bucket
+$$;
+
+-- consecutive days with at least one completed task; the current streak survives until today ends
+create or replace function stats_streaks(p_user uuid, p_today date)
+returns table (current_streak integer, best_streak integer)
+language sql stable as $$
+  with days as (
+    select distinct date as d from tasks where user_id = p_user and status = 'completed' and date <= p_today
+  ),
+  islands as (
+    select max(d) as last_day, count(*)::integer as len
+    from (select d, d - (row_number() over (order by d))::integer as grp from days) r
+    group by grp
+  )
+  select
+    coalesce((select len from islands where last_day >= p_today - 1 order by last_day desc limit 1), 0),
+    coalesce((select max(len) from islands), 0)
+$$;
+
+-- Time goals --------------------------------------------------------------------
+-- "10h of #programming per week", "30m of #music daily". tag_id null = all tracked time.
+-- Progress is computed from time_entries (src/utils/goals.js), nothing is stored per period.
+create table if not exists time_goals (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references app_users(id) on delete cascade,
+  tag_id uuid references tags(id) on delete cascade,
+  period text not null check (period in ('day', 'week')),
+  target_seconds integer not null check (target_seconds > 0),
+  created_at timestamptz not null default now()
+);
+create index if not exists time_goals_user_idx on time_goals (user_id);
+
+-- tracked seconds per bucket and tag (tag_id null = untagged); see stats_tracked_by_tag
+create or replace function stats_tracked_by_tag_series(p_user uuid, p_from date, p_to date, p_tz text, p_bucket text)
+returns table (bucket date, tag_id uuid, seconds bigint)
+language sql stable as $$
+  select date_trunc(p_bucket, s.start_at at time zone p_tz)::date, tag.id, sum(s.seconds)::bigint
+  from stats_entries(p_user, p_from::timestamp at time zone p_tz, (p_to + 1)::timestamp at time zone p_tz) s
+  left join lateral unnest(s.tag_ids) as tag(id) on true
+  group by 1, 2
+  order by 1
+$$;
+
+-- Habits ------------------------------------------------------------------------
+-- Daily yes/no (kind 'check') or count habits (kind 'count': done at target_count per day), kept
+-- apart from tasks. schedule: 'daily' | 'weekdays' (weekdays = 0..6, Sunday = 0) |
+-- 'times_per_week' (any times_per_week days of a Monday–Sunday week). See src/utils/habits.js.
+create table if not exists habits (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references app_users(id) on delete cascade,
+  name text not null,
+  icon text,
+  kind text not null default 'check' check (kind in ('check', 'count')),
+  target_count integer not null default 1 check (target_count > 0),
+  schedule text not null default 'daily' check (schedule in ('daily', 'weekdays', 'times_per_week')),
+  weekdays smallint[] not null default '{}',
+  times_per_week smallint check (times_per_week between 1 and 7),
+  archived boolean not null default false,
+  created_at timestamptz not null default now()
+);
+create index if not exists habits_user_idx on habits (user_id);
+
+-- one row per habit and day; count 1 for a check habit, n for a count habit
+create table if not exists habit_logs (
+  id uuid primary key default gen_random_uuid(),
+  habit_id uuid not null references habits(id) on delete cascade,
+  user_id uuid not null references app_users(id) on delete cascade,
+  log_date date not null,
+  count integer not null default 1 check (count > 0),
+  unique (habit_id, log_date)
+);
+create index if not exists habit_logs_user_date_idx on habit_logs (user_id, log_date);
+
+-- Time entry ownership ----------------------------------------------------------
+-- Every entry carries its owner's user_id (task-linked ones too) so realtime subscriptions can
+-- filter on user_id; the trigger keeps it in line with the task for writes that omit it.
+update time_entries e set user_id = t.user_id from tasks t where t.id = e.task_id and e.user_id is distinct from t.user_id;
+create or replace function time_entries_set_owner() returns trigger
+language plpgsql as $$
+begin
+  if new.task_id is not null then
+    select user_id into new.user_id from tasks where id = new.task_id;
+  end if;
+  return new;
+end $$;
+drop trigger if exists time_entries_set_owner on time_entries;
+create trigger time_entries_set_owner before insert or update of task_id on time_entries
+  for each row execute function time_entries_set_owner();
+create index if not exists time_entries_user_start_idx on time_entries (user_id, start_at);